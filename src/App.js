@@ -2,6 +2,9 @@ import React from 'react';
 import { SimulationProvider } from './contexts/SimulationContext';
 import SimulationArea from './components/SimulationArea';
 import ControlPanel from './components/ControlPanel';
+import TimeSpaceDiagram from './components/TimeSpaceDiagram';
+import IntersectionDetail from './components/IntersectionDetail';
+import MessageInspector from './components/MessageInspector';
 import './styles/App.css';
 
 function App() {
@@ -15,6 +18,9 @@ function App() {
         
         <ControlPanel />
         <SimulationArea />
+        <TimeSpaceDiagram />
+        <IntersectionDetail />
+        <MessageInspector />
         
         <footer className="app-footer">
           <p>
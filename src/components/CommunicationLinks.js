@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { useSimulation } from '../contexts/SimulationContext';
+import { readSignalStatus } from '../simulation/j2735';
 import '../styles/CommunicationLinks.css';
 
 const CommunicationLinks = () => {
-  const { communicationLinks, v2iMessages, vehicles, intersections } = useSimulation();
+  const { communicationLinks, v2iMessages, i2vMessages, vehicles, intersections } = useSimulation();
   const [animationProgress, setAnimationProgress] = useState(0);
 
   // Animation loop for packet movement
@@ -36,54 +37,84 @@ const CommunicationLinks = () => {
         </g>
       ))}
 
-      {/* Enhanced V2I Emergency Broadcasts - Show beams to all approaching intersections */}
-      {v2iMessages.map((message, index) => {
-        const vehicle = vehicles.find(v => v.id === message.vehicleId);
-        if (!vehicle) return null;
+      {/* Enhanced V2I Emergency Broadcasts - Show the beam to the intersection each SRM targets,
+          faded when the channel lost it */}
+      {v2iMessages.map(({ message, outcome }, index) => {
+        const lost = !outcome.delivered;
+        const vehicle = vehicles.find(v => v.id === message.value.requestor.id);
+        const intersection = intersections.find(i => i.id === message.value.requests[0].id);
+        if (!vehicle || !intersection) return null;
 
-        return message.approachingIntersections.map(intersectionId => {
-          const intersection = intersections.find(i => i.id === intersectionId);
-          if (!intersection) return null;
-
-          return (
-            <g key={`${index}-${intersectionId}`}>
-              {/* V2I Communication beam */}
-              <line
-                x1={vehicle.x}
-                y1={vehicle.y}
-                x2={intersection.x}
-                y2={intersection.y}
-                className="v2i-emergency-beam"
-                strokeWidth="3"
-                stroke="cyan"
-                strokeDasharray="10,5"
-                opacity="0.8"
-              />
+        return (
+          <g key={`${index}-${intersection.id}`} className={lost ? 'lost' : ''}>
+            {/* V2I Communication beam */}
+            <line
+              x1={vehicle.x}
+              y1={vehicle.y}
+              x2={intersection.x}
+              y2={intersection.y}
+              className="v2i-emergency-beam"
+              strokeWidth="3"
+              stroke="cyan"
+              strokeDasharray="10,5"
+              opacity="0.8"
+            />
               
-              {/* Animated data packet traveling from vehicle to intersection */}
-              <circle
-                cx={vehicle.x + (intersection.x - vehicle.x) * animationProgress}
-                cy={vehicle.y + (intersection.y - vehicle.y) * animationProgress}
-                r="5"
-                fill="cyan"
-                className="v2i-packet"
-              />
+            {/* Animated data packet traveling from vehicle to intersection */}
+            <circle
+              cx={vehicle.x + (intersection.x - vehicle.x) * animationProgress}
+              cy={vehicle.y + (intersection.y - vehicle.y) * animationProgress}
+              r="5"
+              fill="cyan"
+              className="v2i-packet"
+            />
+
+            {/* Label at midpoint */}
+            <text
+              x={(vehicle.x + intersection.x) / 2}
+              y={(vehicle.y + intersection.y) / 2 - 10}
+              fill="cyan"
+              fontSize="10"
+              fontWeight="bold"
+              textAnchor="middle"
+              className="v2i-label"
+            >
+              {lost ? `V2I: SRM LOST (${outcome.reason})` : 'V2I: SRM'}
+            </text>
+          </g>
+        );
+      })}
+
+      {/* I2V responses - the latest SSM sent to each vehicle tells it what became of its request,
+          faded when the channel lost it */}
+      {i2vMessages.filter((entry, index) => !i2vMessages.slice(index + 1).some(later => later.vehicleId === entry.vehicleId)).map(({ message: frame, vehicleId, outcome }, index) => {
+        const message = readSignalStatus(frame).find(response => response.vehicleId === vehicleId);
+        const vehicle = vehicles.find(v => v.id === vehicleId);
+        const intersection = intersections.find(i => i.id === message.intersectionId);
+        if (!vehicle || !intersection) return null;
 
-              {/* Label at midpoint */}
-              <text
-                x={(vehicle.x + intersection.x) / 2}
-                y={(vehicle.y + intersection.y) / 2 - 10}
-                fill="cyan"
-                fontSize="10"
-                fontWeight="bold"
-                textAnchor="middle"
-                className="v2i-label"
-              >
-                V2I: PRIORITY
-              </text>
-            </g>
-          );
-        });
+        return (
+          <g key={`i2v-${index}`} className={`i2v-response ${message.status} ${outcome.delivered ? '' : 'lost'}`}>
+            <line
+              x1={intersection.x}
+              y1={intersection.y}
+              x2={vehicle.x}
+              y2={vehicle.y}
+              className="i2v-beam"
+              strokeDasharray="4,4"
+            />
+            <text
+              x={(vehicle.x + intersection.x) / 2}
+              y={(vehicle.y + intersection.y) / 2 + 14}
+              fontSize="10"
+              fontWeight="bold"
+              textAnchor="middle"
+              className="i2v-label"
+            >
+              SSM: {message.status.toUpperCase()}{!outcome.delivered && ' LOST'}
+            </text>
+          </g>
+        );
       })}
     </svg>
   );
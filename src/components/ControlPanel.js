@@ -1,7 +1,63 @@
 import React, { useState } from 'react';
 import { useSimulation } from '../contexts/SimulationContext';
+import { COORDINATION, TIMING } from '../simulation/constants';
+import { MESSAGE_TYPES } from '../simulation/j2735';
+import { LINK_TYPES, getDeliveryRatio, getMeanLatency } from '../simulation/channel';
+import { getAverageQueue, getThroughput, getTripAverages, sumTrips } from '../simulation/metrics';
+import { APPROACHES } from '../simulation/signalPlans';
+import { isEmergencyType } from '../simulation/vehicles';
+import TimeSeriesCharts from './TimeSeriesCharts';
 import '../styles/ControlPanel.css';
 
+// Format simulated milliseconds as mm:ss.s
+const formatSimulationTime = (ms) => {
+  const totalSeconds = ms / 1000;
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = (totalSeconds % 60).toFixed(1).padStart(4, '0');
+  return `${String(minutes).padStart(2, '0')}:${seconds}`;
+};
+
+// Controller choices offered for each signalized intersection
+const CONTROLLER_OPTIONS = {
+  fixed: { label: 'Fixed time', settings: { controller: 'fixed' } },
+  'actuated-loops': { label: 'Actuated (loop detectors)', settings: { controller: 'actuated', detection: 'loops' } },
+  'actuated-v2i': { label: 'Actuated (V2I reports)', settings: { controller: 'actuated', detection: 'v2i' } },
+  'adaptive-max-pressure': { label: 'Adaptive (max-pressure)', settings: { controller: 'adaptive', adaptivePolicy: 'max-pressure' } },
+  'adaptive-webster': { label: 'Adaptive (Webster)', settings: { controller: 'adaptive', adaptivePolicy: 'webster' } },
+  coordinated: { label: 'Coordinated (shared cycle)', settings: { controller: 'coordinated' } }
+};
+
+// Ways back to normal operation once an emergency vehicle has cleared an intersection
+const PREEMPTION_EXIT_OPTIONS = {
+  interrupted: 'Return to interrupted phase',
+  'short-way': 'Short-way transition',
+  'long-way': 'Long-way transition',
+  dwell: 'Dwell in emergency phase'
+};
+
+// Average delay per completed trip, in seconds
+const formatAverageDelay = (totalDelay, trips) => (trips > 0 ? `${(totalDelay / trips / 1000).toFixed(1)}s` : '–');
+
+// Simulated milliseconds as seconds
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// Share of messages delivered and mean latency of a link's statistics
+const formatDeliveryRatio = (stats) => {
+  const ratio = getDeliveryRatio(stats);
+  return ratio === null ? '–' : `${Math.round(ratio * 100)}%`;
+};
+const formatLatency = (stats) => {
+  const latency = getMeanLatency(stats);
+  return latency === null ? '–' : `${Math.round(latency)} ms`;
+};
+
+const getControllerOption = (intersection) => {
+  if (intersection.controller === 'actuated') return `actuated-${intersection.detection}`;
+  if (intersection.controller === 'adaptive') return `adaptive-${intersection.adaptivePolicy}`;
+  if (intersection.controller === 'coordinated') return 'coordinated';
+  return 'fixed';
+};
+
 const ControlPanel = () => {
   const {
     isPaused,
@@ -11,15 +67,75 @@ const ControlPanel = () => {
     addVehicle,
     vehicles,
     emergencyActive,
-    statistics
+    statistics,
+    seed,
+    resetSimulation,
+    simulationTime,
+    stepOnce,
+    fastForward,
+    networkName,
+    networks,
+    selectNetwork,
+    signalPlanName,
+    signalPlans,
+    selectSignalPlan,
+    intersections,
+    setSignalController,
+    setPreemptionExit,
+    corridors,
+    coordination,
+    minimumCycleLength,
+    coordinateCorridor,
+    setSignalOffset,
+    stopCoordination,
+    capturedMessages,
+    messageInspectorOpen,
+    setMessageInspectorOpen,
+    channel,
+    channelModels,
+    setChannel,
+    safety,
+    setSafetyThresholds,
+    showSafetyEvent,
+    metrics,
+    benchmarkResults,
+    benchmarkRunning,
+    runBenchmark,
+    RANDOM_TURN
   } = useSimulation();
 
   const [demoMode, setDemoMode] = useState(false);
+  const [seedInput, setSeedInput] = useState('');
+  const [fastForwardSeconds, setFastForwardSeconds] = useState(30);
+  const [corridorId, setCorridorId] = useState('');
+  const [progressionSpeed, setProgressionSpeed] = useState(COORDINATION.DEFAULT_PROGRESSION_SPEED);
+  const [cycleSeconds, setCycleSeconds] = useState(COORDINATION.DEFAULT_CYCLE_LENGTH / 1000);
+
+  // The chosen corridor may not exist on another network - fall back to the first one
+  const selectedCorridor = corridors.find(corridor => corridor.id === corridorId) || corridors[0];
+  const cycleLength = cycleSeconds * 1000;
+  const canCoordinate = Boolean(selectedCorridor) && progressionSpeed > 0 && cycleLength >= minimumCycleLength;
+
+  // Completed trips per vehicle type, then all of them; emergency vehicle trips are response times
+  const tripTypes = Object.keys(metrics.trips);
+  const tripRows = [
+    ...tripTypes.map(type => ({ label: type, averages: getTripAverages(metrics.trips[type]), trips: metrics.trips[type].trips })),
+    { label: 'All', averages: getTripAverages(sumTrips(metrics.trips, tripTypes)), trips: sumTrips(metrics.trips, tripTypes).trips }
+  ];
+  const emergencyResponse = getTripAverages(sumTrips(metrics.trips, tripTypes.filter(isEmergencyType)));
 
   const handleSpeedChange = (e) => {
     setSimulationSpeed(parseFloat(e.target.value));
   };
 
+  const handleSeedSubmit = (e) => {
+    e.preventDefault();
+    const newSeed = parseInt(seedInput, 10);
+    if (Number.isNaN(newSeed)) return;
+    resetSimulation(newSeed);
+    setSeedInput('');
+  };
+
   const startDemo = () => {
     setDemoMode(true);
     setIsPaused(false);
@@ -52,6 +168,27 @@ const ControlPanel = () => {
           <button onClick={startDemo} className="btn-primary" disabled={demoMode}>
             🎬 Start Demo
           </button>
+          <button onClick={stepOnce} className="btn-primary" disabled={!isPaused}>
+            ⏭️ Step Tick
+          </button>
+        </div>
+
+        <div className="clock-display">
+          Simulated Time: <span className="clock-value">{formatSimulationTime(simulationTime)}</span>
+        </div>
+
+        <div className="fast-forward-control">
+          <input
+            type="number"
+            min="1"
+            max={TIMING.MAX_FAST_FORWARD / 1000}
+            value={fastForwardSeconds}
+            onChange={(e) => setFastForwardSeconds(Math.min(parseInt(e.target.value, 10) || 1, TIMING.MAX_FAST_FORWARD / 1000))}
+          />
+          <span>s</span>
+          <button onClick={() => fastForward(fastForwardSeconds)} className="btn-primary">
+            ⏩ Fast-Forward
+          </button>
         </div>
 
         <div className="speed-control">
@@ -67,6 +204,46 @@ const ControlPanel = () => {
             />
           </label>
         </div>
+
+        <div className="network-control">
+          <label>
+            Road Network:
+            <select value={networkName} onChange={(e) => selectNetwork(e.target.value)}>
+              {Object.entries(networks).map(([name, network]) => (
+                <option key={name} value={name}>{network.name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="network-control">
+          <label>
+            Signal Plan:
+            <select value={signalPlanName || ''} onChange={(e) => selectSignalPlan(e.target.value || null)}>
+              <option value="">Network default</option>
+              {Object.entries(signalPlans).map(([name, plan]) => (
+                <option key={name} value={name}>{plan.name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <form className="seed-control" onSubmit={handleSeedSubmit}>
+          <label>
+            Random Seed: <span className="seed-value">{seed}</span>
+          </label>
+          <div className="seed-input-group">
+            <input
+              type="number"
+              placeholder="New seed"
+              value={seedInput}
+              onChange={(e) => setSeedInput(e.target.value)}
+            />
+            <button type="submit" className="btn-primary" disabled={seedInput === ''}>
+              🎲 Restart
+            </button>
+          </div>
+        </form>
       </div>
 
       <div className="control-section">
@@ -84,31 +261,19 @@ const ControlPanel = () => {
         </div>
         <div className="button-group">
           <button 
-            onClick={() => {
-              const directions = ['straight', 'left', 'right'];
-              const randomDirection = directions[Math.floor(Math.random() * directions.length)];
-              addVehicle('emergency', randomDirection);
-            }} 
+            onClick={() => addVehicle('emergency', RANDOM_TURN)}
             className="btn-emergency"
           >
             🚑 Spawn Ambulance
           </button>
           <button 
-            onClick={() => {
-              const directions = ['straight', 'left', 'right'];
-              const randomDirection = directions[Math.floor(Math.random() * directions.length)];
-              addVehicle('firetruck', randomDirection);
-            }} 
+            onClick={() => addVehicle('firetruck', RANDOM_TURN)}
             className="btn-emergency"
           >
             🚒 Spawn Fire Truck
           </button>
           <button 
-            onClick={() => {
-              const directions = ['straight', 'left', 'right'];
-              const randomDirection = directions[Math.floor(Math.random() * directions.length)];
-              addVehicle('police', randomDirection);
-            }} 
+            onClick={() => addVehicle('police', RANDOM_TURN)}
             className="btn-emergency"
           >
             🚓 Spawn Police Car
@@ -131,13 +296,41 @@ const ControlPanel = () => {
             <span className="stat-label">Emergency Events:</span>
             <span className="stat-value">{statistics.emergencyEvents}</span>
           </div>
+          <div className="stat-item">
+            <span className="stat-label">Emergency Conflicts:</span>
+            <span className="stat-value">{statistics.emergencyConflicts}</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Collisions:</span>
+            <span className="stat-value">{statistics.collisions}</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Near Collisions:</span>
+            <span className="stat-value">{statistics.nearCollisions}</span>
+          </div>
           <div className="stat-item">
             <span className="stat-label">V2I Broadcasts:</span>
             <span className="stat-value">{statistics.v2iBroadcasts}</span>
           </div>
+          <div className="stat-item">
+            <span className="stat-label">I2V Responses:</span>
+            <span className="stat-value">{statistics.i2vResponses}</span>
+          </div>
           <div className="stat-item">
             <span className="stat-label">Communication Links:</span>
-            <span className="stat-value">{statistics.communicationMessages}</span>
+            <span className="stat-value">{statistics.activeLinks}</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Bus Priority Grants:</span>
+            <span className="stat-value">{statistics.transitPriorityGrants}</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Avg Bus Delay:</span>
+            <span className="stat-value">{formatAverageDelay(statistics.busDelay, statistics.busTrips)}</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Avg Car/Truck Delay:</span>
+            <span className="stat-value">{formatAverageDelay(statistics.generalDelay, statistics.generalTrips)}</span>
           </div>
           <div className="stat-item">
             <span className="stat-label">Emergency Active:</span>
@@ -148,6 +341,356 @@ const ControlPanel = () => {
         </div>
       </div>
 
+      <div className="control-section">
+        <h3>Traffic Metrics</h3>
+        <h4 className="metrics-title">Completed trips (averages)</h4>
+        <table className="benchmark-results">
+          <thead>
+            <tr>
+              <th>Type</th>
+              <th>Trips</th>
+              <th>Travel</th>
+              <th>Delay</th>
+              <th>Stops</th>
+              <th>Stopped</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tripRows.map(row => (
+              <tr key={row.label}>
+                <td>{row.label}</td>
+                <td>{row.trips}</td>
+                <td>{row.averages ? formatSeconds(row.averages.travelTime) : '–'}</td>
+                <td>{row.averages ? formatSeconds(row.averages.delay) : '–'}</td>
+                <td>{row.averages ? row.averages.stops.toFixed(1) : '–'}</td>
+                <td>{row.averages ? formatSeconds(row.averages.stoppedTime) : '–'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="stats">
+          <div className="stat-item">
+            <span className="stat-label">Avg Emergency Response:</span>
+            <span className="stat-value">{emergencyResponse ? formatSeconds(emergencyResponse.travelTime) : '–'}</span>
+          </div>
+        </div>
+        {metrics.emergencyResponses.length > 0 && (
+          <ul className="metrics-responses">
+            {metrics.emergencyResponses.map(response => (
+              <li key={response.vehicleId}>
+                {response.type} {response.vehicleId} · spawned {formatSimulationTime(response.spawnTime)} · {formatSeconds(response.responseTime)}
+              </li>
+            ))}
+          </ul>
+        )}
+        <h4 className="metrics-title">Approaches</h4>
+        <table className="benchmark-results">
+          <thead>
+            <tr>
+              <th>Approach</th>
+              <th>Queue</th>
+              <th>Avg</th>
+              <th>Max</th>
+              <th>Veh/min</th>
+            </tr>
+          </thead>
+          <tbody>
+            {intersections.flatMap(intersection => APPROACHES
+              .filter(approach => metrics.approaches[intersection.id] && metrics.approaches[intersection.id][approach])
+              .map(approach => {
+                const measured = metrics.approaches[intersection.id][approach];
+                return (
+                  <tr key={`${intersection.id}-${approach}`}>
+                    <td>#{intersection.id} {approach}</td>
+                    <td>{measured.queue}</td>
+                    <td>{getAverageQueue(measured, simulationTime).toFixed(1)}</td>
+                    <td>{measured.maxQueue}</td>
+                    <td>{getThroughput(measured, simulationTime).toFixed(1)}</td>
+                  </tr>
+                );
+              }))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="control-section">
+        <h3>Charts</h3>
+        <TimeSeriesCharts />
+      </div>
+
+      <div className="control-section">
+        <h3>V2X Messages</h3>
+        <div className="stats">
+          {MESSAGE_TYPES.map(type => (
+            <div key={type} className="stat-item">
+              <span className="stat-label">{type} sent:</span>
+              <span className="stat-value">{capturedMessages.sent[type]}</span>
+            </div>
+          ))}
+        </div>
+        <div className="button-group">
+          <button onClick={() => setMessageInspectorOpen(!messageInspectorOpen)} className="btn-primary">
+            {messageInspectorOpen ? '✕ Close Message Inspector' : '🔍 Message Inspector'}
+          </button>
+        </div>
+      </div>
+
+      <div className="control-section">
+        <h3>Radio Channel</h3>
+        <div className="channel-control">
+          <label>
+            Model
+            <select value={channel.model} onChange={(e) => setChannel({ model: e.target.value })}>
+              {Object.entries(channelModels).map(([key, model]) => (
+                <option key={key} value={key}>{model.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Latency (ms)
+            <input
+              type="number"
+              min="0"
+              step="50"
+              value={channel.latency}
+              onChange={(e) => setChannel({ latency: Math.max(0, parseFloat(e.target.value) || 0) })}
+            />
+          </label>
+          <label>
+            Jitter (ms)
+            <input
+              type="number"
+              min="0"
+              step="50"
+              value={channel.jitter}
+              onChange={(e) => setChannel({ jitter: Math.max(0, parseFloat(e.target.value) || 0) })}
+            />
+          </label>
+          <label className="channel-checkbox">
+            <input
+              type="checkbox"
+              checked={channel.loadEffects}
+              onChange={(e) => setChannel({ loadEffects: e.target.checked })}
+            />
+            Channel load collisions
+          </label>
+        </div>
+        <table className="benchmark-results">
+          <thead>
+            <tr>
+              <th>Link</th>
+              <th>Sent</th>
+              <th>Delivered</th>
+              <th>Latency</th>
+            </tr>
+          </thead>
+          <tbody>
+            {LINK_TYPES.map(type => (
+              <tr key={type}>
+                <td>{type}</td>
+                <td>{channel.stats[type].sent}</td>
+                <td>{formatDeliveryRatio(channel.stats[type])}</td>
+                <td>{formatLatency(channel.stats[type])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="control-section">
+        <h3>Surrogate Safety</h3>
+        <div className="channel-control">
+          <label>
+            TTC threshold (s)
+            <input
+              type="number"
+              min="0.1"
+              step="0.1"
+              value={safety.thresholds.ttc}
+              onChange={(e) => setSafetyThresholds({ ttc: Math.max(0.1, parseFloat(e.target.value) || 0.1) })}
+            />
+          </label>
+          <label>
+            PET threshold (s)
+            <input
+              type="number"
+              min="0.1"
+              step="0.1"
+              value={safety.thresholds.pet}
+              onChange={(e) => setSafetyThresholds({ pet: Math.max(0.1, parseFloat(e.target.value) || 0.1) })}
+            />
+          </label>
+        </div>
+        <table className="benchmark-results">
+          <thead>
+            <tr>
+              <th>Intersection</th>
+              <th>TTC</th>
+              <th>PET</th>
+            </tr>
+          </thead>
+          <tbody>
+            {intersections.map(intersection => {
+              const counts = safety.counts[intersection.id] || { TTC: 0, PET: 0 };
+              return (
+                <tr key={intersection.id}>
+                  <td>{intersection.id}</td>
+                  <td>{counts.TTC}</td>
+                  <td>{counts.PET}</td>
+                </tr>
+              );
+            })}
+            <tr>
+              <td>All (incl. between intersections)</td>
+              <td>{statistics.ttcConflicts}</td>
+              <td>{statistics.petConflicts}</td>
+            </tr>
+          </tbody>
+        </table>
+        <h4 className="safety-events-title">Most critical events</h4>
+        {safety.critical.length === 0 ? (
+          <div className="safety-events-empty">No conflicts below the thresholds yet</div>
+        ) : (
+          <ul className="safety-events">
+            {safety.critical.map(event => (
+              <li key={event.id} onClick={() => showSafetyEvent(event)} title="Show this moment">
+                <span className="safety-event-value">{event.kind} {event.value.toFixed(2)}s</span>
+                {formatSimulationTime(event.time)} · {event.vehicles.map(vehicle => `${vehicle.type} ${vehicle.id}`).join(' × ')}
+                {event.intersectionId !== null && ` · #${event.intersectionId}`}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="control-section">
+        <h3>Benchmark</h3>
+        <div className="button-group">
+          <button onClick={runBenchmark} className="btn-primary" disabled={benchmarkRunning}>
+            {benchmarkRunning ? '⏳ Running...' : '⏱️ Run Benchmark'}
+          </button>
+        </div>
+        {benchmarkResults && (
+          <table className="benchmark-results">
+            <thead>
+              <tr>
+                <th>Vehicles</th>
+                <th>Placed</th>
+                <th>Avg Tick</th>
+                <th>Max Tick</th>
+              </tr>
+            </thead>
+            <tbody>
+              {benchmarkResults.map(result => (
+                <tr key={result.vehicles}>
+                  <td>{result.vehicles}</td>
+                  <td>{result.placed}</td>
+                  <td>{result.averageTickMs.toFixed(2)} ms</td>
+                  <td>{result.maxTickMs.toFixed(2)} ms</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="control-section">
+        <h3>Signal Control</h3>
+        {intersections.filter(intersection => intersection.control === 'signal').map(intersection => (
+          <div key={intersection.id} className="signal-controller">
+            <label>
+              Intersection {intersection.id}
+              <select
+                value={getControllerOption(intersection)}
+                onChange={(e) => setSignalController(intersection.id, CONTROLLER_OPTIONS[e.target.value].settings)}
+              >
+                {Object.entries(CONTROLLER_OPTIONS).map(([key, option]) => (
+                  <option key={key} value={key}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Preemption exit
+              <select
+                value={intersection.preemptionExit}
+                onChange={(e) => setPreemptionExit(intersection.id, e.target.value)}
+              >
+                {Object.entries(PREEMPTION_EXIT_OPTIONS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <div className="signal-controller-status">
+              {intersection.currentPhase} · {intersection.interval}
+              {intersection.terminationReason && ` · last green: ${intersection.terminationReason}`}
+              {intersection.transitPriority && ` · 🚌 ${intersection.transitPriority.kind}`}
+              {intersection.recovery && ` · ↩️ ${intersection.recovery.strategy} ${intersection.recovery.stage}`}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="control-section">
+        <h3>Green Wave</h3>
+        {corridors.length === 0 ? (
+          <div className="signal-controller-status">No corridor with two or more signals</div>
+        ) : (
+          <div className="green-wave-control">
+            <label>
+              Corridor
+              <select value={selectedCorridor.id} onChange={(e) => setCorridorId(e.target.value)}>
+                {corridors.map(corridor => (
+                  <option key={corridor.id} value={corridor.id}>{corridor.name}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Progression speed (px/s)
+              <input
+                type="number"
+                min="1"
+                value={progressionSpeed}
+                onChange={(e) => setProgressionSpeed(parseFloat(e.target.value) || 0)}
+              />
+            </label>
+            <label>
+              Cycle length (s)
+              <input
+                type="number"
+                min={minimumCycleLength / 1000}
+                value={cycleSeconds}
+                onChange={(e) => setCycleSeconds(parseFloat(e.target.value) || 0)}
+              />
+            </label>
+            <div className="button-group">
+              <button
+                onClick={() => coordinateCorridor({ corridorId: selectedCorridor.id, speed: progressionSpeed, cycleLength })}
+                className="btn-success"
+                disabled={!canCoordinate}
+              >
+                🌊 Compute Offsets
+              </button>
+              <button onClick={stopCoordination} className="btn-warning" disabled={!coordination}>
+                ⏹️ Stop
+              </button>
+            </div>
+          </div>
+        )}
+        {coordination && intersections.filter(intersection => intersection.controller === 'coordinated').map(intersection => (
+          <div key={intersection.id} className="signal-offset">
+            <label>
+              Intersection {intersection.id} offset (s)
+              <input
+                type="number"
+                step="0.5"
+                value={intersection.offset / 1000}
+                onChange={(e) => setSignalOffset(intersection.id, Math.round((parseFloat(e.target.value) || 0) * 1000))}
+              />
+            </label>
+          </div>
+        ))}
+      </div>
+
       {demoMode && (
         <div className="demo-banner">
           🎬 Demo Mode Active
@@ -1,45 +1,101 @@
 import React from 'react';
+import { useSimulation } from '../contexts/SimulationContext';
+import { PREEMPTION_RECOVERY } from '../simulation/constants';
 import '../styles/Intersection.css';
 
-const Intersection = ({ intersection }) => {
-  const getSignalColor = (direction) => {
-    const signal = intersection.signals[direction];
-    if (!signal) return 'red';
-    
-    // Simple check - signal is now just 'GREEN' or 'RED'
-    return signal === 'GREEN' ? 'green' : 'red';
-  };
+// Arrow glyphs of the turn heads, by approach (the travel direction of the vehicles it controls)
+const TURN_ARROWS = {
+  north: { left: '←', right: '→' },
+  south: { left: '→', right: '←' },
+  east: { left: '↑', right: '↓' },
+  west: { left: '↓', right: '↑' }
+};
+
+// Emergency vehicle names in the arbitration list and the detail panel
+export const VEHICLE_LABELS = {
+  emergency: 'Ambulance',
+  firetruck: 'Fire truck',
+  police: 'Police'
+};
+
+// Status of a priority request (see inbox.js)
+export const REQUEST_ICONS = {
+  requested: '⏳',
+  granted: '🟢',
+  rejected: '✋',
+  active: '🚨',
+  completed: '✅'
+};
+
+// Progress of the return to normal operation after preemption
+const describeRecovery = (intersection) => {
+  const { recovery, plan } = intersection;
+  switch (recovery.stage) {
+    case 'clearance':
+      return `clearing to ${plan[recovery.exitPhaseIndex].id}`;
+    case 'dwell':
+      return `dwell ${((PREEMPTION_RECOVERY.DWELL_TIME - intersection.phaseTime) / 1000).toFixed(1)}s`;
+    default:
+      return `${recovery.correction > 0 ? 'shortening' : 'lengthening'} cycle · ${(Math.abs(recovery.correction) / 1000).toFixed(1)}s left`;
+  }
+};
+
+// Lamp colour of one movement head - permissive left turns show a flashing yellow arrow
+const getSignalColor = (signal) => {
+  switch (signal) {
+    case 'GREEN': return 'green';
+    case 'PERMISSIVE': return 'permissive';
+    case 'YELLOW': return 'yellow';
+    default: return 'red';
+  }
+};
 
-  const northColor = getSignalColor('north');
-  const southColor = getSignalColor('south');
-  const eastColor = getSignalColor('east');
-  const westColor = getSignalColor('west');
+// One signal head per movement: left-turn arrow, through ball and right-turn arrow
+const SignalHeads = ({ approach, heads }) => (
+  <div className={`traffic-signal ${approach}`}>
+    <div className={`signal-light arrow ${getSignalColor(heads.left)}`}>{TURN_ARROWS[approach].left}</div>
+    <div className={`signal-light ${getSignalColor(heads.through)}`}></div>
+    <div className={`signal-light arrow ${getSignalColor(heads.right)}`}>{TURN_ARROWS[approach].right}</div>
+  </div>
+);
+
+const Intersection = ({ intersection }) => {
+  const { selectedIntersectionId, selectIntersection } = useSimulation();
+  const currentPhase = intersection.plan[intersection.phaseIndex];
+  const pedestriansCrossing = currentPhase && currentPhase.type === 'pedestrian' && intersection.interval === 'green';
+  const openRequests = intersection.priorityRequests.filter(request => request.status !== 'completed');
 
   return (
     <div 
-      className="intersection"
+      className={`intersection ${selectedIntersectionId === intersection.id ? 'selected' : ''}`}
+      onClick={() => selectIntersection(intersection.id)}
       style={{
-        left: `${intersection.x - 60}px`,
-        top: `${intersection.y - 60}px`
+        left: `${intersection.x - intersection.width / 2}px`,
+        top: `${intersection.y - intersection.height / 2}px`,
+        width: `${intersection.width}px`,
+        height: `${intersection.height}px`
       }}
     >
       {/* Road markings */}
       <div className="road-horizontal"></div>
       <div className="road-vertical"></div>
       
-      {/* Traffic signals - Standard two-phase system */}
-      <div className="traffic-signal north">
-        <div className={`signal-light ${northColor}`}></div>
-      </div>
-      <div className="traffic-signal south">
-        <div className={`signal-light ${southColor}`}></div>
-      </div>
-      <div className="traffic-signal east">
-        <div className={`signal-light ${eastColor}`}></div>
-      </div>
-      <div className="traffic-signal west">
-        <div className={`signal-light ${westColor}`}></div>
-      </div>
+      {/* Traffic signals - one head per movement, none at uncontrolled intersections */}
+      {intersection.control === 'signal' && ['north', 'south', 'east', 'west'].map(approach => (
+        <SignalHeads key={approach} approach={approach} heads={intersection.signals[approach]} />
+      ))}
+
+      {/* Walk indication during an exclusive pedestrian phase */}
+      {pedestriansCrossing && (
+        <div className="pedestrian-indicator">🚶</div>
+      )}
+
+      {/* Collision or near-collision in the box */}
+      {intersection.conflictFlash && (
+        <div className={`conflict-flash ${intersection.conflictFlash.type}`}>
+          {intersection.conflictFlash.type === 'collision' ? '💥' : '⚠️'}
+        </div>
+      )}
 
       {/* Emergency override indicator */}
       {intersection.emergencyOverride && (
@@ -49,14 +105,39 @@ const Intersection = ({ intersection }) => {
             <div className="emergency-turn-label">
               Emergency Vehicle Approaching!!
             </div>
+            {openRequests.some(request => request.status === 'rejected') && (
+              <div className="emergency-arbitration">
+                {openRequests.map(request => (
+                  <div key={request.vehicleId} className={`arbitration-${request.status}`}>
+                    {REQUEST_ICONS[request.status]} {VEHICLE_LABELS[request.vehicleType]} {request.vehicleId} · ETA {request.eta.toFixed(1)}s
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         </div>
       )}
 
+      {/* Return to normal operation after preemption */}
+      {intersection.recovery && (
+        <div className="preemption-recovery">
+          <span className="recovery-strategy">↩️ {intersection.recovery.strategy}</span>
+          {describeRecovery(intersection)}
+        </div>
+      )}
+
       {/* Intersection info */}
       <div className="intersection-info">
         ID: {intersection.id}
       </div>
+
+      {/* Adaptive control: the policy and the rationale of its last decision */}
+      {intersection.controller === 'adaptive' && (
+        <div className="adaptive-rationale">
+          <span className="adaptive-policy">{intersection.adaptivePolicy}</span>
+          {intersection.adaptiveDecision ? intersection.adaptiveDecision.summary : 'collecting V2I reports…'}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,136 @@
+import React from 'react';
+import { useSimulation } from '../contexts/SimulationContext';
+import { REQUEST_ICONS, VEHICLE_LABELS } from './Intersection';
+import { getMeanLatency } from '../simulation/channel';
+import '../styles/IntersectionDetail.css';
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// Delivered of sent messages in one direction of a radio link
+const formatDeliveries = (stats) => (stats.sent > 0 ? `${stats.delivered}/${stats.sent}` : '–');
+
+// Detail panel of the intersection clicked in the simulation area: its signal state, the
+// emergency priority requests it tracks with their status, its inbox of V2I messages and the
+// recent SRM / SSM deliveries over its radio links, the latest conflicts in its box and its
+// TTC / PET encounters
+const IntersectionDetail = () => {
+  const { intersections, selectedIntersectionId, selectIntersection, channel, conflictEvents, safety } = useSimulation();
+  const intersection = intersections.find(i => i.id === selectedIntersectionId);
+  if (!intersection) return null;
+
+  const signalized = intersection.control === 'signal';
+  const links = Object.values(channel.links).filter(link => link.intersectionId === intersection.id);
+  const conflicts = conflictEvents.filter(event => event.intersectionId === intersection.id).reverse();
+  const safetyCounts = safety.counts[intersection.id] || { TTC: 0, PET: 0 };
+
+  return (
+    <div className="intersection-detail">
+      <div className="intersection-detail-header">
+        <h3>Intersection {intersection.id}</h3>
+        <button onClick={() => selectIntersection(null)} className="intersection-detail-close" aria-label="Close">✕</button>
+      </div>
+
+      <div className="intersection-detail-status">
+        {signalized
+          ? `${intersection.currentPhase} · ${intersection.interval} · ${intersection.controller}`
+          : 'uncontrolled'}
+        {intersection.emergencyOverride && ' · 🚨 preempted'}
+        {intersection.recovery && ` · ↩️ ${intersection.recovery.strategy}`}
+      </div>
+
+      {signalized && (
+        <>
+          <h4>Priority Requests</h4>
+          {intersection.priorityRequests.length === 0 ? (
+            <div className="intersection-detail-empty">No requests</div>
+          ) : (
+            <table className="priority-requests">
+              <thead>
+                <tr>
+                  <th>Vehicle</th>
+                  <th>Status</th>
+                  <th>Requested</th>
+                  <th>Updated</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...intersection.priorityRequests].reverse().map(request => (
+                  <tr key={`${request.vehicleId}-${request.requestedAt}`} className={`request-${request.status}`}>
+                    <td>{VEHICLE_LABELS[request.vehicleType]} {request.vehicleId}</td>
+                    <td>{REQUEST_ICONS[request.status]} {request.status}</td>
+                    <td>{formatSeconds(request.requestedAt)}</td>
+                    <td>{formatSeconds(request.updatedAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+
+      <h4>Inbox ({intersection.receivedMessages.length})</h4>
+      {intersection.receivedMessages.length === 0 ? (
+        <div className="intersection-detail-empty">No messages received</div>
+      ) : (
+        <ul className="intersection-inbox">
+          {intersection.receivedMessages.map(message => (
+            <li key={message.id}>
+              <span className="inbox-time">{formatSeconds(message.receivedAt)}</span>
+              {VEHICLE_LABELS[message.senderType]} {message.senderId} · {message.action} · {Math.round(message.distance)}px · ETA {message.eta.toFixed(1)}s
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h4>Radio Links</h4>
+      {links.length === 0 ? (
+        <div className="intersection-detail-empty">No SRMs or SSMs exchanged recently</div>
+      ) : (
+        <table className="priority-requests">
+          <thead>
+            <tr>
+              <th>Vehicle</th>
+              <th>SRM</th>
+              <th>SSM</th>
+              <th>Latency</th>
+            </tr>
+          </thead>
+          <tbody>
+            {links.map(link => {
+              const latency = getMeanLatency({
+                delivered: link.V2I.delivered + link.I2V.delivered,
+                totalLatency: link.V2I.totalLatency + link.I2V.totalLatency
+              });
+              return (
+                <tr key={link.vehicleId}>
+                  <td>{link.vehicleId}</td>
+                  <td>{formatDeliveries(link.V2I)}</td>
+                  <td>{formatDeliveries(link.I2V)}</td>
+                  <td>{latency === null ? '–' : `${Math.round(latency)} ms`}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <h4>Conflicts · {safetyCounts.TTC} TTC · {safetyCounts.PET} PET</h4>
+      {conflicts.length === 0 ? (
+        <div className="intersection-detail-empty">No collisions or near-collisions</div>
+      ) : (
+        <ul className="intersection-inbox">
+          {conflicts.map(event => (
+            <li key={event.id} className={`conflict-${event.type}`}>
+              <span className="inbox-time">{formatSeconds(event.time)}</span>
+              {event.type === 'collision' ? '💥' : '⚠️'} {event.type} ·{' '}
+              {event.vehicles.map(vehicle => `${vehicle.type} ${vehicle.id} (${vehicle.direction.toLowerCase()} ${vehicle.movement})`).join(' × ')}
+              {' '}· ({Math.round(event.x)}, {Math.round(event.y)})
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default IntersectionDetail;
@@ -40,6 +40,14 @@ const Legend = () => {
           <span className="signal-dot green"></span>
           <span>Go</span>
         </div>
+        <div className="legend-item">
+          <span className="signal-arrow green">←</span>
+          <span>Protected Turn</span>
+        </div>
+        <div className="legend-item">
+          <span className="signal-arrow permissive">←</span>
+          <span>Permissive Left (yield)</span>
+        </div>
       </div>
 
       <div className="legend-section">
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { useSimulation } from '../contexts/SimulationContext';
+import { MESSAGE_TYPES, getMessageType } from '../simulation/j2735';
+import { decodeBinary, decodeMessage, encodeBinary, encodeJson, toHex } from '../simulation/codec';
+import '../styles/MessageInspector.css';
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// Decoded frame with the size of both encodings, or the error decoding failed with
+const inspect = (decodeFrame) => {
+  try {
+    const frame = decodeFrame();
+    return {
+      frame,
+      type: getMessageType(frame),
+      binarySize: encodeBinary(frame).length,
+      jsonSize: encodeJson(frame).length
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+const DecodedMessage = ({ result }) => {
+  if (result.error) {
+    return <div className="inspector-error">{result.error}</div>;
+  }
+
+  return (
+    <>
+      <div className="inspector-sizes">
+        {result.type} · binary {result.binarySize} B · JSON {result.jsonSize} B
+        ({Math.round(100 * result.binarySize / result.jsonSize)}%)
+      </div>
+      <pre className="inspector-json">{JSON.stringify(result.frame, null, 2)}</pre>
+    </>
+  );
+};
+
+// Message inspector: lists the latest messages captured of each type and decodes the one picked
+// from its binary form; any message pasted as hex bytes or JSON is decoded the same way
+const MessageInspector = () => {
+  const { capturedMessages, messageInspectorOpen, setMessageInspectorOpen } = useSimulation();
+  const [type, setType] = useState('BSM');
+  // The picked message is kept even once newer messages push it out of the capture
+  const [selected, setSelected] = useState(null);
+  const [pasted, setPasted] = useState('');
+  const [pastedResult, setPastedResult] = useState(null);
+  if (!messageInspectorOpen) return null;
+
+  const messages = [...capturedMessages.messages[type]].reverse();
+
+  return (
+    <div className="message-inspector">
+      <div className="message-inspector-header">
+        <h3>Message Inspector</h3>
+        <button onClick={() => setMessageInspectorOpen(false)} className="message-inspector-close" aria-label="Close">✕</button>
+      </div>
+
+      <div className="inspector-tabs">
+        {MESSAGE_TYPES.map(messageType => (
+          <button
+            key={messageType}
+            onClick={() => setType(messageType)}
+            className={messageType === type ? 'active' : ''}
+          >
+            {messageType} ({capturedMessages.sent[messageType]})
+          </button>
+        ))}
+      </div>
+
+      {messages.length === 0 ? (
+        <div className="inspector-empty">No {type} captured yet</div>
+      ) : (
+        <ul className="inspector-messages">
+          {messages.map(message => (
+            <li
+              key={message.seq}
+              onClick={() => setSelected(message)}
+              className={selected && selected.seq === message.seq ? 'selected' : ''}
+            >
+              <span className="inspector-seq">#{message.seq}</span>
+              {formatSeconds(message.time)} · from {message.senderId} · {message.bytes.length} B
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {selected && (
+        <>
+          <h4>#{selected.seq} · {selected.type} from {selected.senderId}</h4>
+          <code className="inspector-hex">{toHex(selected.bytes)}</code>
+          <DecodedMessage result={inspect(() => decodeBinary(selected.bytes))} />
+        </>
+      )}
+
+      <h4>Decode a message</h4>
+      <textarea
+        value={pasted}
+        onChange={(e) => setPasted(e.target.value)}
+        placeholder="Hex bytes or JSON"
+        rows="3"
+        className="inspector-input"
+      />
+      <div className="button-group">
+        <button onClick={() => setPastedResult(inspect(() => decodeMessage(pasted)))} className="btn-primary" disabled={pasted.trim() === ''}>
+          Decode
+        </button>
+      </div>
+      {pastedResult && <DecodedMessage result={pastedResult} />}
+    </div>
+  );
+};
+
+export default MessageInspector;
@@ -5,33 +5,78 @@ import Vehicle from './Vehicle';
 import CommunicationLinks from './CommunicationLinks';
 import '../styles/SimulationArea.css';
 
+// Render one road of the network with its center divider and lane markings
+// Lanes of the second direction (SOUTH / WEST) lie on the left / top side of the road
+const Road = ({ road, vertical, laneWidth }) => {
+  const leadingLanes = road.lanes[vertical ? 'SOUTH' : 'WEST'] || 0;
+  const trailingLanes = road.lanes[vertical ? 'NORTH' : 'EAST'] || 0;
+  const center = vertical ? road.centerX : road.centerY;
+  const width = (leadingLanes + trailingLanes) * laneWidth;
+  const offset = center - leadingLanes * laneWidth;
+
+  // White dashed lines between lanes of the same direction
+  const laneMarkings = [];
+  for (let i = 1; i < leadingLanes; i++) laneMarkings.push(i * laneWidth);
+  for (let i = 1; i < trailingLanes; i++) laneMarkings.push((leadingLanes + i) * laneWidth);
+
+  const style = vertical
+    ? { left: `${offset}px`, top: `${road.start}px`, width: `${width}px`, height: `${road.end - road.start}px` }
+    : { top: `${offset}px`, left: `${road.start}px`, height: `${width}px`, width: `${road.end - road.start}px` };
+  const markingStyle = (position) => vertical ? { left: `${position}px` } : { top: `${position}px` };
+
+  return (
+    <div className={`road ${vertical ? 'road-v' : 'road-h'}`} style={style}>
+      {leadingLanes > 0 && trailingLanes > 0 && (
+        <div className="road-divider" style={markingStyle(leadingLanes * laneWidth)}></div>
+      )}
+      {laneMarkings.map(position => (
+        <div key={position} className="lane-marking" style={markingStyle(position)}></div>
+      ))}
+    </div>
+  );
+};
+
+// Banner over the scene of a safety event: what happened, and the way back to the running simulation
+const SafetyReplayBanner = ({ event, onClose }) => (
+  <div className="safety-replay-banner">
+    ⏪ {(event.time / 1000).toFixed(1)}s · {event.kind} {event.value.toFixed(2)}s ·{' '}
+    {event.vehicles.map(vehicle => `${vehicle.type} ${vehicle.id}`).join(' × ')}
+    {event.intersectionId !== null && ` · intersection ${event.intersectionId}`}
+    <button onClick={onClose} className="safety-replay-close">Back to live</button>
+  </div>
+);
+
 const SimulationArea = () => {
-  const { vehicles, intersections } = useSimulation();
+  const { vehicles, intersections, roadGrid, safetyReplay, closeSafetyReplay } = useSimulation();
+  // A safety event shows the vehicles and signals as they were at its moment
+  const scene = safetyReplay ? safetyReplay.scene : { vehicles, intersections };
+  const involved = new Set(safetyReplay ? safetyReplay.vehicles.map(vehicle => vehicle.id) : []);
 
   return (
     <div className="simulation-area">
-      {/* Road grid background */}
+      {safetyReplay && <SafetyReplayBanner event={safetyReplay} onClose={closeSafetyReplay} />}
+
+      {/* Road layer derived from the road network */}
       <div className="road-grid">
-        {/* Horizontal roads - 4 lanes each */}
-        <div className="road road-h" style={{ top: '250px' }}></div>
-        <div className="road road-h" style={{ top: '650px' }}></div>
-        
-        {/* Vertical roads - 4 lanes each */}
-        <div className="road road-v" style={{ left: '450px' }}></div>
-        <div className="road road-v" style={{ left: '950px' }}></div>
+        {roadGrid.horizontalRoads.map(road => (
+          <Road key={`h-${road.index}`} road={road} vertical={false} laneWidth={roadGrid.laneWidth} />
+        ))}
+        {roadGrid.verticalRoads.map(road => (
+          <Road key={`v-${road.index}`} road={road} vertical={true} laneWidth={roadGrid.laneWidth} />
+        ))}
       </div>
 
-      {/* Communication links (behind everything) */}
-      <CommunicationLinks />
+      {/* Communication links (behind everything) - only for the running simulation */}
+      {!safetyReplay && <CommunicationLinks />}
 
       {/* Intersections */}
-      {intersections.map(intersection => (
+      {scene.intersections.map(intersection => (
         <Intersection key={intersection.id} intersection={intersection} />
       ))}
 
       {/* Vehicles */}
-      {vehicles.map(vehicle => (
-        <Vehicle key={vehicle.id} vehicle={vehicle} />
+      {scene.vehicles.map(vehicle => (
+        <Vehicle key={vehicle.id} vehicle={vehicle} highlighted={involved.has(vehicle.id)} />
       ))}
     </div>
   );
@@ -0,0 +1,169 @@
+import React from 'react';
+import { useSimulation } from '../contexts/SimulationContext';
+import { METRICS } from '../simulation/constants';
+import '../styles/TimeSeriesCharts.css';
+
+const WIDTH = 300;
+const HEIGHT = 110;
+const MARGIN = { top: 8, right: 8, bottom: 18, left: 32 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+const TIME_TICK = 30000;
+
+// Line colours of the intersections on the queue chart, in order
+const INTERSECTION_COLORS = ['#60a5fa', '#f59e0b', '#a78bfa', '#10b981', '#f472b6', '#facc15'];
+
+// Consecutive samples in which at least one intersection was preempted, as { start, end, ids }
+const getPreemptionRuns = (samples) => {
+  const runs = [];
+  let run = null;
+  samples.forEach(sample => {
+    if (sample.preempted.length === 0) {
+      run = null;
+      return;
+    }
+    if (!run) {
+      run = { start: sample.time, end: sample.time, ids: new Set() };
+      runs.push(run);
+    }
+    run.end = sample.time + METRICS.SAMPLE_INTERVAL;
+    sample.preempted.forEach(id => run.ids.add(id));
+  });
+  return runs;
+};
+
+// Points of a series as polyline segments - a null value (no vehicles to average) breaks the line
+const getSegments = (samples, value) => {
+  const segments = [];
+  let segment = null;
+  samples.forEach(sample => {
+    const y = value(sample);
+    if (y === null) {
+      segment = null;
+      return;
+    }
+    if (!segment) {
+      segment = [];
+      segments.push(segment);
+    }
+    segment.push({ time: sample.time, value: y });
+  });
+  return segments;
+};
+
+// One chart over the sampled window: time runs left to right up to the simulation clock, values
+// bottom to top from 0 to the largest one shown. Preemption intervals are shaded behind the lines.
+const Chart = ({ title, unit, series, preemptions, windowStart }) => {
+  const values = series.flatMap(line => line.segments.flatMap(segment => segment.map(point => point.value)));
+  const maxValue = Math.max(1, Math.ceil(Math.max(0, ...values)));
+  const x = (time) => MARGIN.left + (time - windowStart) / METRICS.TIME_SERIES_WINDOW * PLOT_WIDTH;
+  const y = (value) => MARGIN.top + PLOT_HEIGHT - value / maxValue * PLOT_HEIGHT;
+  const clipId = `tsc-plot-${title.replace(/\W/g, '')}`;
+
+  const timeTicks = [];
+  const windowEnd = windowStart + METRICS.TIME_SERIES_WINDOW;
+  for (let time = Math.ceil(windowStart / TIME_TICK) * TIME_TICK; time <= windowEnd; time += TIME_TICK) {
+    if (time >= 0) timeTicks.push(time);
+  }
+
+  return (
+    <div className="tsc-chart">
+      <div className="tsc-title">{title}{unit && <span className="tsc-unit"> ({unit})</span>}</div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="xMidYMid meet">
+        <defs>
+          <clipPath id={clipId}>
+            <rect x={MARGIN.left} y={MARGIN.top} width={PLOT_WIDTH} height={PLOT_HEIGHT} />
+          </clipPath>
+        </defs>
+
+        {timeTicks.map(time => (
+          <g key={time}>
+            <line className="tsc-grid" x1={x(time)} y1={MARGIN.top} x2={x(time)} y2={MARGIN.top + PLOT_HEIGHT} />
+            <text className="tsc-label" x={x(time)} y={HEIGHT - 5} textAnchor="middle">{time / 1000}s</text>
+          </g>
+        ))}
+        {[0, maxValue / 2, maxValue].map(value => (
+          <text key={value} className="tsc-label" x={MARGIN.left - 4} y={y(value) + 3} textAnchor="end">
+            {Number.isInteger(value) ? value : value.toFixed(1)}
+          </text>
+        ))}
+
+        <g clipPath={`url(#${clipId})`}>
+          {preemptions.map(run => (
+            <rect
+              key={run.start}
+              className="tsc-preemption"
+              x={x(run.start)}
+              y={MARGIN.top}
+              width={x(run.end) - x(run.start)}
+              height={PLOT_HEIGHT}
+            >
+              <title>Preemption at intersection {[...run.ids].join(', ')}</title>
+            </rect>
+          ))}
+          {series.map(line => line.segments.map(segment => (
+            <polyline
+              key={`${line.key}-${segment[0].time}`}
+              className="tsc-line"
+              style={{ stroke: line.color }}
+              points={segment.map(point => `${x(point.time)},${y(point.value)}`).join(' ')}
+            />
+          )))}
+        </g>
+        <rect className="tsc-frame" x={MARGIN.left} y={MARGIN.top} width={PLOT_WIDTH} height={PLOT_HEIGHT} />
+      </svg>
+      {series.length > 1 && (
+        <div className="tsc-legend">
+          {series.map(line => (
+            <span key={line.key}><span className="tsc-swatch" style={{ background: line.color }} />{line.label}</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Rolling time series of the simulation (see recordTimeSeries in metrics.js): active vehicles,
+// their average speed and the queue at every intersection. They are sampled on the simulation
+// clock, so they stand still while it is paused.
+const TimeSeriesCharts = () => {
+  const { metrics, intersections, simulationTime } = useSimulation();
+  const { samples } = metrics;
+  const windowStart = simulationTime - METRICS.TIME_SERIES_WINDOW;
+  const preemptions = getPreemptionRuns(samples);
+
+  const charts = [
+    {
+      title: 'Active vehicles',
+      series: [{ key: 'vehicles', color: INTERSECTION_COLORS[0], segments: getSegments(samples, sample => sample.vehicles) }]
+    },
+    {
+      title: 'Average speed',
+      unit: 'px/s',
+      series: [{ key: 'speed', color: INTERSECTION_COLORS[3], segments: getSegments(samples, sample => sample.averageSpeed) }]
+    },
+    {
+      title: 'Queue length',
+      unit: 'vehicles',
+      series: intersections.map((intersection, index) => ({
+        key: intersection.id,
+        label: `#${intersection.id}`,
+        color: INTERSECTION_COLORS[index % INTERSECTION_COLORS.length],
+        segments: getSegments(samples, sample => (sample.queues[intersection.id] === undefined ? null : sample.queues[intersection.id]))
+      }))
+    }
+  ];
+
+  return (
+    <div className="time-series-charts">
+      {charts.map(chart => (
+        <Chart key={chart.title} {...chart} preemptions={preemptions} windowStart={windowStart} />
+      ))}
+      <div className="tsc-legend">
+        <span><span className="tsc-swatch tsc-preemption-swatch" />Emergency preemption</span>
+      </div>
+    </div>
+  );
+};
+
+export default TimeSeriesCharts;
@@ -0,0 +1,144 @@
+import React from 'react';
+import { useSimulation } from '../contexts/SimulationContext';
+import { COORDINATION } from '../simulation/constants';
+import '../styles/TimeSpaceDiagram.css';
+
+const WIDTH = 1000;
+const HEIGHT = 320;
+const MARGIN = { top: 12, right: 12, bottom: 28, left: 64 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+const BAND_HEIGHT = 6;
+const TIME_TICK = 10000;
+
+const SIGNAL_CLASSES = {
+  GREEN: 'tsd-green',
+  PERMISSIVE: 'tsd-green',
+  YELLOW: 'tsd-amber',
+  RED: 'tsd-red'
+};
+
+// Consecutive samples showing the same signal, as { signal, start, end }
+const getSignalRuns = (samples, index) => {
+  const runs = [];
+  samples.forEach(sample => {
+    const signal = sample.signals[index];
+    const last = runs[runs.length - 1];
+    if (last && last.signal === signal) {
+      last.end = sample.time + COORDINATION.SAMPLE_INTERVAL;
+    } else {
+      runs.push({ signal, start: sample.time, end: sample.time + COORDINATION.SAMPLE_INTERVAL });
+    }
+  });
+  return runs;
+};
+
+// Sampled positions of every vehicle: [{ id, type, points: [{ time, position }] }]
+const getTrajectories = (samples) => {
+  const trajectories = new Map();
+  samples.forEach(sample => {
+    sample.vehicles.forEach(vehicle => {
+      if (!trajectories.has(vehicle.id)) {
+        trajectories.set(vehicle.id, { id: vehicle.id, type: vehicle.type, points: [] });
+      }
+      trajectories.get(vehicle.id).points.push({ time: sample.time, position: vehicle.position });
+    });
+  });
+  return Array.from(trajectories.values());
+};
+
+// Time-space diagram of the coordinated corridor: time runs left to right over the sampled
+// window, distance along the corridor bottom to top. Each intersection is a band coloured by the
+// signal its through movement showed, each vehicle a trajectory, and dashed lines trace the
+// progression speed from every green at the first intersection - trajectories that follow them
+// ride the green wave.
+const TimeSpaceDiagram = () => {
+  const { coordination, simulationTime } = useSimulation();
+  if (!coordination) return null;
+
+  const { corridor, speed, samples } = coordination;
+  const windowStart = simulationTime - COORDINATION.TIME_SPACE_WINDOW;
+  const x = (time) => MARGIN.left + (time - windowStart) / COORDINATION.TIME_SPACE_WINDOW * PLOT_WIDTH;
+  const y = (position) => MARGIN.top + PLOT_HEIGHT - position / corridor.length * PLOT_HEIGHT;
+
+  const first = corridor.intersections[0];
+  const last = corridor.intersections[corridor.intersections.length - 1];
+  const travelTime = (last.position - first.position) / speed * 1000;
+  const greenOnsets = getSignalRuns(samples, 0)
+    .filter(run => SIGNAL_CLASSES[run.signal] === 'tsd-green')
+    .map(run => run.start);
+
+  const timeTicks = [];
+  for (let time = Math.ceil(windowStart / TIME_TICK) * TIME_TICK; time <= simulationTime; time += TIME_TICK) {
+    if (time >= 0) timeTicks.push(time);
+  }
+
+  return (
+    <div className="time-space-diagram">
+      <h3>Time-Space Diagram · {corridor.name} · {speed}px/s · cycle {coordination.cycleLength / 1000}s</h3>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="xMidYMid meet">
+        <defs>
+          <clipPath id="tsd-plot">
+            <rect x={MARGIN.left} y={MARGIN.top} width={PLOT_WIDTH} height={PLOT_HEIGHT} />
+          </clipPath>
+        </defs>
+
+        {timeTicks.map(time => (
+          <g key={time}>
+            <line className="tsd-grid" x1={x(time)} y1={MARGIN.top} x2={x(time)} y2={MARGIN.top + PLOT_HEIGHT} />
+            <text className="tsd-label" x={x(time)} y={HEIGHT - 8} textAnchor="middle">{time / 1000}s</text>
+          </g>
+        ))}
+
+        <g clipPath="url(#tsd-plot)">
+          {corridor.intersections.map((intersection, index) => (
+            getSignalRuns(samples, index).map(run => (
+              <rect
+                key={`${intersection.id}-${run.start}`}
+                className={SIGNAL_CLASSES[run.signal]}
+                x={x(run.start)}
+                y={y(intersection.position) - BAND_HEIGHT / 2}
+                width={x(run.end) - x(run.start)}
+                height={BAND_HEIGHT}
+              />
+            ))
+          ))}
+
+          {greenOnsets.map(onset => (
+            <line
+              key={onset}
+              className="tsd-progression"
+              x1={x(onset)}
+              y1={y(first.position)}
+              x2={x(onset + travelTime)}
+              y2={y(last.position)}
+            />
+          ))}
+
+          {getTrajectories(samples).map(trajectory => (
+            <polyline
+              key={trajectory.id}
+              className={`tsd-trajectory tsd-${trajectory.type}`}
+              points={trajectory.points.map(point => `${x(point.time)},${y(point.position)}`).join(' ')}
+            />
+          ))}
+        </g>
+
+        {corridor.intersections.map(intersection => (
+          <text
+            key={intersection.id}
+            className="tsd-label"
+            x={MARGIN.left - 8}
+            y={y(intersection.position) + 4}
+            textAnchor="end"
+          >
+            Int {intersection.id}
+          </text>
+        ))}
+        <rect className="tsd-frame" x={MARGIN.left} y={MARGIN.top} width={PLOT_WIDTH} height={PLOT_HEIGHT} />
+      </svg>
+    </div>
+  );
+};
+
+export default TimeSpaceDiagram;
@@ -1,7 +1,8 @@
 import React from 'react';
 import '../styles/Vehicle.css';
 
-const Vehicle = ({ vehicle }) => {
+// `highlighted` marks the vehicles of the safety event being shown
+const Vehicle = ({ vehicle, highlighted = false }) => {
   const isEmergencyVehicle = (v) => {
     return v.isEmergency || v.type === 'emergency' || v.type === 'firetruck' || v.type === 'police';
   };
@@ -39,7 +40,7 @@ const Vehicle = ({ vehicle }) => {
 
   return (
     <div
-      className={`vehicle ${isEmergencyVehicle(vehicle) ? 'emergency' : ''} ${vehicle.stopped ? 'stopped' : ''}`}
+      className={`vehicle ${isEmergencyVehicle(vehicle) ? 'emergency' : ''} ${vehicle.stopped ? 'stopped' : ''} ${highlighted ? 'highlighted' : ''}`}
       style={{
         left: `${vehicle.x}px`,
         top: `${vehicle.y}px`,
@@ -70,6 +71,10 @@ const Vehicle = ({ vehicle }) => {
           {vehicle.turnDirection === 'straight' && '⬆️'}
         </div>
       )}
+      {/* Emergency vehicle told to hold for a conflicting one */}
+      {vehicle.priorityResponse && vehicle.priorityResponse.status === 'rejected' && (
+        <div className="priority-hold-indicator">✋</div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,319 @@
+// Unit vectors for each travel direction in screen coordinates (Y increases downward)
+export const DIRECTION_VECTORS = {
+  NORTH: { x: 0, y: -1 },
+  SOUTH: { x: 0, y: 1 },
+  EAST: { x: 1, y: 0 },
+  WEST: { x: -1, y: 0 }
+};
+
+export const isVerticalDirection = (direction) => direction === 'NORTH' || direction === 'SOUTH';
+
+// Sign of the curb side across the road for traffic in a direction: north-bound traffic keeps to
+// the east side of the road (higher X) and east-bound to the south side (higher Y)
+export const getCurbSide = (direction) => (direction === 'NORTH' || direction === 'EAST' ? 1 : -1);
+
+// Control types of intersection nodes, and the settings of signalized ones a network may name
+// (see networks/index.js)
+const INTERSECTION_CONTROLS = ['signal', 'uncontrolled'];
+const INTERSECTION_OPTIONS = {
+  controller: ['fixed', 'actuated', 'adaptive'],
+  detection: ['loops', 'v2i'],
+  adaptivePolicy: ['max-pressure', 'webster']
+};
+
+// RoadGrid system for strict lane positioning
+// Built from a declarative road network (see networks/index.js): collinear segments are merged
+// into straight vertical and horizontal roads, nodes with a control type become intersections
+class RoadGrid {
+  constructor(network) {
+    this.validate(network);
+
+    this.name = network.name;
+    this.laneWidth = network.laneWidth;
+    this.nodes = network.nodes;
+    this.segments = network.segments;
+
+    // Intersections are controlled nodes, every other node is a boundary point of the network
+    this.intersections = network.nodes
+      .filter(node => node.control)
+      .map(node => ({
+        id: node.id,
+        x: node.x,
+        y: node.y,
+        control: node.control,
+        initialPhase: node.initialPhase,
+        plan: node.plan,
+        splits: node.splits,
+        controller: node.controller,
+        detection: node.detection,
+        adaptivePolicy: node.adaptivePolicy,
+        amberDuration: node.amberDuration,
+        allRedDuration: node.allRedDuration,
+        preemptionExit: node.preemptionExit
+      }));
+    this.boundaryNodes = network.nodes.filter(node => !node.control);
+
+    // Define vertical roads (North-South) and horizontal roads (East-West)
+    this.verticalRoads = this.buildRoads(true);
+    this.horizontalRoads = this.buildRoads(false);
+
+    // Each intersection box spans the roads crossing it
+    this.intersections.forEach(intersection => {
+      const verticalRoad = this.verticalRoads.find(r => r.centerX === intersection.x);
+      const horizontalRoad = this.horizontalRoads.find(r => r.centerY === intersection.y);
+      intersection.width = verticalRoad ? this.getRoadWidth(verticalRoad) : this.laneWidth;
+      intersection.height = horizontalRoad ? this.getRoadWidth(horizontalRoad) : this.laneWidth;
+    });
+  }
+
+  validate(network) {
+    if (!network || !Array.isArray(network.nodes) || !Array.isArray(network.segments)) {
+      throw new Error('Invalid road network: expected nodes and segments arrays');
+    }
+    if (!(network.laneWidth > 0)) {
+      throw new Error('Invalid road network: laneWidth must be a positive number');
+    }
+
+    const ids = new Set();
+    network.nodes.forEach(node => {
+      if (ids.has(node.id)) {
+        throw new Error(`Invalid road network: duplicate node id ${node.id}`);
+      }
+      ids.add(node.id);
+    });
+
+    const degree = new Map();
+    network.segments.forEach(segment => {
+      const from = network.nodes.find(n => n.id === segment.from);
+      const to = network.nodes.find(n => n.id === segment.to);
+      if (!from || !to) {
+        throw new Error(`Invalid road network: segment ${segment.from} -> ${segment.to} references an unknown node`);
+      }
+      if (from.x !== to.x && from.y !== to.y) {
+        throw new Error(`Invalid road network: segment ${segment.from} -> ${segment.to} is neither horizontal nor vertical`);
+      }
+      ['forward', 'backward'].forEach(key => {
+        const lanes = segment.lanes && segment.lanes[key];
+        if (!(Number.isInteger(lanes) && lanes >= 0)) {
+          throw new Error(`Invalid road network: lanes.${key} of segment ${segment.from} -> ${segment.to} must be a non-negative integer`);
+        }
+      });
+      degree.set(from.id, (degree.get(from.id) || 0) + 1);
+      degree.set(to.id, (degree.get(to.id) || 0) + 1);
+    });
+
+    network.nodes.forEach(node => {
+      if (node.control !== undefined && !INTERSECTION_CONTROLS.includes(node.control)) {
+        throw new Error(`Invalid road network: control "${node.control}" of node ${node.id} must be one of ${INTERSECTION_CONTROLS.join(', ')}`);
+      }
+      Object.entries(INTERSECTION_OPTIONS).forEach(([key, values]) => {
+        if (node[key] !== undefined && !values.includes(node[key])) {
+          throw new Error(`Invalid road network: ${key} "${node[key]}" of node ${node.id} must be one of ${values.join(', ')}`);
+        }
+      });
+      if (!node.control && degree.get(node.id) !== 1) {
+        throw new Error(`Invalid road network: boundary node ${node.id} must have exactly one segment`);
+      }
+      // Intersections are named by their id in J2735 messages, whose IntersectionID is a 16-bit number
+      if (node.control && !(Number.isInteger(node.id) && node.id >= 0 && node.id <= 65535)) {
+        throw new Error(`Invalid road network: intersection id ${node.id} must be an integer from 0 to 65535`);
+      }
+      ['amberDuration', 'allRedDuration'].forEach(key => {
+        if (node[key] !== undefined && !(node[key] >= 0)) {
+          throw new Error(`Invalid road network: ${key} of node ${node.id} must be a non-negative number of ms`);
+        }
+      });
+    });
+  }
+
+  // Merge collinear segments into roads with their extent and lane counts per direction
+  buildRoads(vertical) {
+    const roads = new Map();
+
+    this.segments.forEach(segment => {
+      const from = this.getNode(segment.from);
+      const to = this.getNode(segment.to);
+      if ((from.x === to.x) !== vertical) return;
+
+      const center = vertical ? from.x : from.y;
+      const forwardDirection = vertical
+        ? (to.y < from.y ? 'NORTH' : 'SOUTH')
+        : (to.x > from.x ? 'EAST' : 'WEST');
+      const backwardDirection = this.getOppositeDirection(forwardDirection);
+
+      const road = roads.get(center) || { center, start: Infinity, end: -Infinity, lanes: {} };
+      [from, to].forEach(node => {
+        const position = vertical ? node.y : node.x;
+        if (position < road.start) {
+          road.start = position;
+          road.startNode = node.id;
+        }
+        if (position > road.end) {
+          road.end = position;
+          road.endNode = node.id;
+        }
+      });
+      road.lanes[forwardDirection] = Math.max(road.lanes[forwardDirection] || 0, segment.lanes.forward || 0);
+      road.lanes[backwardDirection] = Math.max(road.lanes[backwardDirection] || 0, segment.lanes.backward || 0);
+      roads.set(center, road);
+    });
+
+    return Array.from(roads.values())
+      .sort((a, b) => a.center - b.center)
+      .map((road, index) => ({
+        index,
+        ...(vertical ? { centerX: road.center } : { centerY: road.center }),
+        start: road.start,
+        end: road.end,
+        startNode: road.startNode,
+        endNode: road.endNode,
+        lanes: road.lanes
+      }));
+  }
+
+  getNode(id) {
+    return this.nodes.find(node => node.id === id);
+  }
+
+  getOppositeDirection(direction) {
+    return { NORTH: 'SOUTH', SOUTH: 'NORTH', EAST: 'WEST', WEST: 'EAST' }[direction];
+  }
+
+  getRoads(direction) {
+    return isVerticalDirection(direction) ? this.verticalRoads : this.horizontalRoads;
+  }
+
+  // Number of lanes a road offers in one travel direction
+  getLaneCount(road, direction) {
+    return road.lanes[direction] || 0;
+  }
+
+  // Total width of a road across both travel directions
+  getRoadWidth(road) {
+    return Object.values(road.lanes).reduce((sum, lanes) => sum + lanes, 0) * this.laneWidth;
+  }
+
+  // Distance of a lane center from the road's center line, towards the driver's right
+  // Lane 1 is the right (curb) lane, higher lanes are closer to the center divider
+  getLaneOffset(road, lane, direction) {
+    const laneCount = Math.max(this.getLaneCount(road, direction), 1);
+    const clampedLane = Math.min(Math.max(lane, 1), laneCount);
+    return (laneCount - clampedLane + 0.5) * this.laneWidth;
+  }
+
+  // Get the X coordinate for a vertical road at specific lane
+  getVerticalRoadLaneX(roadIndex, lane, direction) {
+    if (roadIndex < 0 || roadIndex >= this.verticalRoads.length) {
+      console.error(`Invalid vertical road index: ${roadIndex}`);
+      return this.verticalRoads.length > 0 ? this.verticalRoads[0].centerX : 0;
+    }
+
+    const road = this.verticalRoads[roadIndex];
+
+    return road.centerX + getCurbSide(direction) * this.getLaneOffset(road, lane, direction);
+  }
+
+  // Get the Y coordinate for a horizontal road at specific lane
+  getHorizontalRoadLaneY(roadIndex, lane, direction) {
+    if (roadIndex < 0 || roadIndex >= this.horizontalRoads.length) {
+      console.error(`Invalid horizontal road index: ${roadIndex}`);
+      return this.horizontalRoads.length > 0 ? this.horizontalRoads[0].centerY : 0;
+    }
+
+    const road = this.horizontalRoads[roadIndex];
+
+    return road.centerY + getCurbSide(direction) * this.getLaneOffset(road, lane, direction);
+  }
+
+  // Point at a given position along a road, centered in a lane
+  getLanePoint(roadIndex, lane, direction, position) {
+    return isVerticalDirection(direction)
+      ? { x: this.getVerticalRoadLaneX(roadIndex, lane, direction), y: position }
+      : { x: position, y: this.getHorizontalRoadLaneY(roadIndex, lane, direction) };
+  }
+
+  // Where traffic travelling in a direction enters and leaves a road
+  getEntryPosition(road, direction) {
+    const vector = DIRECTION_VECTORS[direction];
+    return vector.x + vector.y > 0 ? road.start : road.end;
+  }
+
+  getExitPosition(road, direction) {
+    const vector = DIRECTION_VECTORS[direction];
+    return vector.x + vector.y > 0 ? road.end : road.start;
+  }
+
+  getEntryNode(road, direction) {
+    const vector = DIRECTION_VECTORS[direction];
+    return vector.x + vector.y > 0 ? road.startNode : road.endNode;
+  }
+
+  getExitNode(road, direction) {
+    const vector = DIRECTION_VECTORS[direction];
+    return vector.x + vector.y > 0 ? road.endNode : road.startNode;
+  }
+
+  // Where traffic travelling in a direction enters and leaves an intersection box
+  getIntersectionEntryPosition(intersection, direction) {
+    const vector = DIRECTION_VECTORS[direction];
+    return isVerticalDirection(direction)
+      ? intersection.y - vector.y * intersection.height / 2
+      : intersection.x - vector.x * intersection.width / 2;
+  }
+
+  getIntersectionExitPosition(intersection, direction) {
+    const vector = DIRECTION_VECTORS[direction];
+    return isVerticalDirection(direction)
+      ? intersection.y + vector.y * intersection.height / 2
+      : intersection.x + vector.x * intersection.width / 2;
+  }
+
+  isBoundaryNode(id) {
+    return this.boundaryNodes.some(node => node.id === id);
+  }
+
+  // Index of the road running through an intersection in the given travel direction, or -1
+  findRoadIndexAt(intersection, direction) {
+    const road = isVerticalDirection(direction)
+      ? this.verticalRoads.find(r => r.centerX === intersection.x)
+      : this.horizontalRoads.find(r => r.centerY === intersection.y);
+    return road ? road.index : -1;
+  }
+
+  // Find which road index a vehicle should be on after a turn
+  findRoadIndexAfterTurn(intersectionId, newDirection) {
+    const intersection = this.intersections.find(i => i.id === intersectionId);
+    if (!intersection) return 0;
+
+    return Math.max(this.findRoadIndexAt(intersection, newDirection), 0);
+  }
+
+  // Straight routes from one boundary of the network to another, one per lane
+  getStraightRoutes() {
+    const routes = [];
+
+    ['NORTH', 'SOUTH', 'EAST', 'WEST'].forEach(direction => {
+      this.getRoads(direction).forEach(road => {
+        const entryNode = this.getEntryNode(road, direction);
+        const exitNode = this.getExitNode(road, direction);
+        if (!this.isBoundaryNode(entryNode) || !this.isBoundaryNode(exitNode)) return;
+
+        for (let lane = 1; lane <= this.getLaneCount(road, direction); lane++) {
+          routes.push({
+            start: this.getLanePoint(road.index, lane, direction, this.getEntryPosition(road, direction)),
+            end: this.getLanePoint(road.index, lane, direction, this.getExitPosition(road, direction)),
+            direction,
+            lane,
+            roadIndex: road.index,
+            origin: entryNode,
+            destination: exitNode
+          });
+        }
+      });
+    });
+
+    return routes;
+  }
+}
+
+export default RoadGrid;
@@ -0,0 +1,51 @@
+import RoadGrid from './RoadGrid';
+import { NETWORKS } from './networks';
+
+describe('network validation', () => {
+  // The T-junction with its intersection renamed
+  const renameIntersection = (id) => ({
+    ...NETWORKS.tJunction,
+    nodes: NETWORKS.tJunction.nodes.map(node => (node.control ? { ...node, id } : node)),
+    segments: NETWORKS.tJunction.segments.map(segment => ({
+      ...segment,
+      from: segment.from === 1 ? id : segment.from,
+      to: segment.to === 1 ? id : segment.to
+    }))
+  });
+
+  test('every built-in network is valid', () => {
+    Object.values(NETWORKS).forEach(network => expect(() => new RoadGrid(network)).not.toThrow());
+  });
+
+  test.each(['A', 1.5, -1, 65536])('an intersection id %p that V2X messages cannot carry is rejected', (id) => {
+    expect(() => new RoadGrid(renameIntersection(id))).toThrow(`intersection id ${id} must be an integer`);
+  });
+
+  // The T-junction with its first segment or its intersection changed
+  const changeSegment = (changes) => ({
+    ...NETWORKS.tJunction,
+    segments: NETWORKS.tJunction.segments.map((segment, index) => (index === 0 ? { ...segment, ...changes } : segment))
+  });
+  const changeIntersection = (changes) => ({
+    ...NETWORKS.tJunction,
+    nodes: NETWORKS.tJunction.nodes.map(node => (node.control ? { ...node, ...changes } : node))
+  });
+
+  test.each([
+    [{ lanes: undefined }, 'lanes.forward'],
+    [{ lanes: { forward: 2 } }, 'lanes.backward'],
+    [{ lanes: { forward: -1, backward: 2 } }, 'lanes.forward'],
+    [{ lanes: { forward: 2, backward: 1.5 } }, 'lanes.backward']
+  ])('a segment with %j is rejected', (changes, field) => {
+    expect(() => new RoadGrid(changeSegment(changes))).toThrow(`${field} of segment`);
+  });
+
+  test.each([
+    [{ control: 'roundabout' }, 'control "roundabout"'],
+    [{ controller: 'smart' }, 'controller "smart"'],
+    [{ detection: 'camera' }, 'detection "camera"'],
+    [{ adaptivePolicy: 'greedy' }, 'adaptivePolicy "greedy"']
+  ])('an intersection with %j is rejected', (changes, field) => {
+    expect(() => new RoadGrid(changeIntersection(changes))).toThrow(field);
+  });
+});
@@ -0,0 +1,199 @@
+import { ADAPTIVE_CONTROL, ACTUATED_CONTROL } from './constants';
+import { isAhead, TURN_TARGETS } from './geometry';
+import { isVerticalDirection } from './RoadGrid';
+import { APPROACHES, MOVEMENTS, servesMovement } from './signalPlans';
+
+// Adaptive signal control
+// Adaptive intersections estimate demand from the positions, speeds and movements connected
+// vehicles report over V2I, and time their phases with one of two policies:
+// - max-pressure: after each decision interval the phase whose movements have the largest
+//   upstream-minus-downstream queue gets (or keeps) the green
+// - webster: at the start of every cycle the cycle length and splits are optimised from the
+//   estimated arrival rates with Webster's formula
+// Every decision is recorded with its rationale so the overlay can show why it was taken.
+
+const emptyMovementCounts = () => {
+  const counts = {};
+  APPROACHES.forEach(approach => {
+    counts[approach] = { left: 0, through: 0, right: 0 };
+  });
+  return counts;
+};
+
+// Queued (slow or stopped) vehicles per approach and movement among an intersection's reports
+const countQueues = (reports) => {
+  const queues = emptyMovementCounts();
+  reports.forEach(report => {
+    if (report.speed < ADAPTIVE_CONTROL.QUEUE_SPEED) {
+      queues[report.direction.toLowerCase()][report.movement]++;
+    }
+  });
+  return queues;
+};
+
+const sumMovements = (counts) => MOVEMENTS.reduce((sum, movement) => sum + counts[movement], 0);
+
+// Update an intersection's demand estimate from the vehicle reports it currently holds:
+// queue lengths per movement, and arrivals - vehicles reporting for the first time - kept for
+// ARRIVAL_WINDOW to estimate arrival rates. Vehicles are remembered until they have not reported
+// for as long, so one whose reports the channel loses for a while is not counted again.
+export const estimateDemand = (time, intersection) => {
+  const previous = intersection.demand;
+  const lastReports = Object.fromEntries(Object.entries(previous.lastReports)
+    .filter(([, reportTime]) => time - reportTime < ADAPTIVE_CONTROL.ARRIVAL_WINDOW));
+
+  const arrivals = previous.arrivals.filter(arrival => time - arrival.time < ADAPTIVE_CONTROL.ARRIVAL_WINDOW);
+  intersection.vehicleReports.forEach(report => {
+    if (lastReports[report.vehicleId] === undefined) {
+      arrivals.push({ time, approach: report.direction.toLowerCase(), movement: report.movement });
+    }
+    lastReports[report.vehicleId] = report.time;
+  });
+
+  return {
+    queues: countQueues(intersection.vehicleReports),
+    arrivals,
+    lastReports
+  };
+};
+
+// Arrival rates (vehicles/s) per approach and movement over the arrival window
+const getArrivalRates = (demand) => {
+  const rates = emptyMovementCounts();
+  const windowSeconds = ADAPTIVE_CONTROL.ARRIVAL_WINDOW / 1000;
+  demand.arrivals.forEach(arrival => {
+    rates[arrival.approach][arrival.movement] += 1 / windowSeconds;
+  });
+  return rates;
+};
+
+// Nearest intersection after this one along the road leaving it in `direction`
+const findDownstreamIntersection = (intersections, intersection, direction) => {
+  const vertical = isVerticalDirection(direction);
+  let downstream = null;
+  let minDistance = Infinity;
+
+  intersections.forEach(other => {
+    if (other.id === intersection.id) return;
+    if (vertical ? other.x !== intersection.x : other.y !== intersection.y) return;
+    if (!isAhead({ ...intersection, direction }, other)) return;
+
+    const distance = Math.abs(other.x - intersection.x) + Math.abs(other.y - intersection.y);
+    if (distance < minDistance) {
+      minDistance = distance;
+      downstream = other;
+    }
+  });
+
+  return downstream;
+};
+
+// Max-pressure: weight of a movement = its queue minus the queue it discharges into
+// (the downstream intersection's approach in the exit direction, none at the network edge).
+// A movement without a queue has nothing to discharge and weighs nothing, however full the
+// road downstream is. Pedestrian phases carry no vehicle pressure and are never chosen.
+export const decideByPressure = (state, intersection) => {
+  const { queues } = intersection.demand;
+
+  const getWeight = (approach, movement) => {
+    if (queues[approach][movement] === 0) return 0;
+
+    const direction = approach.toUpperCase();
+    const exitDirection = movement === 'through' ? direction : TURN_TARGETS[movement][direction];
+    const downstream = findDownstreamIntersection(state.intersections, intersection, exitDirection);
+    const downstreamQueue = downstream
+      ? sumMovements(countQueues(downstream.vehicleReports)[exitDirection.toLowerCase()])
+      : 0;
+    return queues[approach][movement] - downstreamQueue;
+  };
+
+  const pressures = intersection.plan.map(planPhase => {
+    let pressure = 0;
+    APPROACHES.forEach(approach => {
+      MOVEMENTS.forEach(movement => {
+        if (servesMovement(planPhase, approach, movement)) {
+          pressure += getWeight(approach, movement);
+        }
+      });
+    });
+    return planPhase.type === 'pedestrian' ? -Infinity : pressure;
+  });
+
+  // Ties keep the current phase, so the green only moves for strictly higher pressure
+  let chosen = intersection.phaseIndex;
+  pressures.forEach((pressure, index) => {
+    if (pressure > pressures[chosen]) chosen = index;
+  });
+
+  const listed = intersection.plan
+    .map((planPhase, index) => (planPhase.type === 'pedestrian' ? null : `${planPhase.id} ${pressures[index]}`))
+    .filter(Boolean)
+    .join(', ');
+  const action = chosen === intersection.phaseIndex ? 'extend' : 'switch to';
+
+  return {
+    policy: 'max-pressure',
+    time: state.time,
+    phaseIndex: chosen,
+    pressures,
+    summary: `${listed} → ${action} ${intersection.plan[chosen].id.toUpperCase()}`
+  };
+};
+
+// Number of lanes a phase discharges an approach from - protected lefts use the turn lane only
+const getServedLanes = (roadGrid, intersection, planPhase, approach) => {
+  if (planPhase.type === 'protected-left') return 1;
+  const direction = approach.toUpperCase();
+  const road = roadGrid.getRoads(direction)[roadGrid.findRoadIndexAt(intersection, direction)];
+  return road ? Math.max(roadGrid.getLaneCount(road, direction), 1) : 1;
+};
+
+// Webster's method: each phase's flow ratio is its critical approach's arrival rate over its
+// saturation flow; the cycle is (1.5L + 5) / (1 - Y) and the effective green is shared in
+// proportion to the flow ratios. Pedestrian phases keep their planned split.
+export const decideByWebster = (state, intersection) => {
+  const { roadGrid } = state;
+  const rates = getArrivalRates(intersection.demand);
+  const { plan } = intersection;
+
+  const flowRatios = plan.map(planPhase => {
+    if (planPhase.type === 'pedestrian') return 0;
+    return Math.max(0, ...planPhase.approaches.map(approach => {
+      const flow = MOVEMENTS
+        .filter(movement => servesMovement(planPhase, approach, movement))
+        .reduce((sum, movement) => sum + rates[approach][movement], 0);
+      return flow / (ADAPTIVE_CONTROL.SATURATION_FLOW * getServedLanes(roadGrid, intersection, planPhase, approach));
+    }));
+  });
+
+  const pedestrianTime = plan
+    .filter(planPhase => planPhase.type === 'pedestrian')
+    .reduce((sum, planPhase) => sum + planPhase.split / 1000, 0);
+  const lostTime = plan.length * (intersection.amberDuration + intersection.allRedDuration) / 1000 + pedestrianTime;
+  // Y is capped so an oversaturated intersection still gets a finite cycle - the shares of the
+  // green stay in proportion to the actual flow ratios
+  const flowRatioSum = flowRatios.reduce((sum, ratio) => sum + ratio, 0);
+  const totalRatio = Math.min(flowRatioSum, ADAPTIVE_CONTROL.MAX_FLOW_RATIO);
+
+  const cycle = Math.min(
+    Math.max((1.5 * lostTime + 5) / (1 - totalRatio), ADAPTIVE_CONTROL.MIN_CYCLE / 1000),
+    ADAPTIVE_CONTROL.MAX_CYCLE / 1000
+  );
+  const effectiveGreen = cycle - lostTime;
+  const vehiclePhases = plan.filter(planPhase => planPhase.type !== 'pedestrian').length;
+
+  const splits = plan.map((planPhase, index) => {
+    if (planPhase.type === 'pedestrian') return planPhase.split;
+    const share = flowRatioSum > 0 ? flowRatios[index] / flowRatioSum : 1 / vehiclePhases;
+    return Math.max(effectiveGreen * share * 1000, ACTUATED_CONTROL.MIN_GREEN);
+  });
+
+  return {
+    policy: 'webster',
+    time: state.time,
+    cycle: cycle * 1000,
+    flowRatios,
+    splits,
+    summary: `C=${cycle.toFixed(0)}s Y=${totalRatio.toFixed(2)} → ${splits.map(split => (split / 1000).toFixed(0)).join('/')}s`
+  };
+};
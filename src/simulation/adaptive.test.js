@@ -0,0 +1,29 @@
+import { createSimulation } from './engine';
+import { ADAPTIVE_CONTROL } from './constants';
+import { decideByWebster } from './adaptive';
+import { NETWORKS } from './networks';
+
+describe('decideByWebster', () => {
+  // T-junction with two lanes on every approach: `counts` vehicles arrived through each approach
+  // over the arrival window
+  const setUp = (counts) => {
+    const state = createSimulation({ logging: false, network: NETWORKS.tJunction });
+    const arrivals = Object.entries(counts).flatMap(([approach, count]) =>
+      Array.from({ length: count }, () => ({ time: 0, approach, movement: 'through' })));
+    const intersection = { ...state.intersections[0], demand: { ...state.intersections[0].demand, arrivals } };
+    return { state, intersection };
+  };
+
+  test('an oversaturated intersection shares its effective green in proportion to the flow ratios', () => {
+    // Flow ratios 0.4 north-south and 0.8 east-west - together over MAX_FLOW_RATIO
+    const { state, intersection } = setUp({ north: 24, east: 48 });
+    const decision = decideByWebster(state, intersection);
+    const [northSouth, eastWest] = decision.splits;
+    const lostTime = intersection.plan.length * (intersection.amberDuration + intersection.allRedDuration);
+
+    expect(decision.flowRatios[0] + decision.flowRatios[1]).toBeGreaterThan(ADAPTIVE_CONTROL.MAX_FLOW_RATIO);
+    expect(decision.cycle).toBe(ADAPTIVE_CONTROL.MAX_CYCLE);
+    expect(northSouth + eastWest).toBeCloseTo(decision.cycle - lostTime);
+    expect(eastWest / northSouth).toBeCloseTo(2);
+  });
+});
@@ -0,0 +1,80 @@
+import { createSimulation, addVehicle, tick } from './engine';
+import { getDriverModel } from './carFollowing';
+import { getFootprint, getFootprintGap } from './geometry';
+import { nextRandom } from './random';
+
+// Benchmark mode: measures how long one engine tick takes with a given number of vehicles
+// spread over the configured network
+
+const DEFAULT_OPTIONS = {
+  vehicleCounts: [100, 500, 1000],
+  ticks: 50
+};
+
+// Random spots tried for each vehicle before it is left out
+const PLACEMENT_ATTEMPTS = 20;
+
+// Every 20th vehicle is an emergency vehicle so pull-over warnings and V2I broadcasts are exercised
+const BENCHMARK_TYPES = ['car', 'car', 'bus', 'truck', 'car', 'car', 'bus', 'truck', 'car', 'car',
+  'car', 'car', 'bus', 'truck', 'car', 'car', 'bus', 'truck', 'car', 'police'];
+
+// Place each vehicle somewhere between its spawn point and its first target, in its lane, with
+// the spacing createVehicle keeps at the entry. A vehicle that finds no free spot is left out.
+const scatterVehicles = (state) => {
+  const random = { ...state.random };
+  const placed = [];
+  state.vehicles.forEach(vehicle => {
+    const model = getDriverModel(vehicle.type);
+    for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS; attempt++) {
+      const progress = nextRandom(random);
+      const x = vehicle.x + (vehicle.targetX - vehicle.x) * progress;
+      const y = vehicle.y + (vehicle.targetY - vehicle.y) * progress;
+      const footprint = getFootprint(vehicle, x, y);
+      if (!placed.some(other => getFootprintGap(footprint, getFootprint(other)) < model.minGap)) {
+        placed.push({ ...vehicle, x, y });
+        return;
+      }
+    }
+  });
+  return { ...state, random, vehicles: placed };
+};
+
+// Vehicles are added to an empty copy of the network one at a time, as the entries are only
+// clear for one vehicle each, and scattered once all of them have been created
+const populate = (config, vehicleCount) => {
+  let state = createSimulation({ ...config, logging: false });
+  for (let i = 0; i < vehicleCount; i++) {
+    const added = addVehicle({ ...state, vehicles: [] }, BENCHMARK_TYPES[i % BENCHMARK_TYPES.length]);
+    state = { ...added, vehicles: [...state.vehicles, ...added.vehicles] };
+  }
+  return scatterVehicles(state);
+};
+
+// Returns one result per vehicle count: { vehicles, placed, ticks, averageTickMs, maxTickMs }
+// `placed` is the number of vehicles that found room on the network
+export const runBenchmark = (config = {}, options = {}) => {
+  const { vehicleCounts, ticks } = { ...DEFAULT_OPTIONS, ...options };
+
+  return vehicleCounts.map(vehicleCount => {
+    let state = populate(config, vehicleCount);
+    const placed = state.vehicles.length;
+    let totalMs = 0;
+    let maxTickMs = 0;
+
+    for (let i = 0; i < ticks; i++) {
+      const startedAt = performance.now();
+      state = tick(state);
+      const elapsed = performance.now() - startedAt;
+      totalMs += elapsed;
+      maxTickMs = Math.max(maxTickMs, elapsed);
+    }
+
+    return {
+      vehicles: vehicleCount,
+      placed,
+      ticks,
+      averageTickMs: totalMs / ticks,
+      maxTickMs
+    };
+  });
+};
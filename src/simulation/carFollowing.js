@@ -0,0 +1,47 @@
+import { CAR_FOLLOWING, DRIVER_MODELS } from './constants';
+
+// Intelligent Driver Model (IDM)
+// A vehicle accelerates towards its desired speed and brakes smoothly for whatever is ahead of it -
+// a leading vehicle or a stop line - keeping a gap that grows with its speed and closing rate.
+// All values use px, s, px/s and px/s².
+
+export const getDriverModel = (type) => DRIVER_MODELS[type] || DRIVER_MODELS.car;
+
+// Gap the driver wants to keep at `speed` while closing in at `approachRate`
+const desiredGap = (model, speed, approachRate) =>
+  model.minGap + Math.max(0, speed * model.timeHeadway +
+    (speed * approachRate) / (2 * Math.sqrt(model.maxAcceleration * model.comfortableDeceleration)));
+
+// Acceleration on a free road, or behind an obstacle { gap, speed } (bumper-to-bumper gap in px)
+export const idmAcceleration = (model, speed, obstacle = null) => {
+  const freeRoad = 1 - Math.pow(speed / model.desiredSpeed, CAR_FOLLOWING.ACCELERATION_EXPONENT);
+  if (!obstacle) {
+    return model.maxAcceleration * freeRoad;
+  }
+
+  const gap = Math.max(obstacle.gap, 0.1);
+  const interaction = Math.pow(desiredGap(model, speed, speed - obstacle.speed) / gap, 2);
+  return model.maxAcceleration * (freeRoad - interaction);
+};
+
+// Advance speed by one timestep of `dt` seconds
+// Braking is capped at MAX_DECELERATION and a vehicle never reverses: if it would stop within
+// the timestep it stops exactly where its speed reaches zero
+export const integrateMotion = (speed, acceleration, dt) => {
+  const clampedAcceleration = Math.max(acceleration, -CAR_FOLLOWING.MAX_DECELERATION);
+  const nextSpeed = speed + clampedAcceleration * dt;
+
+  if (nextSpeed <= 0) {
+    return {
+      speed: 0,
+      acceleration: clampedAcceleration,
+      distance: clampedAcceleration < 0 ? (speed * speed) / (-2 * clampedAcceleration) : 0
+    };
+  }
+
+  return {
+    speed: nextSpeed,
+    acceleration: clampedAcceleration,
+    distance: ((speed + nextSpeed) / 2) * dt
+  };
+};
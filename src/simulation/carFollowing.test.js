@@ -0,0 +1,77 @@
+import { createSimulation, tick } from './engine';
+import { CAR_FOLLOWING, SIGNAL_PHASES, TIMING } from './constants';
+import { getDriverModel, idmAcceleration, integrateMotion } from './carFollowing';
+import { getFootprint, getFootprintGap, getIntersectionBox } from './geometry';
+import { getMovementSignal } from './signals';
+import { NETWORKS } from './networks';
+import { addCarOnRoute, findVehicle, isInBox } from './testHelpers';
+
+describe('idmAcceleration', () => {
+  const model = getDriverModel('car');
+
+  test('a vehicle pulls away at its maximum acceleration and levels off at its desired speed', () => {
+    expect(idmAcceleration(model, 0)).toBe(model.maxAcceleration);
+    expect(idmAcceleration(model, model.desiredSpeed)).toBe(0);
+    expect(idmAcceleration(model, model.desiredSpeed / 2)).toBeGreaterThan(0);
+  });
+
+  test('it brakes harder the closer it gets to a stopped obstacle', () => {
+    const braking = [80, 40, 20].map(gap => idmAcceleration(model, model.desiredSpeed, { gap, speed: 0 }));
+    expect(braking[0]).toBeLessThan(0);
+    expect(braking[1]).toBeLessThan(braking[0]);
+    expect(braking[2]).toBeLessThan(braking[1]);
+  });
+
+  test('unknown vehicle types drive like cars', () => {
+    expect(getDriverModel('hovercraft')).toBe(model);
+  });
+});
+
+describe('integrateMotion', () => {
+  test('braking is capped at MAX_DECELERATION', () => {
+    const motion = integrateMotion(100, -1000, 0.05);
+    expect(motion.acceleration).toBe(-CAR_FOLLOWING.MAX_DECELERATION);
+    expect(motion.speed).toBeCloseTo(100 - CAR_FOLLOWING.MAX_DECELERATION * 0.05);
+  });
+
+  test('a vehicle that would stop within the timestep stops where its speed reaches zero', () => {
+    const motion = integrateMotion(3, -100, 0.05);
+    expect(motion.speed).toBe(0);
+    expect(motion.distance).toBeCloseTo((3 * 3) / 200);
+  });
+});
+
+describe('stopping at the stop line', () => {
+  // T-junction: the plan starts east-west, so a northbound car coming up the stem meets red
+  test('a car brakes smoothly to a stop before a red stop line and pulls away after green', () => {
+    let state = createSimulation({ logging: false, network: NETWORKS.tJunction });
+    const intersection = state.intersections[0];
+    const box = getIntersectionBox(intersection);
+    const added = addCarOnRoute(state, vehicle => vehicle.direction === 'NORTH');
+    state = added.state;
+    const model = getDriverModel('car');
+
+    let previous = findVehicle(state, added.vehicle.id);
+    let greenAt = null;
+    let movedAt = null;
+    while (movedAt === null && state.time < 60000) {
+      state = tick(state);
+      const vehicle = findVehicle(state, added.vehicle.id);
+      const signal = getMovementSignal(state.intersections[0], 'NORTH', vehicle.turnDirection || 'through');
+
+      expect(previous.speed - vehicle.speed).toBeLessThanOrEqual(model.comfortableDeceleration * TIMING.TICK / 1000 * 2);
+      if (signal !== SIGNAL_PHASES.GREEN) {
+        expect(isInBox(vehicle, intersection)).toBe(false);
+      } else if (greenAt === null) {
+        expect(vehicle.stopped).toBe(true);
+        expect(getFootprintGap(getFootprint(vehicle), box)).toBeLessThan(model.minGap + 5);
+        greenAt = state.time;
+      }
+      if (greenAt !== null && !vehicle.stopped) movedAt = state.time;
+      previous = vehicle;
+    }
+
+    expect(greenAt).not.toBeNull();
+    expect(movedAt - greenAt).toBeGreaterThanOrEqual(CAR_FOLLOWING.START_UP_REACTION_TIME - TIMING.TICK);
+  });
+});
@@ -0,0 +1,204 @@
+import { CHANNEL, TIMING, VEHICLE_CONSTANTS } from './constants';
+import { createRandom, nextRandom } from './random';
+import { queryRadius } from './spatialIndex';
+
+// Radio channel
+// Every V2X message goes through the simulation's channel, which decides whether it is received
+// and when:
+// - reception: the channel model's probability at the distance between sender and receiver,
+//   relative to the range of the link - V2V_COMMUNICATION_DISTANCE between vehicles,
+//   V2I_COMMUNICATION_MAX_DISTANCE between vehicles and intersections
+// - channel load: with load effects on, every vehicle within INTERFERENCE_RANGE of the receiver
+//   transmits on the same channel, and a message survives their collisions with probability
+//   exp(-transmitters / CAPACITY)
+// - latency: queued messages (SRMs and SSMs) arrive `latency` ± `jitter` ms after they were
+//   sent, rounded up to whole ticks - nothing acts on BSMs, so they are not delayed
+// Deliveries are counted per link type ('V2V', 'V2I' and 'I2V') and, for SRMs and SSMs, per
+// vehicle-intersection link. The channel draws from its own generator, so losses never change
+// the traffic a seed produces - and the ideal channel without jitter never draws at all.
+
+// Approximation of the standard normal CDF
+const normalCdf = (x) => 1 / (1 + Math.exp(-1.702 * x));
+
+// Reception probability of each model at `distance` on a link of `range` (px)
+export const CHANNEL_MODELS = {
+  ideal: {
+    label: 'Ideal (everything in range)',
+    receptionProbability: (distance, range) => (distance <= range ? 1 : 0)
+  },
+  'distance-decay': {
+    label: 'Distance decay',
+    // Certain up to half the range, then falling off quadratically to nothing at the range
+    receptionProbability: (distance, range) => {
+      const fading = (distance - range / 2) / (range / 2);
+      return fading <= 0 ? 1 : Math.max(0, 1 - fading * fading);
+    }
+  },
+  'path-loss': {
+    label: 'Path loss with shadowing',
+    // Log-distance path loss with log-normal shadowing: half of the messages arrive at
+    // MEDIAN_RANGE of the range, and the margin around it is in dB
+    receptionProbability: (distance, range) => {
+      if (distance <= 0) return 1;
+      const extraLoss = 10 * CHANNEL.PATH_LOSS_EXPONENT * Math.log10(distance / (range * CHANNEL.MEDIAN_RANGE));
+      return 1 - normalCdf(extraLoss / CHANNEL.SHADOWING_DEVIATION);
+    }
+  }
+};
+
+export const LINK_TYPES = ['V2V', 'V2I', 'I2V'];
+
+const LINK_RANGES = {
+  V2V: VEHICLE_CONSTANTS.V2V_COMMUNICATION_DISTANCE,
+  V2I: VEHICLE_CONSTANTS.V2I_COMMUNICATION_MAX_DISTANCE,
+  I2V: VEHICLE_CONSTANTS.V2I_COMMUNICATION_MAX_DISTANCE
+};
+
+const DEFAULT_SETTINGS = {
+  model: 'ideal',     // Key of CHANNEL_MODELS
+  latency: 0,         // Mean delay of queued messages (ms)
+  jitter: 0,          // Delays vary uniformly by up to this much either way (ms)
+  loadEffects: false  // Lose messages to collisions when many vehicles transmit
+};
+
+// Delivery counters of one link type or link
+const createStats = () => ({ sent: 0, delivered: 0, fadingLosses: 0, collisionLosses: 0, totalLatency: 0 });
+
+// Throws for unknown models and latencies or jitters that are not non-negative numbers
+const validateSettings = ({ model, latency, jitter }) => {
+  if (!CHANNEL_MODELS[model]) {
+    throw new Error(`Unknown channel model "${model}"`);
+  }
+  if (!(latency >= 0) || !(jitter >= 0)) {
+    throw new Error('Channel latency and jitter must be non-negative numbers of ms');
+  }
+};
+
+// Channel of a new simulation: { model, latency, jitter, loadEffects, random, inFlight, stats, links }
+export const createChannel = (settings, seed) => {
+  const channel = { ...DEFAULT_SETTINGS, ...settings };
+  validateSettings(channel);
+
+  return {
+    ...channel,
+    random: createRandom((seed ^ 0x5bd1e995) >>> 0),
+    inFlight: [], // Queued messages not yet delivered: { transmission, deliverAt }
+    stats: Object.fromEntries(LINK_TYPES.map(type => [type, createStats()])),
+    links: {}     // Per vehicle-intersection link: { vehicleId, intersectionId, V2I, I2V, lastTime }
+  };
+};
+
+// Change the channel's settings ({ model, latency, jitter, loadEffects }) - messages in flight
+// keep their delivery time. Throws like createChannel.
+export const setChannel = (state, settings) => {
+  const channel = { ...state.channel, ...settings };
+  validateSettings(channel);
+  return { ...state, channel };
+};
+
+const recordDelivery = (stats, outcome) => {
+  stats.sent++;
+  if (outcome.delivered) {
+    stats.delivered++;
+    stats.totalLatency += outcome.latency;
+  } else if (outcome.reason === 'collision') {
+    stats.collisionLosses++;
+  } else {
+    stats.fadingLosses++;
+  }
+};
+
+// Send messages over the channel at `time`. Each transmission is
+//   { type: 'V2V', 'V2I' or 'I2V', frame, from: { x, y }, to: { x, y }, vehicleId, intersectionId, queued }
+// where vehicleId and intersectionId name the ends of a V2I / I2V link and queued messages are
+// delivered by takeDelivered. `vehicleIndex` is the spatial index of the transmitting vehicles.
+// Returns the channel and the outcome of each transmission: { delivered, reason, latency }
+// with reason 'fading' or 'collision' for lost messages.
+export const transmit = (channel, time, vehicleIndex, transmissions) => {
+  if (transmissions.length === 0) return { channel, outcomes: [] };
+
+  const random = { ...channel.random };
+  const stats = Object.fromEntries(LINK_TYPES.map(type => [type, { ...channel.stats[type] }]));
+  const links = Object.fromEntries(Object.entries(channel.links)
+    .filter(([, link]) => time - link.lastTime < CHANNEL.LINK_STATS_WINDOW));
+  const inFlight = [...channel.inFlight];
+  const loads = new Map();
+  const model = CHANNEL_MODELS[channel.model];
+
+  // Transmitters sharing the channel at a receiver
+  const getLoad = (point) => {
+    const key = `${point.x},${point.y}`;
+    if (!loads.has(key)) {
+      loads.set(key, queryRadius(vehicleIndex, point, CHANNEL.INTERFERENCE_RANGE).length);
+    }
+    return loads.get(key);
+  };
+  // Draw only for chances strictly between 0 and 1
+  const happens = (probability) => probability >= 1 || (probability > 0 && nextRandom(random) < probability);
+
+  const outcomes = transmissions.map(transmission => {
+    const distance = Math.hypot(transmission.to.x - transmission.from.x, transmission.to.y - transmission.from.y);
+    let outcome;
+    if (!happens(model.receptionProbability(distance, LINK_RANGES[transmission.type]))) {
+      outcome = { delivered: false, reason: 'fading', latency: null };
+    } else if (channel.loadEffects && !happens(Math.exp(-getLoad(transmission.to) / CHANNEL.CAPACITY))) {
+      outcome = { delivered: false, reason: 'collision', latency: null };
+    } else if (!transmission.queued) {
+      outcome = { delivered: true, reason: null, latency: 0 };
+    } else {
+      const delay = channel.jitter > 0
+        ? Math.max(0, channel.latency + channel.jitter * (2 * nextRandom(random) - 1))
+        : channel.latency;
+      const latency = Math.ceil(delay / TIMING.TICK) * TIMING.TICK;
+      inFlight.push({ transmission, deliverAt: time + latency });
+      outcome = { delivered: true, reason: null, latency };
+    }
+
+    recordDelivery(stats[transmission.type], outcome);
+    if (transmission.intersectionId !== undefined && transmission.queued) {
+      const key = `${transmission.vehicleId}-${transmission.intersectionId}`;
+      const link = links[key]
+        ? { ...links[key], V2I: { ...links[key].V2I }, I2V: { ...links[key].I2V } }
+        : { vehicleId: transmission.vehicleId, intersectionId: transmission.intersectionId, V2I: createStats(), I2V: createStats() };
+      recordDelivery(link[transmission.type], outcome);
+      links[key] = { ...link, lastTime: time };
+    }
+    return outcome;
+  });
+
+  return { channel: { ...channel, random, stats, links, inFlight }, outcomes };
+};
+
+// Queued transmission of a frame between a vehicle and an intersection - 'V2I' from the vehicle,
+// 'I2V' to it
+export const createLinkTransmission = (type, frame, vehicle, intersection) => {
+  const vehicleEnd = { x: vehicle.x, y: vehicle.y };
+  const intersectionEnd = { x: intersection.x, y: intersection.y };
+  return {
+    type,
+    frame,
+    from: type === 'V2I' ? vehicleEnd : intersectionEnd,
+    to: type === 'V2I' ? intersectionEnd : vehicleEnd,
+    vehicleId: vehicle.id,
+    intersectionId: intersection.id,
+    queued: true
+  };
+};
+
+// Queued messages due by `time`, in the order they arrive: { channel, delivered: [transmission] }
+export const takeDelivered = (channel, time) => {
+  if (!channel.inFlight.some(entry => entry.deliverAt <= time)) return { channel, delivered: [] };
+
+  const due = channel.inFlight.filter(entry => entry.deliverAt <= time);
+  return {
+    channel: { ...channel, inFlight: channel.inFlight.filter(entry => entry.deliverAt > time) },
+    // The sort is stable, so messages due together keep the order they were sent in
+    delivered: [...due].sort((a, b) => a.deliverAt - b.deliverAt).map(entry => entry.transmission)
+  };
+};
+
+// Share of sent messages delivered, or null before any was sent
+export const getDeliveryRatio = (stats) => (stats.sent > 0 ? stats.delivered / stats.sent : null);
+
+// Mean latency of delivered messages (ms), or null before any was delivered
+export const getMeanLatency = (stats) => (stats.delivered > 0 ? stats.totalLatency / stats.delivered : null);
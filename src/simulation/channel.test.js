@@ -0,0 +1,108 @@
+import { CHANNEL_MODELS, createChannel, createLinkTransmission, getDeliveryRatio, getMeanLatency, takeDelivered, transmit } from './channel';
+import { CHANNEL, TIMING, VEHICLE_CONSTANTS } from './constants';
+import { createSpatialIndex } from './spatialIndex';
+
+const V2V_RANGE = VEHICLE_CONSTANTS.V2V_COMMUNICATION_DISTANCE;
+const NO_TRANSMITTERS = createSpatialIndex([]);
+
+// V2V broadcast between two vehicles `distance` px apart
+const broadcast = (distance) => ({ type: 'V2V', frame: {}, from: { x: 0, y: 0 }, to: { x: distance, y: 0 }, queued: false });
+
+// Send `count` copies of a transmission one tick apart
+const sendRepeatedly = (channel, transmission, count, vehicleIndex = NO_TRANSMITTERS) => {
+  let next = channel;
+  for (let i = 0; i < count; i++) {
+    next = transmit(next, i * TIMING.TICK, vehicleIndex, [transmission]).channel;
+  }
+  return next;
+};
+
+describe('channel models', () => {
+  test('the ideal channel receives everything in range and nothing beyond it', () => {
+    expect(CHANNEL_MODELS.ideal.receptionProbability(V2V_RANGE, V2V_RANGE)).toBe(1);
+    expect(CHANNEL_MODELS.ideal.receptionProbability(V2V_RANGE + 1, V2V_RANGE)).toBe(0);
+  });
+
+  test('distance decay is certain up to half the range and fades out quadratically to the range', () => {
+    const { receptionProbability } = CHANNEL_MODELS['distance-decay'];
+    expect(receptionProbability(V2V_RANGE / 2, V2V_RANGE)).toBe(1);
+    expect(receptionProbability(V2V_RANGE * 0.75, V2V_RANGE)).toBeCloseTo(0.75);
+    expect(receptionProbability(V2V_RANGE, V2V_RANGE)).toBe(0);
+  });
+
+  test('with path loss half the messages arrive at the median range and fewer further out', () => {
+    const { receptionProbability } = CHANNEL_MODELS['path-loss'];
+    expect(receptionProbability(V2V_RANGE * CHANNEL.MEDIAN_RANGE, V2V_RANGE)).toBeCloseTo(0.5);
+    expect(receptionProbability(V2V_RANGE * 0.5, V2V_RANGE)).toBeGreaterThan(0.9);
+    expect(receptionProbability(V2V_RANGE, V2V_RANGE)).toBeLessThan(0.5);
+  });
+
+  test('unknown models and negative latencies are rejected', () => {
+    expect(() => createChannel({ model: 'telepathy' }, 1)).toThrow('Unknown channel model');
+    expect(() => createChannel({ latency: -1 }, 1)).toThrow('latency and jitter');
+    expect(() => createChannel({ jitter: -1 }, 1)).toThrow('latency and jitter');
+  });
+});
+
+describe('loss', () => {
+  test('the share of messages lost matches the model', () => {
+    const channel = sendRepeatedly(createChannel({ model: 'distance-decay' }, 1), broadcast(V2V_RANGE * 0.75), 2000);
+    const { V2V } = channel.stats;
+    expect(V2V.sent).toBe(2000);
+    expect(V2V.fadingLosses + V2V.delivered).toBe(2000);
+    expect(getDeliveryRatio(V2V)).toBeGreaterThan(0.72);
+    expect(getDeliveryRatio(V2V)).toBeLessThan(0.78);
+  });
+
+  test('the same seed loses the same messages', () => {
+    const send = (seed) => transmit(createChannel({ model: 'distance-decay' }, seed), 0, NO_TRANSMITTERS,
+      Array.from({ length: 50 }, () => broadcast(V2V_RANGE * 0.75))).outcomes;
+    expect(send(7)).toEqual(send(7));
+    expect(send(7)).not.toEqual(send(8));
+  });
+
+  test('with load effects messages collide in proportion to the transmitters around the receiver', () => {
+    const crowd = createSpatialIndex(Array.from({ length: CHANNEL.CAPACITY }, (_, i) => ({ x: i % 10, y: Math.floor(i / 10) })));
+    const channel = sendRepeatedly(createChannel({ loadEffects: true }, 1), broadcast(10), 2000, crowd);
+    const { V2V } = channel.stats;
+    expect(V2V.fadingLosses).toBe(0);
+    // One in e survives CAPACITY transmitters
+    expect(getDeliveryRatio(V2V)).toBeGreaterThan(Math.exp(-1) - 0.04);
+    expect(getDeliveryRatio(V2V)).toBeLessThan(Math.exp(-1) + 0.04);
+    expect(V2V.collisionLosses).toBe(V2V.sent - V2V.delivered);
+  });
+});
+
+describe('latency', () => {
+  const vehicle = { id: 7, x: 0, y: 0 };
+  const intersection = { id: 1, x: 100, y: 0 };
+
+  test('queued messages arrive after the latency, rounded up to whole ticks', () => {
+    const channel = createChannel({ latency: 120 }, 1);
+    const sent = transmit(channel, 1000, NO_TRANSMITTERS, [createLinkTransmission('V2I', { id: 'srm' }, vehicle, intersection)]);
+    expect(sent.outcomes).toEqual([{ delivered: true, reason: null, latency: 150 }]);
+
+    expect(takeDelivered(sent.channel, 1100).delivered).toEqual([]);
+    const { channel: emptied, delivered } = takeDelivered(sent.channel, 1150);
+    expect(delivered.map(transmission => transmission.frame)).toEqual([{ id: 'srm' }]);
+    expect(emptied.inFlight).toEqual([]);
+    expect(getMeanLatency(sent.channel.stats.V2I)).toBe(150);
+    expect(sent.channel.links['7-1'].V2I.delivered).toBe(1);
+  });
+
+  test('jitter spreads the delays either side of the latency', () => {
+    const channel = createChannel({ latency: 200, jitter: 100 }, 1);
+    const { outcomes } = transmit(channel, 0, NO_TRANSMITTERS,
+      Array.from({ length: 200 }, () => createLinkTransmission('I2V', {}, vehicle, intersection)));
+    const latencies = outcomes.map(outcome => outcome.latency);
+    expect(Math.min(...latencies)).toBeGreaterThanOrEqual(100);
+    expect(Math.max(...latencies)).toBeLessThanOrEqual(300);
+    expect(new Set(latencies).size).toBeGreaterThan(2);
+  });
+
+  test('broadcasts are never delayed', () => {
+    const { outcomes, channel } = transmit(createChannel({ latency: 500 }, 1), 0, NO_TRANSMITTERS, [broadcast(10)]);
+    expect(outcomes).toEqual([{ delivered: true, reason: null, latency: 0 }]);
+    expect(channel.inFlight).toEqual([]);
+  });
+});
@@ -0,0 +1,314 @@
+import { V2X_MESSAGES } from './constants';
+import {
+  EVENT_STATES,
+  MESSAGE_IDS,
+  MESSAGE_TYPES,
+  PRIORITY_STATUSES,
+  REQUEST_STATES,
+  REQUEST_TYPES,
+  VEHICLE_ROLES,
+  getMessageType,
+  getSenderId
+} from './j2735';
+import { APPROACHES, MOVEMENTS } from './signalPlans';
+
+// Encodings of the J2735-style message frames (see j2735.js)
+// - JSON: the frame as it is, for logs and for pasting into the message inspector
+// - binary: a compact form driven by one schema per message type - a byte with the message id,
+//   then the value's fields in schema order, big-endian. Numbers are fixed-point integers
+//   (value × scale), enumerations the position of their value, strings ASCII with a length byte
+//   and arrays a count byte followed by their items. Anything the schema cannot hold throws.
+// Both decoders check the frame against its schema and throw for anything malformed.
+
+const uint = (bytes, scale = 1) => ({ kind: 'uint', bytes, scale });
+const int = (bytes, scale = 1) => ({ kind: 'int', bytes, scale });
+const enumeration = (values) => ({ kind: 'enum', values });
+const struct = (fields) => ({ kind: 'struct', fields: Object.entries(fields) });
+const array = (items) => ({ kind: 'array', items });
+const BOOL = { kind: 'bool' };
+const STRING = { kind: 'string' };
+
+const TIMESTAMP = struct({ minute: uint(4), second: uint(2) });
+const POINT = struct({ x: int(4, 10), y: int(4, 10) });
+const APPROACH = enumeration(APPROACHES);
+const MANEUVER = enumeration(MOVEMENTS);
+const ROLE = enumeration(VEHICLE_ROLES);
+
+// Speeds in 0.02 px/s and headings in 0.0125° as in J2735, positions and lengths in 0.1 px
+const SCHEMAS = {
+  [MESSAGE_IDS.BSM]: struct({
+    coreData: struct({
+      msgCnt: uint(1),
+      id: uint(4),
+      secMark: uint(2),
+      x: int(4, 10),
+      y: int(4, 10),
+      speed: uint(2, 50),
+      heading: uint(2, 80),
+      accelLong: int(2, 100),
+      size: struct({ width: uint(2, 10), length: uint(2, 10) })
+    }),
+    partII: struct({ role: ROLE, sirenInUse: BOOL })
+  }),
+  [MESSAGE_IDS.SPAT]: struct({
+    timeStamp: TIMESTAMP,
+    intersections: array(struct({
+      id: uint(2),
+      revision: uint(1),
+      status: uint(2),
+      states: array(struct({
+        movementName: STRING,
+        signalGroup: uint(1),
+        eventState: enumeration(EVENT_STATES),
+        minEndTime: uint(2)
+      }))
+    }))
+  }),
+  [MESSAGE_IDS.MAP]: struct({
+    msgIssueRevision: uint(1),
+    intersections: array(struct({
+      id: uint(2),
+      revision: uint(1),
+      refPoint: POINT,
+      laneWidth: uint(2, 10),
+      laneSet: array(struct({
+        laneID: uint(1),
+        approach: APPROACH,
+        lane: uint(1),
+        nodes: array(struct({ x: int(2, 10), y: int(2, 10) })),
+        connectsTo: array(struct({ maneuver: MANEUVER, signalGroup: uint(1) }))
+      }))
+    }))
+  }),
+  [MESSAGE_IDS.SRM]: struct({
+    timeStamp: TIMESTAMP,
+    sequenceNumber: uint(1),
+    requests: array(struct({
+      id: uint(2),
+      requestID: uint(1),
+      requestType: enumeration(REQUEST_TYPES),
+      inBoundLane: struct({ approach: APPROACH, maneuver: MANEUVER }),
+      eta: TIMESTAMP
+    })),
+    requestor: struct({
+      id: uint(4),
+      role: ROLE,
+      importance: uint(1),
+      position: struct({ x: int(4, 10), y: int(4, 10), heading: uint(2, 80), speed: uint(2, 50) })
+    })
+  }),
+  [MESSAGE_IDS.SSM]: struct({
+    timeStamp: TIMESTAMP,
+    status: array(struct({
+      sequenceNumber: uint(1),
+      id: uint(2),
+      sigStatus: array(struct({
+        requester: struct({ id: uint(4), request: uint(1), role: ROLE }),
+        inboundOn: struct({ approach: APPROACH, maneuver: MANEUVER }),
+        status: enumeration(PRIORITY_STATUSES),
+        regional: struct({ requestState: enumeration(REQUEST_STATES) })
+      }))
+    }))
+  })
+};
+
+const getSchema = (messageId) => {
+  const schema = SCHEMAS[messageId];
+  if (!schema) {
+    throw new Error(`Unknown message id ${messageId}`);
+  }
+  return schema;
+};
+
+const integerRange = (type) => (type.kind === 'uint'
+  ? [0, 2 ** (8 * type.bytes) - 1]
+  : [-(2 ** (8 * type.bytes - 1)), 2 ** (8 * type.bytes - 1) - 1]);
+
+// Append a value to `bytes` as its schema type describes - `path` names it in errors
+const writeValue = (bytes, type, value, path) => {
+  if (value === undefined || value === null) {
+    throw new Error(`Missing field "${path}"`);
+  }
+
+  switch (type.kind) {
+    case 'uint':
+    case 'int': {
+      const number = Math.round(value * type.scale);
+      const [min, max] = integerRange(type);
+      if (!Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`Field "${path}" is out of range: ${value}`);
+      }
+      const view = new DataView(new ArrayBuffer(type.bytes));
+      if (type.bytes === 1) view.setUint8(0, number & 0xff);
+      if (type.bytes === 2) view.setUint16(0, number & 0xffff);
+      if (type.bytes === 4) view.setUint32(0, number >>> 0);
+      bytes.push(...new Uint8Array(view.buffer));
+      return;
+    }
+    case 'bool':
+      bytes.push(value ? 1 : 0);
+      return;
+    case 'enum': {
+      const index = type.values.indexOf(value);
+      if (index < 0) {
+        throw new Error(`Field "${path}" has an unknown value "${value}"`);
+      }
+      bytes.push(index);
+      return;
+    }
+    case 'string': {
+      const text = String(value);
+      if (text.length > 255 || /[^\x20-\x7e]/.test(text)) {
+        throw new Error(`Field "${path}" must be printable ASCII of at most 255 characters`);
+      }
+      bytes.push(text.length, ...Array.from(text, character => character.charCodeAt(0)));
+      return;
+    }
+    case 'array':
+      if (!Array.isArray(value) || value.length > 255) {
+        throw new Error(`Field "${path}" must be an array of at most 255 items`);
+      }
+      bytes.push(value.length);
+      value.forEach((item, index) => writeValue(bytes, type.items, item, `${path}[${index}]`));
+      return;
+    default:
+      type.fields.forEach(([name, fieldType]) => writeValue(bytes, fieldType, value[name], path ? `${path}.${name}` : name));
+  }
+};
+
+// Read a value of a schema type at `reader.offset` and move past it
+const readValue = (reader, type) => {
+  const { view } = reader;
+  const take = (count) => {
+    if (reader.offset + count > view.byteLength) {
+      throw new Error('Message is truncated');
+    }
+    const offset = reader.offset;
+    reader.offset += count;
+    return offset;
+  };
+
+  switch (type.kind) {
+    case 'uint':
+    case 'int': {
+      const offset = take(type.bytes);
+      const signed = type.kind === 'int';
+      let number;
+      if (type.bytes === 1) number = signed ? view.getInt8(offset) : view.getUint8(offset);
+      if (type.bytes === 2) number = signed ? view.getInt16(offset) : view.getUint16(offset);
+      if (type.bytes === 4) number = signed ? view.getInt32(offset) : view.getUint32(offset);
+      return number / type.scale;
+    }
+    case 'bool':
+      return view.getUint8(take(1)) !== 0;
+    case 'enum': {
+      const value = type.values[view.getUint8(take(1))];
+      if (value === undefined) {
+        throw new Error('Message has an unknown enumerated value');
+      }
+      return value;
+    }
+    case 'string': {
+      const length = view.getUint8(take(1));
+      const offset = take(length);
+      return String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + offset, length));
+    }
+    case 'array': {
+      const count = view.getUint8(take(1));
+      return Array.from({ length: count }, () => readValue(reader, type.items));
+    }
+    default:
+      return Object.fromEntries(type.fields.map(([name, fieldType]) => [name, readValue(reader, fieldType)]));
+  }
+};
+
+// Binary form of a frame: Uint8Array
+export const encodeBinary = (frame) => {
+  const bytes = [];
+  writeValue(bytes, uint(1), frame.messageId, 'messageId');
+  writeValue(bytes, getSchema(frame.messageId), frame.value, '');
+  return Uint8Array.from(bytes);
+};
+
+// Frame of a binary message (Uint8Array)
+export const decodeBinary = (bytes) => {
+  if (bytes.length === 0) {
+    throw new Error('Message is empty');
+  }
+  const reader = { view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), offset: 1 };
+  const messageId = bytes[0];
+  const value = readValue(reader, getSchema(messageId));
+  if (reader.offset !== bytes.length) {
+    throw new Error(`Message has ${bytes.length - reader.offset} bytes past its end`);
+  }
+  return { messageId, value };
+};
+
+export const encodeJson = (frame) => JSON.stringify(frame);
+
+// Frame of a JSON message - checked against its schema, so it could also be encoded to binary
+export const decodeJson = (text) => {
+  let frame;
+  try {
+    frame = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Message is not valid JSON: ${error.message}`);
+  }
+  if (!frame || typeof frame !== 'object') {
+    throw new Error('Message must be a { messageId, value } object');
+  }
+  encodeBinary(frame);
+  return { messageId: frame.messageId, value: frame.value };
+};
+
+export const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(' ');
+
+export const fromHex = (text) => {
+  const digits = text.replace(/\s+/g, '');
+  if (!/^([0-9a-fA-F]{2})*$/.test(digits)) {
+    throw new Error('Hex message must be pairs of hex digits');
+  }
+  return Uint8Array.from(digits.match(/../g) || [], pair => parseInt(pair, 16));
+};
+
+// Frame of a message given as JSON or as hex bytes
+export const decodeMessage = (text) => {
+  const trimmed = text.trim();
+  return trimmed.startsWith('{') ? decodeJson(trimmed) : decodeBinary(fromHex(trimmed));
+};
+
+// Message capture: every message sent is counted by type, and the latest CAPTURE_SIZE of each
+// type are kept in their binary form for the message inspector - { seq, time, type, senderId, bytes }
+export const createCapture = () => ({
+  nextSeq: 1,
+  sent: Object.fromEntries(MESSAGE_TYPES.map(type => [type, 0])),
+  messages: Object.fromEntries(MESSAGE_TYPES.map(type => [type, []]))
+});
+
+// Record frames sent at `time` - only the ones the capture keeps are encoded
+export const captureMessages = (capture, time, frames) => {
+  if (frames.length === 0) return capture;
+
+  const sent = { ...capture.sent };
+  const messages = { ...capture.messages };
+  MESSAGE_TYPES.forEach(type => {
+    const captured = frames
+      .map((frame, index) => ({ frame, seq: capture.nextSeq + index }))
+      .filter(({ frame }) => getMessageType(frame) === type);
+    if (captured.length === 0) return;
+
+    sent[type] += captured.length;
+    messages[type] = [
+      ...messages[type],
+      ...captured.slice(-V2X_MESSAGES.CAPTURE_SIZE).map(({ frame, seq }) => ({
+        seq,
+        time,
+        type,
+        senderId: getSenderId(frame),
+        bytes: encodeBinary(frame)
+      }))
+    ].slice(-V2X_MESSAGES.CAPTURE_SIZE);
+  });
+
+  return { nextSeq: capture.nextSeq + frames.length, sent, messages };
+};
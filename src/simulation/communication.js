@@ -0,0 +1,430 @@
+import { CAR_FOLLOWING, CHANNEL, V2X_MESSAGES, VEHICLE_CONSTANTS } from './constants';
+import { findIntersectionsInPath, isAhead, isOnRoadThrough } from './geometry';
+import { getDriverModel } from './carFollowing';
+import { getMovement } from './signalPlans';
+import { queryRadius } from './spatialIndex';
+import { receiveMessage } from './inbox';
+import {
+  MESSAGE_IDS,
+  buildBasicSafetyMessage,
+  buildSignalPhaseAndTiming,
+  buildSignalRequest,
+  readSignalRequest,
+  readSignalStatus
+} from './j2735';
+import { createLinkTransmission, takeDelivered, transmit } from './channel';
+import { captureMessages } from './codec';
+import { log } from './log';
+
+// Every message sent over V2X is a J2735-style frame (see j2735.js) and is counted, and the latest
+// of each type kept encoded, in the simulation's message capture (see codec.js)
+// BSMs, SRMs and SSMs travel over the radio channel (see channel.js): SRMs and SSMs take effect
+// when deliverMessages hands them over, which may be never
+
+// Basic Safety Messages: every vehicle broadcasts its position, motion and size
+// The latest BSM of each vehicle travels on its V2V links
+export const broadcastBasicSafetyMessages = (state) => {
+  const basicSafetyMessages = state.vehicles.map(vehicle => buildBasicSafetyMessage(state.time, vehicle));
+  return {
+    ...state,
+    basicSafetyMessages,
+    capturedMessages: captureMessages(state.capturedMessages, state.time, basicSafetyMessages)
+  };
+};
+
+// Emergency vehicle warnings: an emergency vehicle's BSM - its siren is in use - reaches the
+// vehicles ahead of it on its road over V2V, and each vehicle that hears it pulls over and yields
+// (see vehicles.js) - vehicles turning inside an intersection carry on. Emergency vehicles
+// holding for priority warn no one.
+export const broadcastEmergencyWarnings = (state) => {
+  const basicSafetyMessages = new Map(state.basicSafetyMessages.map(bsm => [bsm.value.coreData.id, bsm]));
+  const transmissions = [];
+
+  state.vehicles.filter(v => v.isEmergency).forEach(ev => {
+    if (ev.priorityResponse && ev.priorityResponse.status === 'rejected') return;
+    const bsm = basicSafetyMessages.get(ev.id);
+    if (!bsm) return;
+
+    queryRadius(state.spatialIndex.vehicles, ev, VEHICLE_CONSTANTS.V2V_COMMUNICATION_DISTANCE).forEach(vehicle => {
+      if (vehicle.isEmergency || vehicle.path || vehicle.direction !== ev.direction ||
+        vehicle.currentRoadIndex !== ev.currentRoadIndex || !isAhead(ev, vehicle)) return;
+      transmissions.push({ type: 'V2V', frame: bsm, from: { x: ev.x, y: ev.y }, to: { x: vehicle.x, y: vehicle.y }, vehicleId: vehicle.id, queued: false });
+    });
+  });
+  if (transmissions.length === 0) return state;
+
+  const { channel, outcomes } = transmit(state.channel, state.time, state.spatialIndex.vehicles, transmissions);
+  const warnings = new Map();
+  transmissions.forEach((transmission, index) => {
+    if (outcomes[index].delivered) {
+      warnings.set(transmission.vehicleId, { vehicleId: transmission.frame.value.coreData.id, time: state.time });
+    }
+  });
+
+  return {
+    ...state,
+    channel,
+    vehicles: state.vehicles.map(vehicle => (warnings.has(vehicle.id) ? { ...vehicle, yieldTo: warnings.get(vehicle.id) } : vehicle))
+  };
+};
+
+// Signalized intersections broadcast their SPaT with every V2I broadcast, and every intersection
+// its MAP every MAP_INTERVAL
+export const broadcastSignalMessages = (state) => {
+  const spat = state.intersections
+    .filter(intersection => intersection.control === 'signal')
+    .map(intersection => buildSignalPhaseAndTiming(state.time, intersection));
+  const map = state.time % V2X_MESSAGES.MAP_INTERVAL === 0 ? state.mapMessages : [];
+
+  return {
+    ...state,
+    capturedMessages: captureMessages(state.capturedMessages, state.time, [...spat, ...map])
+  };
+};
+
+// V2I Message Reception: Intersections store incoming SRMs in their inbox (see inbox.js)
+const receiveV2IMessage = (state, intersection, frame) => {
+  const message = readSignalRequest(state.time, frame);
+  const distance = Math.hypot(message.position.x - intersection.x, message.position.y - intersection.y);
+  log(state, `
+───────────────────────────────────────
+🚦 INTERSECTION ${intersection.id} - SRM RECEIVED
+───────────────────────────────────────
+From Vehicle: ${message.vehicleId} (${message.vehicleType})
+Approach: ${message.approach}
+Action at THIS intersection: ${message.movement}
+Distance: ${Math.round(distance)}px
+ETA: ${message.eta.toFixed(2)}s
+───────────────────────────────────────
+  `);
+
+  return receiveMessage(state.time, intersection, frame);
+};
+
+// V2I Broadcasting: Emergency vehicles request priority with an SRM
+export const broadcastV2IMessages = (state) => {
+  const emergencyVehicles = state.vehicles.filter(v => v.isEmergency);
+  const messages = [];
+  const transmissions = [];
+
+  emergencyVehicles.forEach(ev => {
+    // Find intersections in path, sorted by distance
+    const intersectionsInPath = findIntersectionsInPath(state.spatialIndex.intersections, ev, 500);
+
+    if (intersectionsInPath.length === 0) return;
+
+    // Get the IMMEDIATE next intersection (closest one)
+    const nextIntersection = intersectionsInPath[0];
+    const distanceToNext = nextIntersection.distance;
+
+    // Only communicate with immediate next intersection when in range
+    if (distanceToNext <= VEHICLE_CONSTANTS.V2I_COMMUNICATION_MAX_DISTANCE && distanceToNext > VEHICLE_CONSTANTS.V2I_COMMUNICATION_MIN_DISTANCE) {
+      // Determine if we're turning at THIS intersection or going straight
+      let actionAtThisIntersection = 'straight';
+
+      if (ev.plannedTurnIntersectionId === nextIntersection.intersection.id) {
+        // This is where we turn
+        actionAtThisIntersection = ev.turnDirection || 'straight';
+      }
+
+      // Calculate ETA in seconds (speed is in px/s) - a stopped or crawling vehicle reports its
+      // free-road speed
+      const speed = ev.speed > CAR_FOLLOWING.STOPPED_SPEED ? ev.speed : getDriverModel(ev.type).desiredSpeed;
+      const eta = distanceToNext / speed;
+
+      // The SRM asks for the movement the vehicle makes at THIS intersection
+      const srm = buildSignalRequest(state.time, ev, nextIntersection.intersection.id, getMovement(ev, nextIntersection.intersection.id), eta);
+
+      // Log V2I broadcast
+      log(state, `
+╔═══════════════════════════════════════════════════════════╗
+║ 📡 V2I BROADCAST (SRM)                                    ║
+╠═══════════════════════════════════════════════════════════╣
+║ Vehicle: ${ev.id} (${ev.type})`.padEnd(60) + '║');
+      log(state, `║ Position: (${Math.round(ev.x)}, ${Math.round(ev.y)})`.padEnd(60) + '║');
+      log(state, `║ Direction: ${ev.direction}`.padEnd(60) + '║');
+      log(state, `║ Overall Turn Intention: ${(ev.turnDirection || 'straight').toUpperCase()}`.padEnd(60) + '║');
+      log(state, `║ Action at Intersection ${nextIntersection.intersection.id}: ${actionAtThisIntersection.toUpperCase()}`.padEnd(60) + '║');
+      log(state, `║ Distance to intersection: ${Math.round(distanceToNext)}px`.padEnd(60) + '║');
+      log(state, `║ ETA: ${eta.toFixed(2)}s`.padEnd(60) + '║');
+      log(state, `╚═══════════════════════════════════════════════════════════╝`);
+
+      messages.push(srm);
+
+      // Send message to ONLY the immediate next intersection
+      transmissions.push(createLinkTransmission('V2I', srm, ev, nextIntersection.intersection));
+    }
+  });
+
+  const { channel, outcomes } = transmit(state.channel, state.time, state.spatialIndex.vehicles, transmissions);
+
+  return {
+    ...state,
+    channel,
+    v2iMessages: messages.map((message, index) => ({ message, outcome: outcomes[index] })),
+    capturedMessages: captureMessages(state.capturedMessages, state.time, messages),
+    statistics: {
+      ...state.statistics,
+      v2iBroadcasts: state.statistics.v2iBroadcasts + messages.length
+    }
+  };
+};
+
+// Next intersection within V2I range on the road a vehicle is driving along: { intersection, distance } or undefined
+const findNextIntersectionOnRoad = (state, vehicle) => findIntersectionsInPath(
+  state.spatialIndex.intersections,
+  vehicle,
+  VEHICLE_CONSTANTS.V2I_COMMUNICATION_MAX_DISTANCE
+).find(({ intersection }) => isOnRoadThrough(vehicle, intersection));
+
+// V2I position reports: every vehicle sends its BSM to the next intersection on its road, telling
+// it where the vehicle is and which movement it will make there - actuated intersections with V2I
+// detection run their detectors on the reports the channel delivers. Like every BSM they are not
+// delayed, so a report either arrives this tick or is lost.
+export const reportVehiclePositions = (state) => {
+  const basicSafetyMessages = new Map(state.basicSafetyMessages.map(bsm => [bsm.value.coreData.id, bsm]));
+  const candidates = [];
+  const transmissions = [];
+
+  state.vehicles.forEach(vehicle => {
+    const bsm = basicSafetyMessages.get(vehicle.id);
+    const next = bsm && findNextIntersectionOnRoad(state, vehicle);
+    if (!next) return;
+
+    candidates.push({ vehicle, intersectionId: next.intersection.id });
+    transmissions.push({ ...createLinkTransmission('V2I', bsm, vehicle, next.intersection), queued: false });
+  });
+
+  const { channel, outcomes } = transmit(state.channel, state.time, state.spatialIndex.vehicles, transmissions);
+  const reports = new Map();
+  candidates.forEach(({ vehicle, intersectionId }, index) => {
+    if (!outcomes[index].delivered) return;
+
+    const { coreData } = transmissions[index].frame.value;
+    const intersectionReports = reports.get(intersectionId) || [];
+    intersectionReports.push({
+      vehicleId: vehicle.id,
+      x: coreData.x,
+      y: coreData.y,
+      direction: vehicle.direction,
+      speed: coreData.speed,
+      movement: getMovement(vehicle, intersectionId),
+      time: state.time
+    });
+    reports.set(intersectionId, intersectionReports);
+  });
+
+  return {
+    ...state,
+    channel,
+    intersections: state.intersections.map(intersection => ({
+      ...intersection,
+      vehicleReports: reports.get(intersection.id) || []
+    }))
+  };
+};
+
+// Transit priority requests: every bus sends the next signalized intersection on its road an SRM
+// - with a low importance, below an emergency vehicle's - telling it the movement it will make
+// there and when it expects to arrive.
+export const sendTransitPriorityRequests = (state) => {
+  const messages = [];
+  const transmissions = [];
+
+  state.vehicles.forEach(vehicle => {
+    if (vehicle.type !== 'bus') return;
+
+    const next = findNextIntersectionOnRoad(state, vehicle);
+    if (!next || next.intersection.control !== 'signal') return;
+
+    // Arrival at the bus's free-road speed (s) - a bus slowed by a queue or a red signal would
+    // arrive that soon once it may go
+    const eta = next.distance / getDriverModel(vehicle.type).desiredSpeed;
+    const srm = buildSignalRequest(state.time, vehicle, next.intersection.id, getMovement(vehicle, next.intersection.id), eta);
+    messages.push(srm);
+    transmissions.push(createLinkTransmission('V2I', srm, vehicle, next.intersection));
+  });
+
+  const { channel } = transmit(state.channel, state.time, state.spatialIndex.vehicles, transmissions);
+
+  return {
+    ...state,
+    channel,
+    capturedMessages: captureMessages(state.capturedMessages, state.time, messages)
+  };
+};
+
+// A bus's SRM delivered to an intersection replaces the bus's earlier request there and drops
+// its requests to other intersections - requests not renewed within REQUEST_TIMEOUT lapse
+const receiveTransitRequest = (state, intersection, frame) => {
+  const request = readSignalRequest(state.time, frame);
+  const transitRequests = intersection.transitRequests.filter(r => r.vehicleId !== request.vehicleId);
+  if (request.intersectionId !== intersection.id) {
+    return transitRequests.length === intersection.transitRequests.length ? intersection : { ...intersection, transitRequests };
+  }
+
+  return {
+    ...intersection,
+    transitRequests: [...transitRequests, {
+      vehicleId: request.vehicleId,
+      vehicleType: request.vehicleType,
+      direction: request.approach.toUpperCase(),
+      movement: request.movement,
+      distance: Math.hypot(request.position.x - intersection.x, request.position.y - intersection.y),
+      eta: request.eta,
+      time: state.time
+    }]
+  };
+};
+
+// An SSM delivered to an emergency vehicle becomes its priority response - unless it is older
+// than the answer it has from the same intersection, or it completes a request at an
+// intersection other than the one the vehicle now approaches
+const receiveSignalStatus = (state, vehicle, frame) => readSignalStatus(frame)
+  .filter(response => response.vehicleId === vehicle.id)
+  .reduce((receiving, response) => {
+    const current = receiving.priorityResponse;
+    if (current && current.intersectionId === response.intersectionId && response.time < current.time) return receiving;
+    if (response.status === 'completed' && current && current.intersectionId !== response.intersectionId) return receiving;
+
+    const told = current && current.intersectionId === response.intersectionId ? current.status : null;
+    if (response.status === 'rejected' && told !== 'rejected') {
+      log(state, `✋ Intersection ${response.intersectionId}: ${vehicle.type} ${vehicle.id} told to HOLD - serving a conflicting emergency vehicle first`);
+    }
+    return { ...receiving, priorityResponse: response };
+  }, vehicle);
+
+// Hand over the SRMs and SSMs the channel delivers by now: emergency SRMs go to the
+// intersection's inbox, bus SRMs to its transit requests and SSMs to the vehicle they answer
+export const deliverMessages = (state) => {
+  const { channel, delivered } = takeDelivered(state.channel, state.time);
+  const vehicleIds = new Set(state.vehicles.map(vehicle => vehicle.id));
+  const isCurrent = (request) => vehicleIds.has(request.vehicleId) && state.time - request.time < CHANNEL.REQUEST_TIMEOUT;
+  const hasTransitRequests = state.intersections.some(intersection => intersection.transitRequests.length > 0);
+  if (delivered.length === 0 && !hasTransitRequests) return state;
+
+  let intersections = state.intersections.map(intersection => (
+    intersection.transitRequests.every(isCurrent)
+      ? intersection
+      : { ...intersection, transitRequests: intersection.transitRequests.filter(isCurrent) }
+  ));
+  let vehicles = state.vehicles;
+  let transitRequests = 0;
+
+  delivered.forEach(({ frame, vehicleId, intersectionId }) => {
+    if (frame.messageId === MESSAGE_IDS.SSM) {
+      vehicles = vehicles.map(vehicle => (vehicle.id === vehicleId ? receiveSignalStatus(state, vehicle, frame) : vehicle));
+    } else if (frame.value.requestor.role === 'transit') {
+      // Only a request the intersection does not hold yet counts - buses renew theirs with every broadcast
+      const busId = frame.value.requestor.id;
+      const held = intersections.some(intersection => intersection.id === intersectionId &&
+        intersection.transitRequests.some(request => request.vehicleId === busId));
+      intersections = intersections.map(intersection => receiveTransitRequest(state, intersection, frame));
+      if (!held) transitRequests++;
+    } else {
+      intersections = intersections.map(intersection => (
+        intersection.id === intersectionId ? receiveV2IMessage(state, intersection, frame) : intersection
+      ));
+    }
+  });
+
+  return {
+    ...state,
+    channel,
+    vehicles,
+    intersections,
+    statistics: {
+      ...state.statistics,
+      transitPriorityRequests: state.statistics.transitPriorityRequests + transitRequests
+    }
+  };
+};
+
+// V2V and V2I Communication simulation
+// Neighbours are looked up in the spatial index instead of checking every pair
+// Each link is the latest BSMs of its ends sent over the channel - a V2V link is drawn when
+// either vehicle hears the other and carries the BSMs that got through, a V2I link when the
+// intersection hears the vehicle
+export const updateCommunicationLinks = (state) => {
+  const { vehicles, spatialIndex } = state;
+  const candidates = [];
+  const transmissions = [];
+  const basicSafetyMessages = new Map(state.basicSafetyMessages.map(bsm => [bsm.value.coreData.id, bsm]));
+  const send = (frame, from, to, type) => transmissions.push({ type, frame, from, to, queued: false }) - 1;
+
+  vehicles.forEach(v1 => {
+    const bsm = basicSafetyMessages.get(v1.id);
+    const position = { x: v1.x, y: v1.y };
+
+    // V2V: Vehicle to vehicle communication
+    // Vehicle IDs grow with spawn order, so each pair is linked once from its older vehicle
+    queryRadius(spatialIndex.vehicles, v1, VEHICLE_CONSTANTS.V2V_COMMUNICATION_DISTANCE).forEach(v2 => {
+      if (v2.id <= v1.id) return;
+
+      const distance = Math.sqrt(
+        Math.pow(v1.x - v2.x, 2) +
+        Math.pow(v1.y - v2.y, 2)
+      );
+
+      if (distance < VEHICLE_CONSTANTS.V2V_COMMUNICATION_DISTANCE) {
+        const other = { x: v2.x, y: v2.y };
+        const otherBsm = basicSafetyMessages.get(v2.id);
+        candidates.push({
+          type: 'V2V',
+          from: position,
+          to: other,
+          sent: [bsm && send(bsm, position, other, 'V2V'), otherBsm && send(otherBsm, other, position, 'V2V')]
+            .filter(index => index !== undefined)
+        });
+      }
+    });
+
+    const linkIntersection = (intersection) => {
+      const to = { x: intersection.x, y: intersection.y };
+      candidates.push({ type: 'V2I', from: position, to, sent: bsm ? [send(bsm, position, to, 'V2I')] : [] });
+    };
+
+    // V2I: Vehicle to infrastructure communication
+    // For emergency vehicles, show only to immediate next intersection
+    if (v1.isEmergency) {
+      const intersectionsInPath = findIntersectionsInPath(spatialIndex.intersections, v1, 500);
+      if (intersectionsInPath.length > 0) {
+        const nextIntersection = intersectionsInPath[0];
+        const distance = nextIntersection.distance;
+
+        if (distance <= VEHICLE_CONSTANTS.V2I_COMMUNICATION_MAX_DISTANCE && distance > VEHICLE_CONSTANTS.V2I_COMMUNICATION_MIN_DISTANCE) {
+          linkIntersection(nextIntersection.intersection);
+        }
+      }
+    } else {
+      // For regular vehicles, show to nearby intersections
+      queryRadius(spatialIndex.intersections, v1, VEHICLE_CONSTANTS.V2I_REGULAR_COMMUNICATION_DISTANCE).forEach(intersection => {
+        const distance = Math.sqrt(
+          Math.pow(v1.x - intersection.x, 2) +
+          Math.pow(v1.y - intersection.y, 2)
+        );
+
+        if (distance < VEHICLE_CONSTANTS.V2I_REGULAR_COMMUNICATION_DISTANCE) {
+          linkIntersection(intersection);
+        }
+      });
+    }
+  });
+
+  const { channel, outcomes } = transmit(state.channel, state.time, spatialIndex.vehicles, transmissions);
+  const links = candidates.flatMap(({ sent, ...link }) => {
+    const received = sent.filter(index => outcomes[index].delivered);
+    if (received.length === 0) return [];
+    return [link.type === 'V2V' ? { ...link, messages: received.map(index => transmissions[index].frame) } : link];
+  });
+
+  return {
+    ...state,
+    channel,
+    communicationLinks: links,
+    statistics: {
+      ...state.statistics,
+      activeLinks: links.length
+    }
+  };
+};
@@ -0,0 +1,19 @@
+import { createSimulation, tick } from './engine';
+import { TIMING } from './constants';
+import { NETWORKS } from './networks';
+import { addVehicleOnRoute, updateVehicle } from './testHelpers';
+
+describe('transit priority requests', () => {
+  test('a bus renewing its request with every broadcast counts as one request', () => {
+    const state = createSimulation({ logging: false, network: NETWORKS.tJunction });
+    const bus = addVehicleOnRoute(state, 'bus', vehicle => vehicle.direction === 'EAST');
+    let next = updateVehicle(bus.state, bus.vehicle.id, { x: state.intersections[0].x - 250 });
+
+    for (let time = 0; time < 2000; time += TIMING.TICK) {
+      next = tick(next);
+    }
+
+    expect(next.intersections[0].transitRequests.map(request => request.vehicleId)).toEqual([bus.vehicle.id]);
+    expect(next.statistics.transitPriorityRequests).toBe(1);
+  });
+});
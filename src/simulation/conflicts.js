@@ -0,0 +1,152 @@
+import { CONFLICTS } from './constants';
+import { getFootprint, getFootprintGap, getIntersectionBox, isAhead, isInIntersection, isOnRoadThrough } from './geometry';
+import { log } from './log';
+import { getMovement } from './signalPlans';
+
+// Conflicts inside intersection boxes
+// Car-following only looks at the vehicle ahead in the same lane and direction, so vehicles on
+// crossing movements are checked here, once every vehicle has moved:
+// - collision:      the footprints of two vehicles overlap while one of them is inside the box
+// - near-collision: two vehicles on crossing movements are both inside the box, less than
+//                   NEAR_COLLISION_GAP apart
+// An encounter is recorded once, when the pair first conflicts - and again if a near-collision
+// turns into a collision. It lasts until the pair has not conflicted for ENCOUNTER_TIMEOUT, so
+// footprints that overlap on and off count as one collision. Each event flashes its intersection
+// for FLASH_DURATION.
+
+const OPPOSITE_DIRECTIONS = { NORTH: 'SOUTH', SOUTH: 'NORTH', EAST: 'WEST', WEST: 'EAST' };
+
+// Whether two movements through an intersection - { direction, movement } - cross: they come from
+// perpendicular approaches, or from opposing ones while exactly one of them turns left - opposing
+// left turns pass each other on their own sides of the box centre (see createTurnPath)
+export const doMovementsCross = (a, b) => {
+  if (a.direction === b.direction) return false;
+  if (a.direction !== OPPOSITE_DIRECTIONS[b.direction]) return true;
+  return (a.movement === 'left') !== (b.movement === 'left');
+};
+
+// Whether the movements two vehicles make at an intersection cross
+export const areMovementsCrossing = (vehicle, other, intersectionId) => doMovementsCross(
+  { direction: vehicle.direction, movement: getMovement(vehicle, intersectionId) },
+  { direction: other.direction, movement: getMovement(other, intersectionId) }
+);
+
+// Whether a vehicle on a movement crossing the given vehicle's has already entered the
+// intersection box - any part of it counts - or, unless the given vehicle holds a reservation of
+// the box itself, is among the vehicles that reserved it (`reserving`)
+export const isBoxOccupied = (vehicles, vehicle, intersection, reserving = []) => {
+  const box = getIntersectionBox(intersection);
+  const isCrossing = (other) => other.id !== vehicle.id && areMovementsCrossing(vehicle, other, intersection.id);
+  return vehicles.some(other => getFootprintGap(getFootprint(other), box) < 0 && isCrossing(other)) ||
+    (vehicle.reservedIntersectionId !== intersection.id && reserving.some(isCrossing));
+};
+
+// Gap acceptance of a left turn on a permissive signal: whether a vehicle from the opposite
+// approach on a movement crossing it reaches the box in less than CRITICAL_GAP at its current
+// speed, so the left turn has to wait for it. Vehicles already in the box are left to isBoxOccupied.
+export const isOncomingGapTooShort = (vehicles, vehicle, intersection) => {
+  const box = getIntersectionBox(intersection);
+  return vehicles.some(other => {
+    if (other.id === vehicle.id || other.direction !== OPPOSITE_DIRECTIONS[vehicle.direction]) return false;
+    if (!isOnRoadThrough(other, intersection) || !isAhead(other, intersection)) return false;
+    const distance = getFootprintGap(getFootprint(other), box);
+    return distance >= 0 && distance < other.speed * CONFLICTS.CRITICAL_GAP && areMovementsCrossing(vehicle, other, intersection.id);
+  });
+};
+
+// Conflict state of a new simulation: the latest events, newest last, and the encounters going on
+export const createConflicts = () => ({
+  nextEventId: 1,
+  events: [], // { id, time, type, intersectionId, x, y, gap, vehicles: [{ id, type, direction, movement, speed }] }
+  active: {}  // Each pair's ongoing encounter, by `${id}-${id}` with the lower id first: { type, lastTime }
+});
+
+const SEVERITY = { 'near-collision': 1, collision: 2 };
+
+// Conflicts between the vehicles around one intersection: [{ type, gap, vehicles: [a, b] }]
+const findIntersectionConflicts = (vehicles, intersection) => {
+  const box = getIntersectionBox(intersection);
+  const present = vehicles
+    .map(vehicle => ({ vehicle, footprint: getFootprint(vehicle), inside: isInIntersection(vehicle, intersection) }))
+    .filter(({ footprint }) => getFootprintGap(footprint, box) < 0);
+
+  const conflicts = [];
+  present.forEach((a, i) => present.slice(i + 1).forEach(b => {
+    if (!a.inside && !b.inside) return;
+    const gap = getFootprintGap(a.footprint, b.footprint);
+    let type = null;
+    if (gap < 0) {
+      type = 'collision';
+    } else if (a.inside && b.inside && gap < CONFLICTS.NEAR_COLLISION_GAP &&
+      areMovementsCrossing(a.vehicle, b.vehicle, intersection.id)) {
+      type = 'near-collision';
+    }
+    if (type) {
+      conflicts.push({ type, gap, vehicles: a.vehicle.id < b.vehicle.id ? [a.vehicle, b.vehicle] : [b.vehicle, a.vehicle] });
+    }
+  }));
+  return conflicts;
+};
+
+// Record the conflicts inside intersection boxes after vehicles have moved, and flash the
+// intersections they happened at
+export const detectConflicts = (state) => {
+  const { time } = state;
+  let { nextEventId } = state.conflicts;
+  const newEvents = [];
+  // Encounters end once their pair has not conflicted for ENCOUNTER_TIMEOUT
+  const active = Object.fromEntries(Object.entries(state.conflicts.active)
+    .filter(([, encounter]) => time - encounter.lastTime < CONFLICTS.ENCOUNTER_TIMEOUT));
+
+  const intersections = state.intersections.map(intersection => {
+    let { conflictFlash } = intersection;
+    findIntersectionConflicts(state.vehicles, intersection).forEach(({ type, gap, vehicles }) => {
+      const key = `${vehicles[0].id}-${vehicles[1].id}`;
+      const previous = active[key];
+      const recorded = previous && SEVERITY[previous.type] >= SEVERITY[type];
+      active[key] = { type: recorded ? previous.type : type, lastTime: time };
+      if (recorded) return;
+
+      const event = {
+        id: nextEventId++,
+        time,
+        type,
+        intersectionId: intersection.id,
+        x: (vehicles[0].x + vehicles[1].x) / 2,
+        y: (vehicles[0].y + vehicles[1].y) / 2,
+        gap,
+        vehicles: vehicles.map(vehicle => ({
+          id: vehicle.id,
+          type: vehicle.type,
+          direction: vehicle.direction,
+          movement: getMovement(vehicle, intersection.id),
+          speed: vehicle.speed
+        }))
+      };
+      newEvents.push(event);
+      conflictFlash = { type, time };
+      log(state, `⚠️ ${type} at intersection ${intersection.id}: vehicles ${vehicles[0].id} and ${vehicles[1].id}`);
+    });
+
+    if (conflictFlash && time - conflictFlash.time >= CONFLICTS.FLASH_DURATION) {
+      conflictFlash = null;
+    }
+    return conflictFlash === intersection.conflictFlash ? intersection : { ...intersection, conflictFlash };
+  });
+
+  const count = (type) => newEvents.filter(event => event.type === type).length;
+  return {
+    ...state,
+    intersections,
+    conflicts: {
+      nextEventId,
+      events: [...state.conflicts.events, ...newEvents].slice(-CONFLICTS.EVENT_LOG_SIZE),
+      active
+    },
+    statistics: {
+      ...state.statistics,
+      collisions: state.statistics.collisions + count('collision'),
+      nearCollisions: state.statistics.nearCollisions + count('near-collision')
+    }
+  };
+};
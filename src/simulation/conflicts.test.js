@@ -0,0 +1,82 @@
+import { createSimulation, tick } from './engine';
+import { CONFLICTS, TIMING } from './constants';
+import { detectConflicts } from './conflicts';
+import { getDriverModel } from './carFollowing';
+import { getIntersectionBox } from './geometry';
+import { addCarOnRoute, isInBox, updateVehicle } from './testHelpers';
+
+// One uncontrolled intersection of two single-lane streets, so only the box keeps crossing
+// vehicles apart
+const CROSSROADS = {
+  name: 'Crossroads',
+  laneWidth: 30,
+  nodes: [
+    { id: 1, x: 400, y: 400, control: 'uncontrolled' },
+    { id: 'W', x: 0, y: 400 },
+    { id: 'E', x: 800, y: 400 },
+    { id: 'N', x: 400, y: 0 },
+    { id: 'S', x: 400, y: 800 }
+  ],
+  segments: [
+    { from: 'W', to: 1, lanes: { forward: 1, backward: 1 } },
+    { from: 1, to: 'E', lanes: { forward: 1, backward: 1 } },
+    { from: 'N', to: 1, lanes: { forward: 1, backward: 1 } },
+    { from: 1, to: 'S', lanes: { forward: 1, backward: 1 } }
+  ]
+};
+
+// An eastbound and a southbound car going straight, both `distance` px before the box at full speed
+const setUpCrossing = (distance) => {
+  let state = createSimulation({ logging: false, network: CROSSROADS });
+  const intersection = state.intersections[0];
+  const box = getIntersectionBox(intersection);
+  const halfLength = getDriverModel('car').length / 2;
+
+  const eastbound = addCarOnRoute(state, vehicle => vehicle.direction === 'EAST' && vehicle.route.turns.length === 0);
+  state = updateVehicle(eastbound.state, eastbound.vehicle.id, { x: box.minX - halfLength - distance });
+  const southbound = addCarOnRoute(state, vehicle => vehicle.direction === 'SOUTH' && vehicle.route.turns.length === 0);
+  state = updateVehicle(southbound.state, southbound.vehicle.id, { y: box.minY - halfLength - distance });
+  return { state, intersection, ids: [eastbound.vehicle.id, southbound.vehicle.id] };
+};
+
+describe('box reservation', () => {
+  test('of two crossing vehicles reaching the box together, one waits for the other', () => {
+    let { state, intersection, ids } = setUpCrossing(40);
+    const entered = new Set();
+    for (let time = 0; time < 15000; time += TIMING.TICK) {
+      state = tick(state);
+      const inside = state.vehicles.filter(vehicle => ids.includes(vehicle.id) && isInBox(vehicle, intersection));
+      expect(inside.length).toBeLessThan(2);
+      inside.forEach(vehicle => entered.add(vehicle.id));
+    }
+
+    expect([...entered].sort()).toEqual([...ids].sort());
+    expect(state.statistics.collisions).toBe(0);
+  });
+});
+
+describe('collision encounters', () => {
+  // Both cars of a crossing set up in the middle of the box, overlapping or apart
+  const place = (state, intersection, ids, apart) => {
+    const moved = updateVehicle(state, ids[0], { x: intersection.x - (apart ? 40 : 0), y: intersection.y });
+    return updateVehicle(moved, ids[1], { x: intersection.x, y: intersection.y });
+  };
+
+  test('footprints that overlap on and off count as one collision until the encounter times out', () => {
+    let { state, intersection, ids } = setUpCrossing(0);
+    const detect = (apart) => {
+      state = detectConflicts({ ...place(state, intersection, ids, apart), time: state.time + TIMING.TICK });
+    };
+
+    detect(false);
+    detect(true);
+    detect(false);
+    expect(state.statistics.collisions).toBe(1);
+
+    for (let time = 0; time < CONFLICTS.ENCOUNTER_TIMEOUT; time += TIMING.TICK) {
+      detect(true);
+    }
+    detect(false);
+    expect(state.statistics.collisions).toBe(2);
+  });
+});
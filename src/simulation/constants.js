@@ -0,0 +1,195 @@
+// Indications of a signal head (one head per movement of each approach)
+export const SIGNAL_PHASES = {
+  GREEN: 'GREEN',           // Protected - for left turns a green arrow
+  PERMISSIVE: 'PERMISSIVE', // Left turns may go after yielding to opposing traffic
+  YELLOW: 'YELLOW',
+  RED: 'RED'
+};
+
+// Signal timing and simulation clock (in simulated milliseconds)
+export const TIMING = {
+  PHASE_DURATION: 30000,            // 30 seconds of green per phase of the two-phase plan
+  AMBER_DURATION: 3000,             // Default amber interval after each green (intersections may override)
+  ALL_RED_DURATION: 2000,           // Default all-red clearance before the next green (intersections may override)
+  TICK: 50,                         // Fixed timestep - every subsystem advances once per tick
+  V2I_BROADCAST_INTERVAL: 200,      // Emergency vehicles broadcast every 4th tick
+  COMMUNICATION_LINK_INTERVAL: 500, // V2V/V2I links are recomputed every 10th tick
+  MAX_FAST_FORWARD: 300000          // Longest fast-forward - it runs in one go and blocks the page
+};
+
+// Vehicle-actuated signal control
+// A phase's split is its maximum green; detector lengths and distances are measured upstream of the stop line
+export const ACTUATED_CONTROL = {
+  MIN_GREEN: 5000,                // Shortest green once a phase has started (ms)
+  PASSAGE_TIME: 2500,             // Green extension per actuation - the phase gaps out after this long without one (ms)
+  STOP_LINE_DETECTOR_LENGTH: 40,  // Detection zone right behind the stop line (px)
+  ADVANCE_DETECTOR_DISTANCE: 120, // Centre of the advance detector (px)
+  ADVANCE_DETECTOR_LENGTH: 20     // Length of the advance detector (px)
+};
+
+// Adaptive signal control from V2I vehicle reports
+export const ADAPTIVE_CONTROL = {
+  QUEUE_SPEED: 5,             // Reported vehicles slower than this count as queued (px/s)
+  ARRIVAL_WINDOW: 60000,      // Arrival rates are averaged over this long (ms)
+  DECISION_INTERVAL: 5000,    // Max-pressure re-decides this often once the minimum green is over (ms)
+  MAX_GREEN: 60000,           // Longest green max-pressure gives one phase (ms)
+  SATURATION_FLOW: 0.5,       // Discharge rate of one queued lane (vehicles/s)
+  MAX_FLOW_RATIO: 0.9,        // Webster's critical flow ratio sum is capped below 1
+  MIN_CYCLE: 40000,           // Shortest Webster cycle (ms)
+  MAX_CYCLE: 150000           // Longest Webster cycle (ms)
+};
+
+// Transit signal priority for buses under fixed-time and coordinated control
+export const TRANSIT_PRIORITY = {
+  MAX_EXTENSION: 10000,   // Longest a green is held past its end for an approaching bus (ms)
+  MAX_EARLY_GREEN: 10000, // Most a conflicting green is shortened by so a bus gets its green early (ms)
+  LOCKOUT: 60000          // An intersection grants priority at most once this often, so cross streets are not starved (ms)
+};
+
+// Green-wave coordination along corridors
+export const COORDINATION = {
+  DEFAULT_CYCLE_LENGTH: 70000,  // Shared cycle offered by the ControlPanel - the two-phase plan's own cycle (ms)
+  DEFAULT_PROGRESSION_SPEED: 40, // Progression speed offered by the ControlPanel - a car's desired speed (px/s)
+  SAMPLE_INTERVAL: 500,         // Time-space diagram samples are recorded this often (ms)
+  TIME_SPACE_WINDOW: 120000     // The time-space diagram keeps this much history (ms)
+};
+
+// Exit strategies an intersection can use to return to normal operation once an emergency
+// vehicle has cleared it - see signals.js
+export const PREEMPTION_EXITS = ['interrupted', 'short-way', 'long-way', 'dwell'];
+
+// Return to normal operation once an emergency vehicle has cleared a preempted intersection
+// Short-way and long-way transitions change each green by at most these fractions of it until
+// the intersection is back on its cycle schedule
+export const PREEMPTION_RECOVERY = {
+  DWELL_TIME: 10000,     // Green the emergency vehicle's phase holds after preemption with the dwell exit (ms)
+  SHORT_WAY_LIMIT: 0.2,  // Most a green is shortened by during a short-way transition
+  LONG_WAY_LIMIT: 0.3    // Most a green is lengthened by during a long-way transition
+};
+
+// Intersection inboxes and the emergency priority requests they track (see inbox.js)
+export const INTERSECTION_INBOX = {
+  SIZE: 20,                 // Received messages an intersection keeps
+  COMPLETED_REQUESTS: 10,   // Completed requests an intersection keeps for its detail panel
+  RESPONSE_DISPLAY_TIME: 1000 // I2V responses are drawn for this long after they were sent (ms)
+};
+
+// J2735-style messages exchanged over V2X (see j2735.js and codec.js)
+export const V2X_MESSAGES = {
+  MAP_INTERVAL: 1000,    // Intersections broadcast their MAP this often - SPaT and BSMs go out every V2I broadcast (ms)
+  MAP_LANE_LENGTH: 200,  // Ingress lanes are described this far upstream of the stop line (px)
+  CAPTURE_SIZE: 20       // Latest messages of each type kept encoded for the message inspector
+};
+
+// Radio channel every V2X message goes through (see channel.js)
+export const CHANNEL = {
+  INTERFERENCE_RANGE: 300,  // Vehicles this close to a receiver transmit on its channel (px)
+  CAPACITY: 100,            // Transmitters at a receiver at which only 1/e of its messages survive collisions
+  PATH_LOSS_EXPONENT: 2.7,  // Path-loss model: how fast the signal weakens with distance (urban 2.7-3.5)
+  SHADOWING_DEVIATION: 4,   // Path-loss model: spread of the signal around its mean (dB)
+  MEDIAN_RANGE: 0.8,        // Path-loss model: share of a link's range at which half the messages arrive
+  REQUEST_TIMEOUT: 500,     // Bus priority requests not refreshed for this long are dropped - rides out a lost SRM or two (ms)
+  LINK_STATS_WINDOW: 60000  // Links without messages for this long are dropped from the per-link statistics (ms)
+};
+
+// Vehicle behavior constants
+export const VEHICLE_CONSTANTS = {
+  EMERGENCY_OVERRIDE_DISTANCE: 150, // Distance for emergency override (px)
+  EMERGENCY_CLEAR_DISTANCE: 200,    // Distance to clear emergency override (px)
+  DETECTION_DISTANCE: 200,     // Distance for detecting approaching emergency vehicles (px)
+  PREEMPTION_DISTANCE: 150,    // Distance to start signal preemption (px)
+  PREEMPTION_MIN_DISTANCE: 50, // Minimum distance for preemption to activate (px)
+  TURN_DIRECTION_SWITCH_DISTANCE: 80, // Distance to switch to turn target direction (px)
+  WAYPOINT_REACH_DISTANCE: 10, // Distance to consider waypoint reached (px)
+  DESTINATION_REACH_DISTANCE: 5, // Distance to consider destination reached (px)
+  V2I_COMMUNICATION_MAX_DISTANCE: 300, // Maximum distance for V2I communication with emergency vehicles (px)
+  V2I_COMMUNICATION_MIN_DISTANCE: 10,  // Minimum distance for V2I communication (px)
+  V2I_REGULAR_COMMUNICATION_DISTANCE: 80, // V2I communication distance for regular vehicles (px)
+  V2V_COMMUNICATION_DISTANCE: 100,     // Maximum distance for V2V links between vehicles (px)
+  VEHICLE_WIDTH: 16                    // Width of every vehicle's footprint - the driver models only have a length (px)
+};
+
+// Pull-over-and-yield: vehicles that hear an emergency vehicle's warning behind them move out of
+// its lane towards the curb and stop or slow down until it has passed
+export const EMERGENCY_YIELD = {
+  WARNING_TIMEOUT: 1000, // A vehicle stops yielding when it has not heard the warning for this long (ms)
+  PULL_OVER_OFFSET: 20,  // How far vehicles in the curb lane move onto the shoulder - a vehicle width and some room (px)
+  YIELD_SPEED: 10        // Vehicles out of the emergency vehicle's way slow to this speed (px/s)
+};
+
+// Lane changes - discretionary ones follow MOBIL (Minimizing Overall Braking Induced by Lane
+// changes): a vehicle changes lane when its own gain in IDM acceleration, plus POLITENESS times
+// the gain of the vehicles behind it in both lanes, beats THRESHOLD - and the new follower
+// would not have to brake harder than SAFE_DECELERATION. Accelerations in px/s².
+export const LANE_CHANGE = {
+  LATERAL_SPEED: 30,        // Sideways speed of vehicles changing lanes or pulling over (px/s)
+  CLEARANCE: 4,             // Least gap a vehicle moving sideways leaves to others - two ticks of sideways movement (px)
+  POLITENESS: 0.3,          // Weight of the other vehicles' gain against the vehicle's own
+  THRESHOLD: 2,             // Least overall gain worth a lane change
+  KEEP_RIGHT_BIAS: 4,       // Extra gain needed to leave the curb lane, and granted for returning to it
+  SAFE_DECELERATION: 60,    // Hardest braking a lane change may force on the new follower
+  NO_CHANGE_DISTANCE: 100,  // No discretionary lane changes this close to the stop line ahead (px)
+  MIN_INTERVAL: 3000        // Least time between two discretionary lane changes of a vehicle (ms)
+};
+
+// Conflicts between vehicles inside intersection boxes (see conflicts.js)
+export const CONFLICTS = {
+  NEAR_COLLISION_GAP: 5,   // Vehicles on crossing movements closer than this inside a box nearly collide (px)
+  CRITICAL_GAP: 4,         // Shortest time to an oncoming vehicle reaching the box a permissive left turn accepts (s)
+  ENCOUNTER_TIMEOUT: 1000, // A pair's encounter ends once it has not conflicted for this long (ms)
+  EVENT_LOG_SIZE: 50,      // Latest conflict events kept
+  FLASH_DURATION: 1000     // An intersection flashes for this long after a conflict (ms)
+};
+
+// Surrogate safety measures (see safety.js) - the thresholds are the defaults of a new simulation
+export const SAFETY = {
+  TTC_THRESHOLD: 1.5,      // Following pairs closing in with less time-to-collision than this conflict (s)
+  PET_THRESHOLD: 1.0,      // Crossing pairs with less post-encroachment time than this conflict (s)
+  PET_CELL_SIZE: 10,       // Edge length of the cells encroachment inside intersection boxes is tracked in (px)
+  ENCOUNTER_TIMEOUT: 1000, // A pair's encounter ends once it has not been below its threshold for this long (ms)
+  CRITICAL_EVENTS: 10      // Most critical events kept - the ones with the lowest TTC or PET
+};
+
+// Traffic performance measures (see metrics.js)
+export const METRICS = {
+  QUEUE_SPEED: 5,            // Vehicles on an approach slower than this are queued (px/s)
+  QUEUE_REACH: 300,          // How far upstream of an intersection its approaches are measured (px) - less than any spacing between intersections
+  THROUGHPUT_WINDOW: 60000,  // Departures are counted over this rolling window (ms)
+  EMERGENCY_RESPONSES: 10,   // Latest emergency vehicle trips kept
+  SAMPLE_INTERVAL: 500,      // Time series for the charts are sampled this often (ms)
+  TIME_SERIES_WINDOW: 120000 // The charts keep this much history (ms)
+};
+
+// Order in which conflicting emergency vehicles are served at an intersection - lower goes first
+export const EMERGENCY_PRIORITY_RANKING = {
+  firetruck: 1,
+  emergency: 2, // Ambulance
+  police: 3
+};
+
+// Car-following (Intelligent Driver Model) parameters per vehicle type
+// Speeds in px/s, accelerations in px/s², time headway in s, gaps and lengths in px
+export const DRIVER_MODELS = {
+  car: { desiredSpeed: 40, timeHeadway: 1.0, maxAcceleration: 30, comfortableDeceleration: 40, minGap: 8, length: 30 },
+  bus: { desiredSpeed: 30, timeHeadway: 1.5, maxAcceleration: 15, comfortableDeceleration: 30, minGap: 10, length: 30 },
+  truck: { desiredSpeed: 40, timeHeadway: 1.5, maxAcceleration: 20, comfortableDeceleration: 30, minGap: 10, length: 30 },
+  emergency: { desiredSpeed: 80, timeHeadway: 0.8, maxAcceleration: 60, comfortableDeceleration: 60, minGap: 8, length: 30 },
+  firetruck: { desiredSpeed: 80, timeHeadway: 1.0, maxAcceleration: 45, comfortableDeceleration: 50, minGap: 10, length: 30 },
+  police: { desiredSpeed: 80, timeHeadway: 0.8, maxAcceleration: 70, comfortableDeceleration: 60, minGap: 8, length: 30 }
+};
+
+// Car-following behaviour shared by every vehicle type
+export const CAR_FOLLOWING = {
+  ACCELERATION_EXPONENT: 4,     // IDM free-road exponent - how abruptly vehicles level off at their desired speed
+  MAX_DECELERATION: 150,        // Hardest braking any vehicle can apply (px/s²)
+  LEADER_LOOKAHEAD: 150,        // How far ahead a vehicle looks for the vehicle it follows (px)
+  STOP_LINE_LOOKAHEAD: 200,     // Distance from an intersection at which vehicles start reacting to its signal (px)
+  START_UP_REACTION_TIME: 1000, // Delay before a stopped vehicle pulls away once it may go (ms)
+  STOPPED_SPEED: 0.5,           // Below this speed a vehicle counts as stopped (px/s)
+  AMBER_STOP_DECELERATION: 1.5  // On amber a vehicle stops if that needs at most this multiple of its comfortable deceleration
+};
+
+// Uniform grid used for neighbour queries between vehicles and intersections
+export const SPATIAL_INDEX = {
+  CELL_SIZE: 100   // Edge length of one grid cell (px) - matches the V2V communication range
+};
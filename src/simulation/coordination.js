@@ -0,0 +1,213 @@
+import { ACTUATED_CONTROL, COORDINATION, TIMING } from './constants';
+import { isVerticalDirection } from './RoadGrid';
+import { findThroughPhaseIndex } from './signalPlans';
+import { log } from './log';
+
+// Green-wave coordination
+// Coordinated intersections share one cycle length and follow the master clock (the simulation
+// time): each starts the green of its coordinated phase whenever the clock is a whole number of
+// cycles past its offset, and runs the rest of its plan after it with the splits stretched or
+// squeezed to fill the cycle. Offsets along a corridor can be computed for progression at a
+// chosen speed, and while a corridor is coordinated its signals and vehicles are sampled for
+// the time-space diagram.
+
+const getClearanceTime = (intersection) => intersection.amberDuration + intersection.allRedDuration;
+
+// Cycle an intersection runs on its own: every split plus its clearance intervals
+export const getNaturalCycleLength = (intersection) =>
+  intersection.plan.reduce((sum, planPhase) => sum + planPhase.split + getClearanceTime(intersection), 0);
+
+// Shortest cycle that still gives every phase its minimum green
+export const getMinimumCycleLength = (intersection) =>
+  intersection.plan.length * (ACTUATED_CONTROL.MIN_GREEN + getClearanceTime(intersection));
+
+// Green of each phase within the cycle: the time the clearances leave is shared in proportion to the splits
+export const getScheduledGreens = (intersection) => {
+  const { plan } = intersection;
+  const cycleLength = intersection.cycleLength || getNaturalCycleLength(intersection);
+  const totalSplit = plan.reduce((sum, planPhase) => sum + planPhase.split, 0);
+  const greenTime = cycleLength - plan.length * getClearanceTime(intersection);
+  return plan.map(planPhase => planPhase.split * greenTime / totalSplit);
+};
+
+// Phase and interval ('green', 'amber' or 'all-red') the master clock puts an intersection in,
+// with the time left in that interval (ms): { phaseIndex, interval, remaining }
+export const getScheduledInterval = (intersection, time) => {
+  const { plan, coordinatedPhaseIndex, amberDuration, allRedDuration } = intersection;
+  const greens = getScheduledGreens(intersection);
+  const cycleLength = greens.reduce((sum, green) => sum + green + amberDuration + allRedDuration, 0);
+  let position = ((time - intersection.offset) % cycleLength + cycleLength) % cycleLength;
+
+  for (let step = 0; step < plan.length; step++) {
+    const phaseIndex = (coordinatedPhaseIndex + step) % plan.length;
+    const intervals = [['green', greens[phaseIndex]], ['amber', amberDuration], ['all-red', allRedDuration]];
+    for (const [interval, duration] of intervals) {
+      if (position < duration) return { phaseIndex, interval, remaining: duration - position };
+      position -= duration;
+    }
+  }
+
+  // Rounding can leave the position a fraction of a ms past the last clearance
+  return { phaseIndex: (coordinatedPhaseIndex + plan.length - 1) % plan.length, interval: 'all-red', remaining: 0 };
+};
+
+// How long ago (ms, within the cycle) the master clock started the green of a phase - 0 when a
+// green of that phase starting now is in step with the schedule
+export const getScheduleLag = (intersection, phaseIndex, time) => {
+  const { plan, coordinatedPhaseIndex, amberDuration, allRedDuration } = intersection;
+  const greens = getScheduledGreens(intersection);
+  const cycleLength = greens.reduce((sum, green) => sum + green + amberDuration + allRedDuration, 0);
+
+  let start = intersection.offset;
+  for (let index = coordinatedPhaseIndex; index !== phaseIndex; index = (index + 1) % plan.length) {
+    start += greens[index] + amberDuration + allRedDuration;
+  }
+  return ((time - start) % cycleLength + cycleLength) % cycleLength;
+};
+
+// Corridors of a road network: one per road and travel direction that passes two or more
+// signalized intersections - { id, name, direction, roadIndex, start, length, intersections }
+// Positions are measured along the travel direction from where the road enters the network
+export const getCorridors = (roadGrid) => {
+  const signalized = roadGrid.intersections.filter(intersection => intersection.control === 'signal');
+  const corridors = [];
+
+  ['EAST', 'WEST', 'SOUTH', 'NORTH'].forEach(direction => {
+    const vertical = isVerticalDirection(direction);
+
+    roadGrid.getRoads(direction).forEach(road => {
+      if (roadGrid.getLaneCount(road, direction) === 0) return;
+
+      const start = roadGrid.getEntryPosition(road, direction);
+      const intersections = signalized
+        .filter(intersection => (vertical ? intersection.x === road.centerX : intersection.y === road.centerY))
+        .map(intersection => ({ id: intersection.id, position: Math.abs((vertical ? intersection.y : intersection.x) - start) }))
+        .sort((a, b) => a.position - b.position);
+      if (intersections.length < 2) return;
+
+      corridors.push({
+        id: `${direction.toLowerCase()}-${road.index}`,
+        name: `${direction} ${intersections.map(intersection => intersection.id).join(' → ')}`,
+        direction,
+        roadIndex: road.index,
+        start,
+        length: Math.abs(roadGrid.getExitPosition(road, direction) - start),
+        intersections
+      });
+    });
+  });
+
+  return corridors;
+};
+
+// Offsets (ms, by intersection id) for progression along a corridor at `speed` (px/s): every
+// intersection turns green just as a vehicle released by the first one arrives at it
+export const computeProgressionOffsets = (corridor, speed, cycleLength) => {
+  const first = corridor.intersections[0].position;
+  const offsets = {};
+  corridor.intersections.forEach(({ id, position }) => {
+    const travelTime = (position - first) / speed * 1000;
+    offsets[id] = (Math.round(travelTime / TIMING.TICK) * TIMING.TICK) % cycleLength;
+  });
+  return offsets;
+};
+
+// Coordinate every signalized intersection on a shared cycle, with progression offsets along a
+// corridor: { corridorId, speed (px/s), cycleLength (ms) }
+// Intersections off the corridor keep offset 0. Throws for unknown corridors, speeds that are not
+// positive and cycles too short for an intersection's plan.
+export const coordinateCorridor = (state, { corridorId, speed, cycleLength }) => {
+  const corridor = getCorridors(state.roadGrid).find(c => c.id === corridorId);
+  if (!corridor) {
+    throw new Error(`Unknown corridor "${corridorId}"`);
+  }
+  if (!(speed > 0)) {
+    throw new Error('Progression speed must be a positive number of px/s');
+  }
+
+  const signalized = state.intersections.filter(intersection => intersection.control === 'signal');
+  signalized.forEach(intersection => {
+    if (!(cycleLength >= getMinimumCycleLength(intersection))) {
+      throw new Error(`Cycle length of intersection ${intersection.id} must be at least ${getMinimumCycleLength(intersection)} ms`);
+    }
+  });
+
+  const offsets = computeProgressionOffsets(corridor, speed, cycleLength);
+  const approach = corridor.direction.toLowerCase();
+  log(state, `🌊 Green wave along ${corridor.name} at ${speed}px/s, cycle ${cycleLength / 1000}s`);
+
+  return {
+    ...state,
+    coordination: { corridor, speed, cycleLength, samples: [] },
+    intersections: state.intersections.map(intersection => {
+      if (intersection.control !== 'signal') return intersection;
+
+      const onCorridor = offsets[intersection.id] !== undefined;
+      const throughPhaseIndex = findThroughPhaseIndex(intersection.plan, approach);
+      return {
+        ...intersection,
+        controller: 'coordinated',
+        cycleLength,
+        offset: onCorridor ? offsets[intersection.id] : 0,
+        coordinatedPhaseIndex: onCorridor && throughPhaseIndex >= 0 ? throughPhaseIndex : 0
+      };
+    })
+  };
+};
+
+// Move one coordinated intersection's offset (ms) relative to the master clock
+export const setSignalOffset = (state, intersectionId, offset) => ({
+  ...state,
+  intersections: state.intersections.map(intersection => (
+    intersection.id === intersectionId
+      ? { ...intersection, offset: ((offset % intersection.cycleLength) + intersection.cycleLength) % intersection.cycleLength }
+      : intersection
+  ))
+});
+
+// Return every coordinated intersection to fixed-time control on its own cycle
+export const stopCoordination = (state) => ({
+  ...state,
+  coordination: null,
+  intersections: state.intersections.map(intersection => (
+    intersection.controller === 'coordinated'
+      ? { ...intersection, controller: 'fixed', cycleLength: null, offset: 0, coordinatedPhaseIndex: 0 }
+      : intersection
+  ))
+});
+
+// Sample the coordinated corridor for the time-space diagram every SAMPLE_INTERVAL: the signal
+// each intersection shows the corridor's through movement, and the position along the corridor
+// of every vehicle travelling it. Samples older than TIME_SPACE_WINDOW are dropped.
+export const recordTimeSpace = (state) => {
+  const { coordination, roadGrid } = state;
+  if (!coordination || state.time % COORDINATION.SAMPLE_INTERVAL !== 0) return state;
+
+  const { corridor } = coordination;
+  const vertical = isVerticalDirection(corridor.direction);
+  const road = roadGrid.getRoads(corridor.direction)[corridor.roadIndex];
+  const center = vertical ? road.centerX : road.centerY;
+  const halfWidth = roadGrid.getRoadWidth(road) / 2;
+  const approach = corridor.direction.toLowerCase();
+
+  const sample = {
+    time: state.time,
+    signals: corridor.intersections.map(({ id }) =>
+      state.intersections.find(intersection => intersection.id === id).signals[approach].through),
+    vehicles: state.vehicles
+      .filter(vehicle => vehicle.direction === corridor.direction && Math.abs((vertical ? vehicle.x : vehicle.y) - center) <= halfWidth)
+      .map(vehicle => ({
+        id: vehicle.id,
+        type: vehicle.type,
+        position: Math.abs((vertical ? vehicle.y : vehicle.x) - corridor.start)
+      }))
+  };
+
+  return {
+    ...state,
+    coordination: {
+      ...coordination,
+      samples: [...coordination.samples.filter(s => state.time - s.time < COORDINATION.TIME_SPACE_WINDOW), sample]
+    }
+  };
+};
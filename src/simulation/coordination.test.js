@@ -0,0 +1,66 @@
+import { coordinateCorridor, createSimulation, setSignalOffset, tick } from './engine';
+import { COORDINATION, TIMING } from './constants';
+import { computeProgressionOffsets, getCorridors, getMinimumCycleLength, getScheduledGreens, getScheduledInterval } from './coordination';
+import { NETWORKS } from './networks';
+
+// Grid: intersections 1 and 2 lie 500 px apart on the northern east-west road
+const createGrid = () => createSimulation({ logging: false, network: NETWORKS.grid });
+const findCorridor = (state, id) => getCorridors(state.roadGrid).find(corridor => corridor.id === id);
+
+describe('progression offsets', () => {
+  test('each intersection turns green one travel time after the one before it', () => {
+    const corridor = findCorridor(createGrid(), 'east-0');
+    expect(corridor.intersections.map(intersection => intersection.id)).toEqual([1, 2]);
+    expect(computeProgressionOffsets(corridor, 40, 70000)).toEqual({ 1: 0, 2: 12500 });
+    // Offsets fall within the cycle
+    expect(computeProgressionOffsets(corridor, 5, 70000)).toEqual({ 1: 0, 2: 30000 });
+  });
+
+  test('coordinating a corridor rejects unknown corridors, speeds and cycles too short for a plan', () => {
+    const state = createGrid();
+    const cycleLength = COORDINATION.DEFAULT_CYCLE_LENGTH;
+    expect(() => coordinateCorridor(state, { corridorId: 'east-9', speed: 40, cycleLength })).toThrow('Unknown corridor');
+    expect(() => coordinateCorridor(state, { corridorId: 'east-0', speed: 0, cycleLength })).toThrow('Progression speed');
+    expect(() => coordinateCorridor(state, { corridorId: 'east-0', speed: 40, cycleLength: getMinimumCycleLength(state.intersections[0]) - 1 }))
+      .toThrow('Cycle length of intersection 1');
+  });
+});
+
+describe('master clock schedule', () => {
+  test('the coordinated phase turns green at the offset and the cycle repeats', () => {
+    const state = coordinateCorridor(createGrid(), { corridorId: 'east-0', speed: 40, cycleLength: 70000 });
+    const second = state.intersections.find(intersection => intersection.id === 2);
+    const eastWest = second.plan.findIndex(planPhase => planPhase.id === 'east-west');
+    const [green] = getScheduledGreens(second).slice(eastWest);
+
+    expect(second.coordinatedPhaseIndex).toBe(eastWest);
+    expect(getScheduledInterval(second, 12500)).toEqual({ phaseIndex: eastWest, interval: 'green', remaining: green });
+    expect(getScheduledInterval(second, 12500 + 70000)).toEqual(getScheduledInterval(second, 12500));
+    expect(getScheduledInterval(second, 12500 + green)).toEqual({ phaseIndex: eastWest, interval: 'amber', remaining: second.amberDuration });
+    // Before its offset the intersection is still in the last phase of the previous cycle
+    expect(getScheduledInterval(second, 12500 - 1)).toMatchObject({ interval: 'all-red', remaining: 1 });
+  });
+
+  test('once in step the eastbound greens start one offset apart', () => {
+    let state = coordinateCorridor(createGrid(), { corridorId: 'east-0', speed: 40, cycleLength: 70000 });
+    state = setSignalOffset(state, 2, 12500 - 70000);
+    expect(state.intersections[1].offset).toBe(12500);
+
+    // First eastbound green onsets of the third cycle, once transitions are over
+    const onsets = {};
+    for (let time = 0; time < 3 * 70000; time += TIMING.TICK) {
+      const previous = state.intersections;
+      state = tick(state);
+      const now = state.time;
+      state.intersections.forEach((intersection, index) => {
+        const turnedGreen = intersection.signals.east.through !== previous[index].signals.east.through &&
+          intersection.currentPhase === 'east-west' && intersection.interval === 'green';
+        if (turnedGreen && now >= 2 * 70000 && !onsets[intersection.id]) onsets[intersection.id] = now;
+      });
+    }
+
+    expect(onsets[1] % 70000).toBe(0);
+    expect(onsets[2] - onsets[1]).toBe(12500);
+    expect(onsets[4] - onsets[3]).toBe(0);
+  });
+});
@@ -0,0 +1,64 @@
+import { ACTUATED_CONTROL } from './constants';
+import { isAhead } from './geometry';
+import { isVerticalDirection } from './RoadGrid';
+import { getMovement } from './signalPlans';
+import { queryRadius } from './spatialIndex';
+
+// Virtual detectors of actuated intersections
+// Every approach has a stop-line detector just upstream of its stop line and an advance detector
+// further upstream. With 'loops' detection they see the vehicles themselves; with 'v2i' detection
+// they are evaluated on the positions vehicles last reported to the intersection.
+
+// How far from the intersection centre the detectors reach (px)
+const getDetectionReach = (intersection) =>
+  Math.max(intersection.width, intersection.height) / 2 +
+  ACTUATED_CONTROL.ADVANCE_DETECTOR_DISTANCE + ACTUATED_CONTROL.ADVANCE_DETECTOR_LENGTH;
+
+// Vehicles as the detectors see them: { x, y, direction, movement }
+const getDetectableVehicles = (state, intersection) => {
+  if (intersection.detection === 'v2i') {
+    return intersection.vehicleReports;
+  }
+  return queryRadius(state.spatialIndex.vehicles, intersection, getDetectionReach(intersection))
+    .map(vehicle => ({
+      x: vehicle.x,
+      y: vehicle.y,
+      direction: vehicle.direction,
+      movement: getMovement(vehicle, intersection.id)
+    }));
+};
+
+// Detector actuations at an intersection this tick: [{ approach, movement, detector }]
+// where detector is 'stop-line' or 'advance'
+export const detectVehicles = (state, intersection) => {
+  const { roadGrid } = state;
+  const actuations = [];
+
+  getDetectableVehicles(state, intersection).forEach(vehicle => {
+    const vertical = isVerticalDirection(vehicle.direction);
+
+    // Only vehicles approaching on one of the roads through this intersection
+    const onRoad = vertical
+      ? Math.abs(intersection.x - vehicle.x) < intersection.width / 2
+      : Math.abs(intersection.y - vehicle.y) < intersection.height / 2;
+    if (!onRoad) return;
+
+    const linePosition = roadGrid.getIntersectionEntryPosition(intersection, vehicle.direction);
+    const line = vertical ? { x: vehicle.x, y: linePosition } : { x: linePosition, y: vehicle.y };
+    if (!isAhead(vehicle, line)) return;
+
+    const upstream = Math.abs(linePosition - (vertical ? vehicle.y : vehicle.x));
+    let detector = null;
+    if (upstream <= ACTUATED_CONTROL.STOP_LINE_DETECTOR_LENGTH) {
+      detector = 'stop-line';
+    } else if (Math.abs(upstream - ACTUATED_CONTROL.ADVANCE_DETECTOR_DISTANCE) <= ACTUATED_CONTROL.ADVANCE_DETECTOR_LENGTH / 2) {
+      detector = 'advance';
+    }
+
+    if (detector) {
+      actuations.push({ approach: vehicle.direction.toLowerCase(), movement: vehicle.movement, detector });
+    }
+  });
+
+  return actuations;
+};
@@ -0,0 +1,190 @@
+import RoadGrid from './RoadGrid';
+import { TIMING } from './constants';
+import { NETWORKS, DEFAULT_NETWORK } from './networks';
+import { createIntersections, updateSignals, applyEmergencyPriority } from './signals';
+import { createVehicle, updateVehicles } from './vehicles';
+import { createRandom } from './random';
+import { createSpatialIndex } from './spatialIndex';
+import { recordTimeSpace } from './coordination';
+import { buildMapData } from './j2735';
+import { createCapture } from './codec';
+import { createChannel } from './channel';
+import { createConflicts, detectConflicts } from './conflicts';
+import { createSafety, measureSafety } from './safety';
+import { createMetrics, measureApproaches, recordTimeSeries } from './metrics';
+import {
+  broadcastBasicSafetyMessages,
+  broadcastEmergencyWarnings,
+  broadcastSignalMessages,
+  broadcastV2IMessages,
+  deliverMessages,
+  reportVehiclePositions,
+  sendTransitPriorityRequests,
+  updateCommunicationLinks
+} from './communication';
+
+// Headless simulation engine
+// Every function takes a simulation state and returns a new one without mutating its input,
+// so the same logic can be driven by the React context, tests or plain Node scripts.
+
+export { RANDOM_TURN } from './vehicles';
+export { setSignalController, setPreemptionExit } from './signals';
+export { coordinateCorridor, setSignalOffset, stopCoordination } from './coordination';
+export { setChannel } from './channel';
+export { setSafetyThresholds } from './safety';
+
+const DEFAULT_CONFIG = {
+  network: NETWORKS[DEFAULT_NETWORK], // Road network definition (see networks/index.js)
+  signalPlan: null, // Signal plan for every intersection (see signalPlans.js) - null keeps the network's plans
+  seed: 1,        // Seed for every random decision (routes, lanes, turns)
+  channel: {},    // Radio channel settings (see channel.js) - the ideal channel by default
+  safety: {},     // TTC and PET thresholds (see safety.js) - SAFETY's by default
+  logging: true   // Write the engine's debug output to the console
+};
+
+// Bucket vehicle and intersection positions for neighbour queries
+// Rebuilt inside every tick, so it always matches the positions the subsystems work on
+const indexPositions = (state) => ({
+  ...state,
+  spatialIndex: {
+    vehicles: createSpatialIndex(state.vehicles),
+    intersections: createSpatialIndex(state.intersections)
+  }
+});
+
+// Rebuild only the intersection index, after their signals changed
+const indexIntersections = (state) => ({
+  ...state,
+  spatialIndex: { ...state.spatialIndex, intersections: createSpatialIndex(state.intersections) }
+});
+
+// Throws if the configured road network, signal plan, channel or safety thresholds are invalid
+export const createSimulation = (config = {}) => {
+  const settings = { ...DEFAULT_CONFIG, ...config };
+  const roadGrid = new RoadGrid(settings.network);
+  const intersections = createIntersections(roadGrid, settings.signalPlan);
+
+  return indexPositions({
+    config: settings,
+    time: 0,          // Simulated time (ms), always a whole number of ticks
+    pendingTime: 0,   // Simulated time handed to step() that does not yet fill a tick
+    random: createRandom(settings.seed),
+    nextVehicleId: 1,
+    roadGrid,
+    vehicles: [],
+    intersections,
+    emergencyActive: false,
+    communicationLinks: [],
+    v2iMessages: [],  // SRMs emergency vehicles sent with the last V2I broadcast: { message, outcome }
+    i2vMessages: [],  // Recent SSMs answering emergency priority requests (see inbox.js): { message, vehicleId, outcome, time }
+    basicSafetyMessages: [], // Latest BSM of every vehicle
+    mapMessages: intersections.map(intersection => buildMapData(roadGrid, intersection)), // The road network does not change
+    capturedMessages: createCapture(), // Every message sent, the latest encoded (see codec.js)
+    channel: createChannel(settings.channel, settings.seed), // Radio channel and its delivery statistics
+    preemptionLogged: {},
+    coordination: null, // Coordinated corridor and its time-space samples (see coordination.js)
+    conflicts: createConflicts(), // Collisions and near-collisions inside intersection boxes (see conflicts.js)
+    safety: createSafety(settings.safety), // TTC and PET encounters (see safety.js)
+    metrics: createMetrics(), // Trip and approach performance measures (see metrics.js)
+    statistics: {
+      totalVehicles: 0,
+      emergencyEvents: 0,
+      emergencyConflicts: 0, // Emergency vehicles told to hold for a conflicting one
+      collisions: 0,     // Vehicles whose footprints overlapped inside an intersection box
+      nearCollisions: 0, // Vehicles on crossing movements that came within NEAR_COLLISION_GAP there
+      ttcConflicts: 0,   // Following pairs closing in below the TTC threshold
+      petConflicts: 0,   // Crossing pairs below the PET threshold at intersections
+      activeLinks: 0,    // Communication links drawn at the latest link update
+      v2iBroadcasts: 0,
+      i2vResponses: 0,   // Status changes of priority requests answered by intersections
+      transitPriorityRequests: 0, // Distinct bus priority requests received by intersections - renewals not counted
+      transitPriorityGrants: 0,   // Green extensions and early greens granted to buses
+      busTrips: 0,       // Buses that reached their destination
+      busDelay: 0,       // Their total delay (ms)
+      generalTrips: 0,   // Cars and trucks that reached their destination
+      generalDelay: 0    // Their total delay (ms)
+    }
+  });
+};
+
+// Advance the simulation clock by exactly one tick
+// Every subsystem runs in this fixed order, so none can drift relative to the others
+export const tick = (state) => {
+  const time = state.time + TIMING.TICK;
+  let next = { ...state, time };
+
+  // Signals never move anything, so the vehicle index also serves the vehicle update. The index
+  // holds the intersection objects themselves, so those are indexed again for this tick's signals
+  next = indexPositions(next);
+  next = updateSignals(next);
+  next = indexIntersections(next);
+  next = updateVehicles(next);
+  next = applyEmergencyPriority(next);
+  next = recordTimeSpace(next);
+
+  // Measurements and communication work on the positions vehicles moved to during this tick
+  next = indexPositions(next);
+  next = detectConflicts(next);
+  next = measureSafety(next);
+  next = measureApproaches(next);
+  next = recordTimeSeries(next);
+
+  const broadcastDue = time % TIMING.V2I_BROADCAST_INTERVAL === 0;
+  const linksDue = time % TIMING.COMMUNICATION_LINK_INTERVAL === 0;
+
+  if (broadcastDue) {
+    next = broadcastBasicSafetyMessages(next);
+    next = broadcastEmergencyWarnings(next);
+    next = broadcastSignalMessages(next);
+    next = broadcastV2IMessages(next);
+    next = reportVehiclePositions(next);
+    next = sendTransitPriorityRequests(next);
+  }
+  if (linksDue) {
+    next = updateCommunicationLinks(next);
+  }
+
+  // Messages the channel delivers by the end of the tick take effect from the next one
+  next = deliverMessages(next);
+
+  return next;
+};
+
+// Advance the simulation by dtMs simulated milliseconds
+// Runs as many whole ticks as fit and carries the remainder over to the next call
+export const step = (state, dtMs) => {
+  let next = { ...state, pendingTime: state.pendingTime + dtMs };
+
+  while (next.pendingTime >= TIMING.TICK) {
+    next = tick({ ...next, pendingTime: next.pendingTime - TIMING.TICK });
+  }
+
+  return next;
+};
+
+// Add vehicle with optional turn direction for emergency vehicles
+// Pass RANDOM_TURN to let the simulation's generator choose the turn
+export const addVehicle = (state, type = 'car', turnDirection = null) => {
+  const random = { ...state.random };
+  const vehicle = createVehicle(state, random, type, turnDirection);
+  if (!vehicle) return state;
+
+  return applyEmergencyPriority({
+    ...state,
+    random,
+    nextVehicleId: state.nextVehicleId + 1,
+    vehicles: [...state.vehicles, vehicle],
+    emergencyActive: state.emergencyActive || vehicle.isEmergency,
+    statistics: {
+      ...state.statistics,
+      totalVehicles: state.statistics.totalVehicles + 1,
+      emergencyEvents: vehicle.isEmergency ? state.statistics.emergencyEvents + 1 : state.statistics.emergencyEvents
+    }
+  }, false);
+};
+
+// Outside a tick only preemption is brought up to date - the next tick answers the requests
+export const removeVehicle = (state, id) => applyEmergencyPriority({
+  ...state,
+  vehicles: state.vehicles.filter(v => v.id !== id)
+}, false);
@@ -0,0 +1,91 @@
+import { addVehicle, createSimulation, step, tick } from './engine';
+import { SIGNAL_PHASES, TIMING } from './constants';
+import { NETWORKS } from './networks';
+
+const MIXED_TRAFFIC = ['car', 'car', 'bus', 'car', 'truck', 'car', 'emergency', 'car'];
+
+// Spawn a vehicle of the mix every two seconds for `duration` ms
+const runMixedTraffic = (config, duration) => {
+  let state = createSimulation({ logging: false, ...config });
+  for (let time = 0; time < duration; time += TIMING.TICK) {
+    if (time % 2000 === 0) {
+      state = addVehicle(state, MIXED_TRAFFIC[(time / 2000) % MIXED_TRAFFIC.length]);
+    }
+    state = tick(state);
+  }
+  return state;
+};
+
+const describeTraffic = (state) => JSON.stringify({
+  vehicles: state.vehicles.map(({ id, type, x, y, speed, status }) => ({ id, type, x, y, speed, status })),
+  signals: state.intersections.map(intersection => intersection.signals),
+  statistics: state.statistics
+});
+
+describe('determinism', () => {
+  test('the same seed produces the same traffic', () => {
+    const first = runMixedTraffic({ seed: 7 }, 40000);
+    const second = runMixedTraffic({ seed: 7 }, 40000);
+
+    expect(first.vehicles.length).toBeGreaterThan(0);
+    expect(describeTraffic(second)).toEqual(describeTraffic(first));
+  });
+
+  test('another seed produces other traffic', () => {
+    const first = runMixedTraffic({ seed: 7 }, 20000);
+    const other = runMixedTraffic({ seed: 8 }, 20000);
+
+    expect(describeTraffic(other)).not.toEqual(describeTraffic(first));
+  });
+});
+
+describe('clock', () => {
+  test('step runs whole ticks and carries the remainder over', () => {
+    let state = createSimulation({ logging: false });
+    state = step(state, TIMING.TICK * 2.5);
+    expect(state.time).toBe(TIMING.TICK * 2);
+    expect(state.pendingTime).toBe(TIMING.TICK / 2);
+
+    state = step(state, TIMING.TICK / 2);
+    expect(state.time).toBe(TIMING.TICK * 3);
+    expect(state.pendingTime).toBe(0);
+  });
+});
+
+describe('signal cycling', () => {
+  const findIntersection = (state) => state.intersections.find(intersection => intersection.control === 'signal');
+
+  test('a fixed-time intersection cycles through green, amber and all-red', () => {
+    let state = createSimulation({ logging: false, network: NETWORKS.tJunction });
+    const initial = findIntersection(state);
+    expect(initial.currentPhase).toBe('east-west');
+    expect(initial.signals.east.through).toBe(SIGNAL_PHASES.GREEN);
+    expect(initial.signals.north.through).toBe(SIGNAL_PHASES.RED);
+
+    const intervals = [];
+    for (let time = 0; time < TIMING.PHASE_DURATION * 2 + 10000; time += TIMING.TICK) {
+      state = tick(state);
+      const intersection = findIntersection(state);
+      const last = intervals[intervals.length - 1];
+      if (!last || last.phase !== intersection.currentPhase || last.interval !== intersection.interval) {
+        intervals.push({ phase: intersection.currentPhase, interval: intersection.interval, time: state.time, signals: intersection.signals });
+      }
+    }
+
+    expect(intervals.map(({ phase, interval }) => `${phase} ${interval}`)).toEqual([
+      'east-west green',
+      'east-west amber',
+      'east-west all-red',
+      'north-south green',
+      'north-south amber',
+      'north-south all-red',
+      'east-west green'
+    ]);
+    expect(intervals[1].time).toBe(TIMING.PHASE_DURATION);
+    expect(intervals[2].time - intervals[1].time).toBe(TIMING.AMBER_DURATION);
+    expect(intervals[3].time - intervals[2].time).toBe(TIMING.ALL_RED_DURATION);
+    expect(intervals[1].signals.east.through).toBe(SIGNAL_PHASES.YELLOW);
+    expect(intervals[2].signals.east.through).toBe(SIGNAL_PHASES.RED);
+    expect(intervals[3].signals.north.through).toBe(SIGNAL_PHASES.GREEN);
+  });
+});
@@ -0,0 +1,134 @@
+import { VEHICLE_CONSTANTS } from './constants';
+import { getDriverModel } from './carFollowing';
+import { DIRECTION_VECTORS, getCurbSide, isVerticalDirection } from './RoadGrid';
+import { queryRadius } from './spatialIndex';
+
+// Handles of a left-turn curve along the approach and exit directions, as a share of the
+// distance the turn covers
+const LEFT_TURN_HANDLE = 0.05;
+
+// Smooth turn path from startPos to endPos for a vehicle travelling in `direction`
+// Right turns hug the near corner on a quadratic bezier arc. Left turns run on a cubic bezier
+// that leaves along the approach and joins the exit road head-on, with short handles so the curve
+// stays close to the straight line between its ends - on the near side of the box centre. The
+// left turn from the opposite approach stays on the other side, so both can turn at once.
+export const createTurnPath = (startPos, endPos, turnType, direction) => {
+  const points = [];
+  const steps = 30; // Number of points in the arc
+  const dx = endPos.x - startPos.x;
+  const dy = endPos.y - startPos.y;
+
+  if (turnType === 'left') {
+    const handle = Math.hypot(dx, dy) * LEFT_TURN_HANDLE;
+    const approach = DIRECTION_VECTORS[direction];
+    const exit = DIRECTION_VECTORS[TURN_TARGETS.left[direction]];
+    const first = { x: startPos.x + approach.x * handle, y: startPos.y + approach.y * handle };
+    const second = { x: endPos.x - exit.x * handle, y: endPos.y - exit.y * handle };
+
+    // Cubic bezier formula: B(t) = (1-t)^3*P0 + 3*(1-t)^2*t*P1 + 3*(1-t)*t^2*P2 + t^3*P3
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      const u = 1 - t;
+      points.push({
+        x: u * u * u * startPos.x + 3 * u * u * t * first.x + 3 * u * t * t * second.x + t * t * t * endPos.x,
+        y: u * u * u * startPos.y + 3 * u * u * t * first.y + 3 * u * t * t * second.y + t * t * t * endPos.y
+      });
+    }
+    return points;
+  }
+
+  // Control point to the right of the direct line
+  const controlPoint = {
+    x: startPos.x + dx * 0.5 + dy * 0.3,
+    y: startPos.y + dy * 0.5 - dx * 0.3
+  };
+
+  // Generate bezier curve points
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    // Quadratic bezier formula: B(t) = (1-t)^2*P0 + 2*(1-t)*t*P1 + t^2*P2
+    const x = Math.pow(1 - t, 2) * startPos.x +
+              2 * (1 - t) * t * controlPoint.x +
+              Math.pow(t, 2) * endPos.x;
+    const y = Math.pow(1 - t, 2) * startPos.y +
+              2 * (1 - t) * t * controlPoint.y +
+              Math.pow(t, 2) * endPos.y;
+    points.push({ x, y });
+  }
+
+  return points;
+};
+
+// Helper function to check if vehicle is inside intersection boundary
+// The box spans the width of the roads crossing at the intersection
+export const isInIntersection = (vehicle, intersection) => {
+  const inX = Math.abs(vehicle.x - intersection.x) < intersection.width / 2;
+  const inY = Math.abs(vehicle.y - intersection.y) < intersection.height / 2;
+  return inX && inY;
+};
+
+// Box an intersection covers, as a footprint
+export const getIntersectionBox = (intersection) => ({
+  minX: intersection.x - intersection.width / 2,
+  maxX: intersection.x + intersection.width / 2,
+  minY: intersection.y - intersection.height / 2,
+  maxY: intersection.y + intersection.height / 2
+});
+
+// Whether a vehicle drives along a road through the intersection - judged from its lane, so a
+// vehicle pulled over towards the curb still counts
+export const isOnRoadThrough = (vehicle, intersection) => {
+  const offset = getCurbSide(vehicle.direction) * (vehicle.lateralOffset || 0);
+  return isVerticalDirection(vehicle.direction)
+    ? Math.abs(vehicle.x - offset - intersection.x) < intersection.width / 2
+    : Math.abs(vehicle.y - offset - intersection.y) < intersection.height / 2;
+};
+
+// Box a vehicle covers at (x, y): its driver model's length along its direction and
+// VEHICLE_WIDTH across it
+export const getFootprint = (vehicle, x = vehicle.x, y = vehicle.y) => {
+  const length = getDriverModel(vehicle.type).length;
+  const vertical = isVerticalDirection(vehicle.direction);
+  const halfWidth = (vertical ? VEHICLE_CONSTANTS.VEHICLE_WIDTH : length) / 2;
+  const halfHeight = (vertical ? length : VEHICLE_CONSTANTS.VEHICLE_WIDTH) / 2;
+  return { minX: x - halfWidth, maxX: x + halfWidth, minY: y - halfHeight, maxY: y + halfHeight };
+};
+
+// Gap between two footprints (px) - negative when they overlap
+export const getFootprintGap = (a, b) => Math.max(
+  a.minX - b.maxX, b.minX - a.maxX,
+  a.minY - b.maxY, b.minY - a.maxY
+);
+
+// Turn targets for each travel direction
+// Right turn = 90° clockwise, Left turn = 90° counter-clockwise
+export const TURN_TARGETS = {
+  right: { NORTH: 'EAST', EAST: 'SOUTH', SOUTH: 'WEST', WEST: 'NORTH' },
+  left: { NORTH: 'WEST', EAST: 'NORTH', SOUTH: 'EAST', WEST: 'SOUTH' }
+};
+
+// Helper function to check if a point lies ahead of a vehicle in its travel direction
+export const isAhead = (vehicle, point) =>
+  (vehicle.direction === 'NORTH' && point.y < vehicle.y) ||
+  (vehicle.direction === 'SOUTH' && point.y > vehicle.y) ||
+  (vehicle.direction === 'EAST' && point.x > vehicle.x) ||
+  (vehicle.direction === 'WEST' && point.x < vehicle.x);
+
+// Helper function to find intersections in path for route planning
+// Only reads x, y, and direction from the vehicle; candidates come from the intersections' spatial index
+export const findIntersectionsInPath = (intersectionIndex, vehicle, maxDistance) => {
+  const intersectionsInPath = [];
+
+  queryRadius(intersectionIndex, vehicle, maxDistance).forEach(intersection => {
+    // Check if intersection is ahead in vehicle's direction
+    if (isAhead(vehicle, intersection)) {
+      intersectionsInPath.push({
+        intersection: intersection,
+        distance: Math.hypot(intersection.x - vehicle.x, intersection.y - vehicle.y)
+      });
+    }
+  });
+
+  // Sort by distance (closest first)
+  return intersectionsInPath.sort((a, b) => a.distance - b.distance);
+};
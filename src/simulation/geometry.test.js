@@ -0,0 +1,44 @@
+import RoadGrid from './RoadGrid';
+import { createTurnPath, getFootprint, getFootprintGap, TURN_TARGETS } from './geometry';
+import { NETWORKS } from './networks';
+
+// Left-turn path at an intersection from the inner lane of `direction` to the inner lane of the road it turns onto
+const buildLeftTurn = (roadGrid, intersection, direction) => {
+  const exitDirection = TURN_TARGETS.left[direction];
+  const roadIndex = roadGrid.findRoadIndexAt(intersection, direction);
+  const exitRoadIndex = roadGrid.findRoadIndexAt(intersection, exitDirection);
+  const start = roadGrid.getLanePoint(roadIndex, 2, direction, roadGrid.getIntersectionEntryPosition(intersection, direction));
+  const end = roadGrid.getLanePoint(exitRoadIndex, 2, exitDirection, roadGrid.getIntersectionExitPosition(intersection, exitDirection));
+  return createTurnPath(start, end, 'left', direction);
+};
+
+// Smallest gap between the footprints of two vehicles anywhere along two paths - vehicles keep
+// their approach direction until the end of the turn
+const getSmallestGap = (pathA, directionA, pathB, directionB) => {
+  let smallest = Infinity;
+  pathA.forEach((a, i) => pathB.forEach((b, j) => {
+    const footprintA = getFootprint({ type: 'car', direction: i === pathA.length - 1 ? TURN_TARGETS.left[directionA] : directionA }, a.x, a.y);
+    const footprintB = getFootprint({ type: 'car', direction: j === pathB.length - 1 ? TURN_TARGETS.left[directionB] : directionB }, b.x, b.y);
+    smallest = Math.min(smallest, getFootprintGap(footprintA, footprintB));
+  }));
+  return smallest;
+};
+
+describe('createTurnPath', () => {
+  const roadGrid = new RoadGrid(NETWORKS.grid);
+  const intersection = roadGrid.intersections[0];
+
+  test('a left turn ends heading along the road it turns onto', () => {
+    const path = buildLeftTurn(roadGrid, intersection, 'EAST');
+    const last = path[path.length - 1];
+    const beforeLast = path[path.length - 2];
+    expect(Math.abs(last.x - beforeLast.x)).toBeLessThan(0.5);
+    expect(last.y).toBeLessThan(beforeLast.y);
+  });
+
+  test.each([['EAST', 'WEST'], ['NORTH', 'SOUTH']])('opposing left turns from %s and %s never overlap', (direction, opposite) => {
+    const path = buildLeftTurn(roadGrid, intersection, direction);
+    const opposingPath = buildLeftTurn(roadGrid, intersection, opposite);
+    expect(getSmallestGap(path, direction, opposingPath, opposite)).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,95 @@
+import { INTERSECTION_INBOX } from './constants';
+import { buildSignalStatus, readSignalRequest } from './j2735';
+import { log } from './log';
+
+// Intersection inbox and priority request state machine
+// Intersections keep the Signal Request Messages (see j2735.js) they receive, newest first, with
+// the time they arrived and their sender, numbered in the order they arrived. An emergency
+// vehicle's first SRM to an intersection opens a request there, which moves through
+//   requested → granted or rejected → active → completed
+// - requested: its messages are arriving; the intersection decides once the vehicle is in detection range
+// - granted:   arbitration lets the vehicle go - preemption starts with the next tick if it is
+//              the one the intersection serves, vehicles whose movement goes along stay granted
+// - rejected:  the vehicle must hold for a conflicting emergency vehicle; granted once that has cleared
+// - active:    the intersection is preempted for the vehicle
+// - completed: the vehicle has passed the intersection, or left the network
+// Every change of status is answered over I2V with a Signal Status Message, and the status of
+// every open request is repeated with each V2I broadcast, so a vehicle whose answer was lost on
+// the radio channel hears it again.
+
+const TRANSITIONS = {
+  requested: ['granted', 'rejected', 'completed'],
+  granted: ['rejected', 'active', 'completed'],
+  rejected: ['granted', 'completed'],
+  active: ['completed'],
+  completed: []
+};
+
+export const isOpenRequest = (request) => request.status !== 'completed';
+
+// Store an SRM in an intersection's inbox
+// At a signalized intersection it also opens a request for its sender, or refreshes the open one
+export const receiveMessage = (time, intersection, frame) => {
+  const message = readSignalRequest(time, frame);
+  const receivedCount = intersection.receivedCount + 1;
+  const entry = {
+    id: receivedCount,
+    type: 'SRM',
+    senderId: message.vehicleId,
+    senderType: message.vehicleType,
+    receivedAt: time,
+    action: message.movement,
+    distance: Math.hypot(intersection.x - message.position.x, intersection.y - message.position.y),
+    eta: message.eta
+  };
+  const receivedMessages = [entry, ...intersection.receivedMessages].slice(0, INTERSECTION_INBOX.SIZE);
+  if (intersection.control !== 'signal') return { ...intersection, receivedMessages, receivedCount };
+
+  const open = intersection.priorityRequests.find(request => request.vehicleId === message.vehicleId && isOpenRequest(request));
+  const priorityRequests = open
+    ? intersection.priorityRequests.map(request => (request === open ? { ...request, eta: entry.eta, lastMessageAt: time } : request))
+    : [...intersection.priorityRequests, {
+      vehicleId: message.vehicleId,
+      vehicleType: message.vehicleType,
+      approach: message.approach,
+      movement: message.movement,
+      status: 'requested',
+      eta: entry.eta,
+      requestedAt: time,
+      updatedAt: time,
+      lastMessageAt: time
+    }];
+
+  return { ...intersection, receivedMessages, receivedCount, priorityRequests };
+};
+
+// Move an intersection's open requests to the statuses decided this tick (a Map by vehicle id)
+// Changes the state machine does not allow are ignored. Only the latest COMPLETED_REQUESTS
+// completed requests are kept. Returns the intersection, the SSM answering every request whose
+// status changed - and with `repeat` every open request too - or null if there is none, and the
+// requests whose status changed.
+export const updateRequests = (state, intersection, statuses, repeat) => {
+  const changed = [];
+  const updated = intersection.priorityRequests.map(request => {
+    const status = statuses.get(request.vehicleId);
+    if (!status || !TRANSITIONS[request.status].includes(status)) return request;
+
+    log(state, `📨 Intersection ${intersection.id}: Request of ${request.vehicleType} ${request.vehicleId} ${request.status.toUpperCase()} → ${status.toUpperCase()}`);
+    const next = { ...request, status, updatedAt: state.time };
+    changed.push(next);
+    return next;
+  });
+
+  const completed = updated.filter(request => !isOpenRequest(request)).slice(-INTERSECTION_INBOX.COMPLETED_REQUESTS);
+  const answered = repeat
+    ? updated.filter(request => isOpenRequest(request) || changed.includes(request))
+    : changed;
+  return {
+    intersection: {
+      ...intersection,
+      priorityRequests: updated.filter(request => isOpenRequest(request) || completed.includes(request))
+    },
+    message: answered.length > 0 ? buildSignalStatus(state.time, intersection.id, answered) : null,
+    changed
+  };
+};
@@ -0,0 +1,66 @@
+import { createSimulation } from './engine';
+import { INTERSECTION_INBOX } from './constants';
+import { buildSignalRequest, readSignalStatus } from './j2735';
+import { receiveMessage, updateRequests } from './inbox';
+import { NETWORKS } from './networks';
+import { addVehicleOnRoute } from './testHelpers';
+
+describe('receiveMessage', () => {
+  test('two SRMs of one vehicle arriving together get their own inbox entries', () => {
+    const state = createSimulation({ logging: false, network: NETWORKS.tJunction });
+    const { vehicle } = addVehicleOnRoute(state, 'emergency', candidate => candidate.direction === 'WEST');
+    const intersection = state.intersections[0];
+    const frame = (eta) => buildSignalRequest(state.time, vehicle, intersection.id, 'through', eta);
+
+    const received = receiveMessage(state.time, receiveMessage(state.time, intersection, frame(4)), frame(3));
+    const ids = received.receivedMessages.map(message => message.id);
+    expect(ids).toHaveLength(2);
+    expect(new Set(ids).size).toBe(2);
+    expect(received.priorityRequests).toHaveLength(1);
+    expect(received.priorityRequests[0].eta).toBe(3);
+  });
+});
+
+describe('updateRequests', () => {
+  const state = createSimulation({ logging: false, network: NETWORKS.tJunction });
+  const request = (vehicleId, status) => ({
+    vehicleId, vehicleType: 'emergency', approach: 'west', movement: 'through', status, eta: 3, requestedAt: 0, updatedAt: 0, lastMessageAt: 0
+  });
+  const withRequests = (...requests) => ({ ...state.intersections[0], priorityRequests: requests });
+  const update = (intersection, statuses, repeat = false) => updateRequests(state, intersection, new Map(statuses), repeat);
+
+  test.each([
+    ['requested', 'granted'], ['requested', 'rejected'], ['requested', 'completed'],
+    ['granted', 'rejected'], ['granted', 'active'], ['rejected', 'granted'], ['active', 'completed']
+  ])('a request moves from %s to %s and its vehicle is told', (from, to) => {
+    const { intersection, message, changed } = update(withRequests(request(1, from)), [[1, to]]);
+    expect(intersection.priorityRequests[0].status).toBe(to);
+    expect(changed).toHaveLength(1);
+    expect(readSignalStatus(message)).toEqual([{ intersectionId: 1, vehicleId: 1, status: to, time: state.time }]);
+  });
+
+  test.each([
+    ['requested', 'active'], ['rejected', 'active'], ['active', 'granted'], ['completed', 'granted']
+  ])('a move from %s to %s is ignored', (from, to) => {
+    const { intersection, message, changed } = update(withRequests(request(1, from)), [[1, to]]);
+    expect(intersection.priorityRequests[0].status).toBe(from);
+    expect(changed).toHaveLength(0);
+    expect(message).toBeNull();
+  });
+
+  test('a repeat answers every open request, not only the changed ones', () => {
+    const intersection = withRequests(request(1, 'active'), request(2, 'requested'), request(3, 'completed'));
+    expect(update(intersection, [[2, 'rejected']]).message.value.status[0].sigStatus).toHaveLength(1);
+    const repeated = update(intersection, [[2, 'rejected']], true);
+    expect(readSignalStatus(repeated.message).map(({ vehicleId, status }) => [vehicleId, status]))
+      .toEqual([[1, 'active'], [2, 'rejected']]);
+  });
+
+  test('only the latest completed requests are kept', () => {
+    const completed = Array.from({ length: INTERSECTION_INBOX.COMPLETED_REQUESTS }, (_, i) => request(i + 1, 'completed'));
+    const last = INTERSECTION_INBOX.COMPLETED_REQUESTS + 1;
+    const { intersection } = update(withRequests(...completed, request(last, 'active')), [[last, 'completed']]);
+    expect(intersection.priorityRequests).toHaveLength(INTERSECTION_INBOX.COMPLETED_REQUESTS);
+    expect(intersection.priorityRequests[0].vehicleId).toBe(2);
+  });
+});
@@ -0,0 +1,351 @@
+import { ACTUATED_CONTROL, PREEMPTION_RECOVERY, SIGNAL_PHASES, TIMING, V2X_MESSAGES, VEHICLE_CONSTANTS } from './constants';
+import { getDriverModel } from './carFollowing';
+import { getScheduledInterval } from './coordination';
+import { TURN_TARGETS } from './geometry';
+import { APPROACHES, MOVEMENTS } from './signalPlans';
+
+// SAE J2735-style messages
+// Vehicles and intersections exchange message frames shaped after the J2735 message set -
+// { messageId, value }:
+// - BSM  (Basic Safety Message): every vehicle's position, motion and size
+// - SPaT (Signal Phase and Timing): the state of every signal group of an intersection
+// - MAP: the ingress lanes of an intersection and the signal group of each maneuver
+// - SRM  (Signal Request Message): an emergency vehicle's or a bus's request for priority
+// - SSM  (Signal Status Message): the intersection's answer to the priority requests it tracks
+// The simulation has no geographic frame, so positions are network coordinates (px) and speeds
+// px/s. Times follow J2735: a minute of the year and the ms within that minute (DSecond), with
+// the simulation time counting from the start of the year. See codec.js for their encodings.
+
+export const MESSAGE_IDS = {
+  MAP: 18,
+  SPAT: 19,
+  BSM: 20,
+  SRM: 29,
+  SSM: 30
+};
+
+export const MESSAGE_TYPES = Object.keys(MESSAGE_IDS);
+
+// Name of a frame's message type ('BSM', 'SPAT', ...), or undefined for unknown message ids
+export const getMessageType = (frame) => MESSAGE_TYPES.find(type => MESSAGE_IDS[type] === frame.messageId);
+
+// J2735 enumerations - the position of a value is its encoded number
+export const VEHICLE_ROLES = [
+  'basicVehicle', 'publicTransport', 'specialTransport', 'dangerousGoods', 'roadWork', 'roadRescue',
+  'emergency', 'safetyCar', 'none-unknown', 'truck', 'motorcycle', 'roadSideSource', 'police', 'fire',
+  'ambulance', 'dot', 'transit', 'slowMoving', 'stopNgo', 'cyclist', 'pedestrian', 'nonMotorized', 'military'
+];
+
+export const EVENT_STATES = [
+  'unavailable', 'dark', 'stop-Then-Proceed', 'stop-And-Remain', 'pre-Movement',
+  'permissive-Movement-Allowed', 'protected-Movement-Allowed', 'permissive-clearance',
+  'protected-clearance', 'caution-Conflicting-Traffic'
+];
+
+export const REQUEST_TYPES = ['priorityRequestTypeReserved', 'priorityRequest', 'priorityRequestUpdate', 'priorityCancellation'];
+
+export const PRIORITY_STATUSES = [
+  'unknown', 'requested', 'processing', 'watchOtherTraffic', 'granted', 'rejected', 'maxPresence', 'reserviceLocked'
+];
+
+// Status of a priority request as the intersection tracks it (see inbox.js), carried in the
+// SSM's regional extension next to the closest J2735 status
+export const REQUEST_STATES = ['requested', 'granted', 'rejected', 'active', 'completed'];
+
+// Bits of the IntersectionStatusObject - a SPaT's status is a mask of 1 << bit
+const STATUS_BITS = {
+  preemptIsActive: 3,
+  signalPriorityIsActive: 4,
+  fixedTimeOperation: 5,
+  trafficDependentOperation: 6
+};
+
+const VEHICLE_TYPE_ROLES = {
+  car: 'basicVehicle',
+  bus: 'transit',
+  truck: 'truck',
+  emergency: 'ambulance',
+  firetruck: 'fire',
+  police: 'police'
+};
+
+const ROLE_VEHICLE_TYPES = Object.fromEntries(Object.entries(VEHICLE_TYPE_ROLES).map(([type, role]) => [role, type]));
+
+// Importance of a priority request (0-14): emergency vehicles outrank buses
+const REQUEST_IMPORTANCE = { emergency: 14, transit: 1 };
+
+const HEADINGS = { NORTH: 0, EAST: 90, SOUTH: 180, WEST: 270 };
+
+const EVENT_STATE_BY_SIGNAL = {
+  [SIGNAL_PHASES.GREEN]: 'protected-Movement-Allowed',
+  [SIGNAL_PHASES.PERMISSIVE]: 'permissive-Movement-Allowed',
+  [SIGNAL_PHASES.YELLOW]: 'protected-clearance',
+  [SIGNAL_PHASES.RED]: 'stop-And-Remain'
+};
+
+const PRIORITY_STATUS_BY_STATE = {
+  requested: 'requested',
+  granted: 'granted',
+  active: 'granted',
+  rejected: 'rejected',
+  completed: 'unknown'
+};
+
+// TimeMark for a time that is not known
+const UNKNOWN_TIME_MARK = 36001;
+
+// Minute of the year and ms within the minute of a simulation time
+export const toTimestamp = (time) => ({ minute: Math.floor(time / 60000), second: time % 60000 });
+
+export const fromTimestamp = ({ minute, second }) => minute * 60000 + second;
+
+// Tenths of a second within the hour
+const toTimeMark = (time) => Math.round(time / 100) % 36000;
+
+// Message counter of a sender (0-127), advancing with every broadcast interval
+const getMessageCount = (time) => Math.floor(time / TIMING.V2I_BROADCAST_INTERVAL) % 128;
+
+// Signal group of a movement: 1-12, three per approach in APPROACHES order
+export const getSignalGroup = (approach, movement) =>
+  APPROACHES.indexOf(approach) * MOVEMENTS.length + MOVEMENTS.indexOf(movement) + 1;
+
+export const getVehicleRole = (type) => VEHICLE_TYPE_ROLES[type] || 'basicVehicle';
+
+// Basic Safety Message of a vehicle
+export const buildBasicSafetyMessage = (time, vehicle) => ({
+  messageId: MESSAGE_IDS.BSM,
+  value: {
+    coreData: {
+      msgCnt: getMessageCount(time),
+      id: vehicle.id,
+      secMark: time % 60000,
+      x: vehicle.x,
+      y: vehicle.y,
+      speed: vehicle.speed,
+      heading: HEADINGS[vehicle.direction],
+      accelLong: vehicle.acceleration,
+      size: { width: VEHICLE_CONSTANTS.VEHICLE_WIDTH, length: getDriverModel(vehicle.type).length }
+    },
+    partII: {
+      role: getVehicleRole(vehicle.type),
+      sirenInUse: vehicle.isEmergency
+    }
+  }
+});
+
+// Earliest time (ms) the current interval of an intersection can end - when any of its signal
+// heads may change - or null while preemption keeps it from telling
+const getMinEndTime = (time, intersection) => {
+  const { interval, phaseTime, recovery, transitPriority, controller, plan, phaseIndex } = intersection;
+  if (intersection.emergencyOverride) return null;
+  if (interval === 'amber') return time + intersection.amberDuration - phaseTime;
+  if (interval === 'all-red') return time + intersection.allRedDuration - phaseTime;
+
+  if (recovery) {
+    if (recovery.stage === 'dwell') return time + PREEMPTION_RECOVERY.DWELL_TIME - phaseTime;
+    return recovery.stage === 'transition' ? time + recovery.greenTime - phaseTime : null;
+  }
+  if (transitPriority && transitPriority.kind === 'early-green') return transitPriority.until;
+
+  switch (controller) {
+    case 'fixed':
+      return time + plan[phaseIndex].split - phaseTime;
+    case 'coordinated': {
+      const scheduled = getScheduledInterval(intersection, time);
+      return time + (scheduled.phaseIndex === phaseIndex && scheduled.interval === 'green' ? scheduled.remaining : 0);
+    }
+    // Actuated and adaptive greens may end as soon as their minimum green is over
+    default:
+      return time + ACTUATED_CONTROL.MIN_GREEN - phaseTime;
+  }
+};
+
+const getStatus = (intersection) => {
+  const scheduled = intersection.controller === 'fixed' || intersection.controller === 'coordinated';
+  const flags = [
+    [STATUS_BITS.preemptIsActive, intersection.emergencyOverride],
+    [STATUS_BITS.signalPriorityIsActive, Boolean(intersection.transitPriority)],
+    [STATUS_BITS.fixedTimeOperation, scheduled],
+    [STATUS_BITS.trafficDependentOperation, !scheduled]
+  ];
+  return flags.reduce((status, [bit, set]) => (set ? status | (1 << bit) : status), 0);
+};
+
+// Signal Phase and Timing of a signalized intersection: one movement state per signal head
+export const buildSignalPhaseAndTiming = (time, intersection) => {
+  const minEndTime = getMinEndTime(time, intersection);
+
+  return {
+    messageId: MESSAGE_IDS.SPAT,
+    value: {
+      timeStamp: toTimestamp(time),
+      intersections: [{
+        id: intersection.id,
+        revision: getMessageCount(time),
+        status: getStatus(intersection),
+        states: APPROACHES.flatMap(approach => MOVEMENTS.map(movement => ({
+          movementName: `${approach}-${movement}`,
+          signalGroup: getSignalGroup(approach, movement),
+          eventState: EVENT_STATE_BY_SIGNAL[intersection.signals[approach][movement]] || 'unavailable',
+          minEndTime: minEndTime === null ? UNKNOWN_TIME_MARK : toTimeMark(Math.max(time, minEndTime))
+        })))
+      }]
+    }
+  };
+};
+
+const DIRECTION_SIGNS = { NORTH: -1, SOUTH: 1, EAST: 1, WEST: -1 };
+
+// Road of a travel direction through an intersection, or undefined
+const getRoadAt = (roadGrid, intersection, direction) => {
+  const roadIndex = roadGrid.findRoadIndexAt(intersection, direction);
+  return roadIndex < 0 ? undefined : roadGrid.getRoads(direction)[roadIndex];
+};
+
+// Whether traffic travelling in a direction can leave an intersection that way
+const hasExit = (roadGrid, intersection, direction) => {
+  const road = getRoadAt(roadGrid, intersection, direction);
+  if (!road || roadGrid.getLaneCount(road, direction) === 0) return false;
+  const center = direction === 'NORTH' || direction === 'SOUTH' ? intersection.y : intersection.x;
+  return (roadGrid.getExitPosition(road, direction) - center) * DIRECTION_SIGNS[direction] > 0;
+};
+
+// Maneuvers a lane allows: left turns from the inner lane and right turns from the curb lane
+// (lane 1), as vehicles pick their lanes, and only towards roads that leave the intersection
+const getLaneManeuvers = (roadGrid, intersection, direction, lane, laneCount) => MOVEMENTS.filter(movement => {
+  if (movement === 'left' && lane !== laneCount) return false;
+  if (movement === 'right' && lane !== 1) return false;
+  return hasExit(roadGrid, intersection, movement === 'through' ? direction : TURN_TARGETS[movement][direction]);
+});
+
+// MAP of an intersection: every ingress lane from its stop line to MAP_LANE_LENGTH upstream (or
+// the start of the road), with nodes as offsets from the intersection's center, and the signal
+// group of each maneuver it connects to
+export const buildMapData = (roadGrid, intersection) => {
+  const laneSet = [];
+
+  APPROACHES.forEach(approach => {
+    const direction = approach.toUpperCase();
+    const road = getRoadAt(roadGrid, intersection, direction);
+    if (!road) return;
+
+    const stopLine = roadGrid.getIntersectionEntryPosition(intersection, direction);
+    const entry = roadGrid.getEntryPosition(road, direction);
+    if ((stopLine - entry) * DIRECTION_SIGNS[direction] <= 0) return;
+    const upstream = stopLine - DIRECTION_SIGNS[direction] * Math.min(V2X_MESSAGES.MAP_LANE_LENGTH, Math.abs(stopLine - entry));
+
+    const laneCount = roadGrid.getLaneCount(road, direction);
+    for (let lane = 1; lane <= laneCount; lane++) {
+      laneSet.push({
+        laneID: laneSet.length + 1,
+        approach,
+        lane,
+        nodes: [stopLine, upstream].map(position => {
+          const point = roadGrid.getLanePoint(road.index, lane, direction, position);
+          return { x: point.x - intersection.x, y: point.y - intersection.y };
+        }),
+        connectsTo: getLaneManeuvers(roadGrid, intersection, direction, lane, laneCount).map(maneuver => ({
+          maneuver,
+          signalGroup: intersection.control === 'signal' ? getSignalGroup(approach, maneuver) : 0
+        }))
+      });
+    }
+  });
+
+  return {
+    messageId: MESSAGE_IDS.MAP,
+    value: {
+      msgIssueRevision: 1,
+      intersections: [{
+        id: intersection.id,
+        revision: 1,
+        refPoint: { x: intersection.x, y: intersection.y },
+        laneWidth: roadGrid.laneWidth,
+        laneSet
+      }]
+    }
+  };
+};
+
+// Signal Request Message of a vehicle asking an intersection for priority for the movement it
+// will make there, expecting to arrive after `eta` seconds
+export const buildSignalRequest = (time, vehicle, intersectionId, movement, eta) => {
+  const role = getVehicleRole(vehicle.type);
+
+  return {
+    messageId: MESSAGE_IDS.SRM,
+    value: {
+      timeStamp: toTimestamp(time),
+      sequenceNumber: getMessageCount(time),
+      requests: [{
+        id: intersectionId,
+        requestID: vehicle.id % 256,
+        requestType: 'priorityRequest',
+        inBoundLane: { approach: vehicle.direction.toLowerCase(), maneuver: movement },
+        eta: toTimestamp(time + Math.round(eta * 1000))
+      }],
+      requestor: {
+        id: vehicle.id,
+        role,
+        importance: REQUEST_IMPORTANCE[vehicle.isEmergency ? 'emergency' : 'transit'],
+        position: { x: vehicle.x, y: vehicle.y, heading: HEADINGS[vehicle.direction], speed: vehicle.speed }
+      }
+    }
+  };
+};
+
+// The fields of an SRM the simulation acts on: { intersectionId, vehicleId, vehicleType,
+// importance, approach, movement, position, eta (s after `time`) }
+export const readSignalRequest = (time, frame) => {
+  const { requests: [request], requestor } = frame.value;
+  return {
+    intersectionId: request.id,
+    vehicleId: requestor.id,
+    vehicleType: ROLE_VEHICLE_TYPES[requestor.role],
+    importance: requestor.importance,
+    approach: request.inBoundLane.approach,
+    movement: request.inBoundLane.maneuver,
+    position: requestor.position,
+    eta: (fromTimestamp(request.eta) - time) / 1000
+  };
+};
+
+// Signal Status Message of an intersection answering the requests whose status changed:
+// [{ vehicleId, vehicleType, approach, movement, status }] with the status of inbox.js
+export const buildSignalStatus = (time, intersectionId, requests) => ({
+  messageId: MESSAGE_IDS.SSM,
+  value: {
+    timeStamp: toTimestamp(time),
+    status: [{
+      sequenceNumber: getMessageCount(time),
+      id: intersectionId,
+      sigStatus: requests.map(request => ({
+        requester: { id: request.vehicleId, request: request.vehicleId % 256, role: getVehicleRole(request.vehicleType) },
+        inboundOn: { approach: request.approach, maneuver: request.movement },
+        status: PRIORITY_STATUS_BY_STATE[request.status],
+        regional: { requestState: request.status }
+      }))
+    }]
+  }
+});
+
+// The answers of an SSM: [{ intersectionId, vehicleId, status, time }]
+export const readSignalStatus = (frame) => {
+  const { timeStamp, status: [{ id, sigStatus }] } = frame.value;
+  return sigStatus.map(entry => ({
+    intersectionId: id,
+    vehicleId: entry.requester.id,
+    status: entry.regional.requestState,
+    time: fromTimestamp(timeStamp)
+  }));
+};
+
+// Vehicle or intersection that sent a frame
+export const getSenderId = (frame) => {
+  switch (frame.messageId) {
+    case MESSAGE_IDS.BSM: return frame.value.coreData.id;
+    case MESSAGE_IDS.SRM: return frame.value.requestor.id;
+    case MESSAGE_IDS.SSM: return frame.value.status[0].id;
+    default: return frame.value.intersections[0].id;
+  }
+};
@@ -0,0 +1,6 @@
+// Console logging for the engine - headless runs can switch it off with `logging: false`
+export const log = (state, ...args) => {
+  if (state.config.logging) {
+    console.log(...args);
+  }
+};
@@ -0,0 +1,159 @@
+import { METRICS, TIMING } from './constants';
+import { isAhead, isInIntersection, isOnRoadThrough } from './geometry';
+import { queryRadius } from './spatialIndex';
+
+// Traffic performance measures
+// - trips: every vehicle that reaches its destination adds its travel time (spawn to exit),
+//   control delay (time lost against driving at its desired speed all the way, see
+//   updateVehicles), stops and time stopped to the totals of its type. Emergency vehicle trips
+//   are response times, and the latest ones are kept as well.
+// - approaches: every tick, once vehicles have moved, each approach of an intersection - the
+//   vehicles heading for its box on a road through it, within QUEUE_REACH - counts its queue,
+//   the vehicles slower than QUEUE_SPEED, and its departures, the vehicles that entered the box
+//   from it. Average queues are taken over the whole simulated time, throughput over the latest
+//   THROUGHPUT_WINDOW.
+// - time series: every SAMPLE_INTERVAL, the number of vehicles, their average speed, the queue
+//   at each intersection - all its approaches together - and the intersections preempted for an
+//   emergency vehicle, over the latest TIME_SERIES_WINDOW.
+
+const createTripTotals = () => ({ trips: 0, travelTime: 0, delay: 0, stops: 0, stoppedTime: 0 });
+
+const createApproach = () => ({ queue: 0, maxQueue: 0, queueTime: 0, departures: [], totalDepartures: 0 });
+
+// Performance measures of a new simulation
+export const createMetrics = () => ({
+  trips: {},              // Totals of completed trips per vehicle type: { [type]: { trips, travelTime, delay, stops, stoppedTime } } (ms)
+  emergencyResponses: [], // Latest emergency vehicle trips, newest last: { vehicleId, type, spawnTime, responseTime }
+  approaches: {},         // Per intersection and approach: { [intersectionId]: { [approach]: { queue, maxQueue, queueTime, departures, totalDepartures } } }
+                          // where queueTime integrates the queue over time (vehicle-ms) and departures are the times of the latest ones
+  approaching: {},        // Approach of every vehicle measured during the last tick: { [intersectionId]: { [vehicleId]: approach } }
+  samples: []             // Time series, oldest first: { time, vehicles, averageSpeed, queues: { [intersectionId]: queue }, preempted: [intersectionId] }
+                          // where averageSpeed is null without vehicles
+});
+
+// Add the trips of vehicles that reached their destination at `time`
+export const recordTrips = (metrics, arrived, time) => {
+  if (arrived.length === 0) return metrics;
+
+  const trips = { ...metrics.trips };
+  const emergencyResponses = [...metrics.emergencyResponses];
+  arrived.forEach(vehicle => {
+    const travelTime = time - vehicle.spawnTime;
+    const totals = trips[vehicle.type] || createTripTotals();
+    trips[vehicle.type] = {
+      trips: totals.trips + 1,
+      travelTime: totals.travelTime + travelTime,
+      delay: totals.delay + vehicle.delay,
+      stops: totals.stops + vehicle.stops,
+      stoppedTime: totals.stoppedTime + vehicle.stoppedTime
+    };
+    if (vehicle.isEmergency) {
+      emergencyResponses.push({ vehicleId: vehicle.id, type: vehicle.type, spawnTime: vehicle.spawnTime, responseTime: travelTime });
+    }
+  });
+
+  return { ...metrics, trips, emergencyResponses: emergencyResponses.slice(-METRICS.EMERGENCY_RESPONSES) };
+};
+
+// Measure the queues and departures of every intersection approach after vehicles have moved
+export const measureApproaches = (state) => {
+  const { time, metrics } = state;
+  const approaches = {};
+  const approaching = {};
+
+  state.intersections.forEach(intersection => {
+    const previous = metrics.approaching[intersection.id] || {};
+    const current = {};
+    const queues = {};
+    const departed = {};
+
+    queryRadius(state.spatialIndex.vehicles, intersection, METRICS.QUEUE_REACH).forEach(vehicle => {
+      if (isInIntersection(vehicle, intersection)) {
+        const approach = previous[vehicle.id];
+        if (approach) departed[approach] = (departed[approach] || 0) + 1;
+        return;
+      }
+      if (!isOnRoadThrough(vehicle, intersection) || !isAhead(vehicle, intersection)) return;
+
+      const approach = vehicle.direction.toLowerCase();
+      current[vehicle.id] = approach;
+      queues[approach] = (queues[approach] || 0) + (vehicle.speed < METRICS.QUEUE_SPEED ? 1 : 0);
+    });
+
+    // Approaches are listed from the first tick a vehicle used them
+    const measured = { ...metrics.approaches[intersection.id] };
+    Object.values(current).forEach(approach => {
+      if (!measured[approach]) measured[approach] = createApproach();
+    });
+    Object.entries(measured).forEach(([approach, last]) => {
+      const queue = queues[approach] || 0;
+      const count = departed[approach] || 0;
+      measured[approach] = {
+        queue,
+        maxQueue: Math.max(last.maxQueue, queue),
+        queueTime: last.queueTime + queue * TIMING.TICK,
+        departures: [
+          ...last.departures.filter(departure => time - departure < METRICS.THROUGHPUT_WINDOW),
+          ...Array(count).fill(time)
+        ],
+        totalDepartures: last.totalDepartures + count
+      };
+    });
+
+    if (Object.keys(measured).length > 0) approaches[intersection.id] = measured;
+    if (Object.keys(current).length > 0) approaching[intersection.id] = current;
+  });
+
+  return { ...state, metrics: { ...metrics, approaches, approaching } };
+};
+
+// Sample the time series once approaches have been measured. Samples older than
+// TIME_SERIES_WINDOW are dropped.
+export const recordTimeSeries = (state) => {
+  const { time, metrics, vehicles } = state;
+  if (time % METRICS.SAMPLE_INTERVAL !== 0) return state;
+
+  const sample = {
+    time,
+    vehicles: vehicles.length,
+    averageSpeed: vehicles.length > 0 ? vehicles.reduce((sum, vehicle) => sum + vehicle.speed, 0) / vehicles.length : null,
+    queues: Object.fromEntries(state.intersections.map(intersection => [
+      intersection.id,
+      Object.values(metrics.approaches[intersection.id] || {}).reduce((sum, approach) => sum + approach.queue, 0)
+    ])),
+    preempted: state.intersections.filter(intersection => intersection.emergencyOverride).map(intersection => intersection.id)
+  };
+
+  return {
+    ...state,
+    metrics: {
+      ...metrics,
+      samples: [...metrics.samples.filter(s => time - s.time < METRICS.TIME_SERIES_WINDOW), sample]
+    }
+  };
+};
+
+// Averages per completed trip of trip totals - times in ms - or null before any trip
+export const getTripAverages = (totals) => (totals && totals.trips > 0
+  ? {
+    travelTime: totals.travelTime / totals.trips,
+    delay: totals.delay / totals.trips,
+    stops: totals.stops / totals.trips,
+    stoppedTime: totals.stoppedTime / totals.trips
+  }
+  : null);
+
+// Trip totals of several vehicle types together
+export const sumTrips = (trips, types) => types.reduce((sum, type) => {
+  const totals = trips[type];
+  if (!totals) return sum;
+  return Object.fromEntries(Object.keys(sum).map(key => [key, sum[key] + totals[key]]));
+}, createTripTotals());
+
+// Time-averaged queue of an approach up to `time`
+export const getAverageQueue = (approach, time) => (time > 0 ? approach.queueTime / time : 0);
+
+// Departures per minute of an approach over the throughput window, or over the time simulated so far
+export const getThroughput = (approach, time) => (time > 0
+  ? approach.departures.length * 60000 / Math.min(time, METRICS.THROUGHPUT_WINDOW)
+  : 0);
@@ -0,0 +1,75 @@
+import { createSimulation, tick } from './engine';
+import { METRICS, TIMING } from './constants';
+import { isInIntersection } from './geometry';
+import { createMetrics, getAverageQueue, getThroughput, getTripAverages, recordTrips, sumTrips } from './metrics';
+import { NETWORKS } from './networks';
+import { addCarOnRoute, findVehicle } from './testHelpers';
+
+// A vehicle reaching its destination: spawned at `spawnTime` with the given delay, stops and time stopped (ms)
+const arrival = (id, type, spawnTime, delay, stops, stoppedTime) => ({
+  id, type, spawnTime, delay, stops, stoppedTime, isEmergency: type === 'emergency'
+});
+
+describe('trips', () => {
+  test('completed trips add up per type and average per trip', () => {
+    let metrics = recordTrips(createMetrics(), [arrival(1, 'car', 0, 4000, 1, 3000), arrival(2, 'bus', 2000, 1000, 0, 0)], 20000);
+    metrics = recordTrips(metrics, [arrival(3, 'car', 10000, 2000, 2, 1000)], 40000);
+
+    expect(metrics.trips.car).toEqual({ trips: 2, travelTime: 50000, delay: 6000, stops: 3, stoppedTime: 4000 });
+    expect(getTripAverages(metrics.trips.car)).toEqual({ travelTime: 25000, delay: 3000, stops: 1.5, stoppedTime: 2000 });
+    expect(sumTrips(metrics.trips, ['car', 'bus', 'truck'])).toEqual({ trips: 3, travelTime: 68000, delay: 7000, stops: 3, stoppedTime: 4000 });
+    expect(getTripAverages(metrics.trips.truck)).toBeNull();
+  });
+
+  test('emergency trips are response times, of which only the latest are kept', () => {
+    let metrics = createMetrics();
+    for (let id = 1; id <= METRICS.EMERGENCY_RESPONSES + 2; id++) {
+      metrics = recordTrips(metrics, [arrival(id, 'emergency', id * 1000, 0, 0, 0)], id * 1000 + 15000);
+    }
+    expect(metrics.emergencyResponses).toHaveLength(METRICS.EMERGENCY_RESPONSES);
+    expect(metrics.emergencyResponses[0]).toEqual({ vehicleId: 3, type: 'emergency', spawnTime: 3000, responseTime: 15000 });
+    expect(metrics.trips.emergency.trips).toBe(METRICS.EMERGENCY_RESPONSES + 2);
+  });
+});
+
+describe('approaches', () => {
+  test('queues are averaged over the simulated time and throughput over the window', () => {
+    const approach = { queue: 0, maxQueue: 3, queueTime: 30000, departures: [20000, 50000, 70000], totalDepartures: 5 };
+    expect(getAverageQueue(approach, 60000)).toBe(0.5);
+    expect(getThroughput(approach, 30000)).toBe(6);
+    expect(getThroughput(approach, 90000)).toBe(3);
+    expect(getAverageQueue(approach, 0)).toBe(0);
+    expect(getThroughput(approach, 0)).toBe(0);
+  });
+
+  test('a car waiting at red queues on its approach and departs into the box on green', () => {
+    // T-junction: the plan starts east-west, so a northbound car coming up the stem queues at red
+    let state = createSimulation({ logging: false, network: NETWORKS.tJunction });
+    const added = addCarOnRoute(state, vehicle => vehicle.direction === 'NORTH');
+    state = added.state;
+    const intersection = state.intersections[0];
+
+    let queuedTime = 0;
+    while (!isInIntersection(findVehicle(state, added.vehicle.id), intersection)) {
+      state = tick(state);
+      if (state.metrics.approaches[1] && state.metrics.approaches[1].north.queue === 1) queuedTime += TIMING.TICK;
+    }
+
+    const north = state.metrics.approaches[1].north;
+    expect(queuedTime).toBeGreaterThan(0);
+    expect(north).toMatchObject({ queue: 0, maxQueue: 1, queueTime: queuedTime, totalDepartures: 1 });
+    expect(north.departures).toEqual([state.time]);
+    // The car is not on the approach any more, and no other approach was used
+    expect(state.metrics.approaching).toEqual({});
+    expect(Object.keys(state.metrics.approaches[1])).toEqual(['north']);
+  });
+});
+
+describe('time series', () => {
+  test('is sampled every SAMPLE_INTERVAL', () => {
+    let state = createSimulation({ logging: false, network: NETWORKS.tJunction });
+    for (let time = 0; time < 2 * METRICS.SAMPLE_INTERVAL; time += TIMING.TICK) state = tick(state);
+    expect(state.metrics.samples.map(sample => sample.time)).toEqual([METRICS.SAMPLE_INTERVAL, 2 * METRICS.SAMPLE_INTERVAL]);
+    expect(state.metrics.samples[0]).toEqual({ time: METRICS.SAMPLE_INTERVAL, vehicles: 0, averageSpeed: null, queues: { 1: 0 }, preempted: [] });
+  });
+});
@@ -0,0 +1,24 @@
+import grid2x2 from './grid2x2.json';
+import corridor from './corridor.json';
+import tJunction from './tJunction.json';
+
+// Road networks that ship with the simulation, keyed by the name used in the ControlPanel
+// A network is plain JSON:
+// - laneWidth: width of one lane (px)
+// - nodes: { id, x, y } - nodes with a `control` ('signal' or 'uncontrolled') are intersections,
+//   all other nodes are boundary points where vehicles enter and leave the network.
+//   Signalized intersections may set their signal `plan` (see signalPlans.js), per-phase `splits`
+//   ({ [phaseId]: ms }), the `initialPhase` id, the `amberDuration` / `allRedDuration`
+//   clearance intervals (ms) that follow each green, and a `controller` ('fixed', 'actuated' or
+//   'adaptive') with its actuated `detection` ('loops' or 'v2i') or `adaptivePolicy`
+//   ('max-pressure' or 'webster'), and the `preemptionExit` ('interrupted', 'short-way',
+//   'long-way' or 'dwell') they recover by after emergency preemption
+// - segments: { from, to, lanes: { forward, backward } } - horizontal or vertical road pieces
+//   between two nodes, with the lane count for each travel direction (forward = from -> to)
+export const NETWORKS = {
+  grid: grid2x2,
+  corridor,
+  tJunction
+};
+
+export const DEFAULT_NETWORK = 'grid';
@@ -0,0 +1,18 @@
+// Seedable pseudo-random number generator (mulberry32)
+// Every random decision in the engine draws from the simulation's generator,
+// so two runs started with the same seed and inputs play out identically.
+
+export const createRandom = (seed) => ({ seed, state: seed >>> 0 });
+
+// Draw a number in [0, 1) and advance the generator in place
+// Callers work on a copy of state.random so the previous state is never mutated
+export const nextRandom = (random) => {
+  random.state = (random.state + 0x6D2B79F5) >>> 0;
+  let t = random.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Pick a random element from a non-empty array
+export const pickRandom = (random, items) => items[Math.floor(nextRandom(random) * items.length)];
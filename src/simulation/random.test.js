@@ -0,0 +1,47 @@
+import { addVehicle, createSimulation, removeVehicle } from './engine';
+import { createRandom, nextRandom, pickRandom } from './random';
+
+describe('createRandom', () => {
+  const draw = (random, count) => Array.from({ length: count }, () => nextRandom(random));
+
+  test('the same seed draws the same numbers in [0, 1)', () => {
+    const numbers = draw(createRandom(42), 100);
+    expect(draw(createRandom(42), 100)).toEqual(numbers);
+    expect(draw(createRandom(43), 100)).not.toEqual(numbers);
+    numbers.forEach(number => {
+      expect(number).toBeGreaterThanOrEqual(0);
+      expect(number).toBeLessThan(1);
+    });
+  });
+
+  test('a copy of the generator carries on from where it was copied', () => {
+    const random = createRandom(7);
+    draw(random, 10);
+    const copy = { ...random };
+    expect(draw(copy, 5)).toEqual(draw(random, 5));
+  });
+
+  test('pickRandom picks every element of a list', () => {
+    const random = createRandom(1);
+    const picked = new Set(Array.from({ length: 100 }, () => pickRandom(random, ['a', 'b', 'c'])));
+    expect([...picked].sort()).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('vehicle ids', () => {
+  test('count up from 1 and are not reused once a vehicle is removed', () => {
+    let state = createSimulation({ logging: false, seed: 5 });
+    state = addVehicle(state, 'car');
+    state = addVehicle(state, 'bus');
+    expect(state.vehicles.map(vehicle => vehicle.id)).toEqual([1, 2]);
+
+    state = addVehicle(removeVehicle(state, 2), 'truck');
+    expect(state.vehicles.map(vehicle => vehicle.id)).toEqual([1, 3]);
+  });
+
+  test('the same seed spawns the same vehicles', () => {
+    const spawn = (seed) => ['car', 'bus', 'truck', 'car'].reduce((state, type) => addVehicle(state, type), createSimulation({ logging: false, seed }))
+      .vehicles.map(({ id, x, y, lane, route }) => ({ id, x, y, lane, route }));
+    expect(spawn(9)).toEqual(spawn(9));
+  });
+});
@@ -0,0 +1,198 @@
+import { TURN_TARGETS } from './geometry';
+
+// Origin-destination routing on the road network
+// Vehicles enter at a boundary node, follow the shortest path through the intersection graph
+// and leave at another boundary node. A route is a list of straight legs with a turn between
+// each pair of legs:
+// { origin, destination, legs: [{ direction, roadIndex, from, to }], turns: [{ intersectionId, turnDirection, turnTo }] }
+// turns[i] is made at the intersection where legs[i] ends.
+
+// Travel direction from one node to another along an axis-aligned segment
+const getTravelDirection = (from, to) => {
+  if (from.x === to.x) {
+    return to.y < from.y ? 'NORTH' : 'SOUTH';
+  }
+  return to.x > from.x ? 'EAST' : 'WEST';
+};
+
+// Directed graph of the network - one edge for every segment direction that has lanes
+const buildRoutingGraph = (roadGrid) => {
+  const graph = new Map(roadGrid.nodes.map(node => [node.id, []]));
+
+  roadGrid.segments.forEach(segment => {
+    const from = roadGrid.getNode(segment.from);
+    const to = roadGrid.getNode(segment.to);
+    const length = Math.abs(to.x - from.x) + Math.abs(to.y - from.y);
+
+    if (segment.lanes.forward > 0) {
+      graph.get(from.id).push({ to: to.id, length });
+    }
+    if (segment.lanes.backward > 0) {
+      graph.get(to.id).push({ to: from.id, length });
+    }
+  });
+
+  return graph;
+};
+
+// The road network of a simulation does not change, so its routing graph, shortest paths and
+// route lists are worked out once per RoadGrid and shared by every spawn
+const routeTables = new WeakMap();
+
+const getRouteTable = (roadGrid) => {
+  if (!routeTables.has(roadGrid)) {
+    routeTables.set(roadGrid, { graph: buildRoutingGraph(roadGrid), shortestPaths: new Map(), allRoutes: null, turnRoutes: {} });
+  }
+  return routeTables.get(roadGrid);
+};
+
+// Dijkstra from one node to every node it can reach
+// Returns the predecessor of each reached node on its shortest path
+const findShortestPaths = (graph, originId) => {
+  const distances = new Map([[originId, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+
+  while (visited.size < distances.size) {
+    let current = null;
+    distances.forEach((distance, id) => {
+      if (!visited.has(id) && (current === null || distance < distances.get(current))) {
+        current = id;
+      }
+    });
+    visited.add(current);
+
+    graph.get(current).forEach(edge => {
+      const distance = distances.get(current) + edge.length;
+      if (!distances.has(edge.to) || distance < distances.get(edge.to)) {
+        distances.set(edge.to, distance);
+        previous.set(edge.to, current);
+      }
+    });
+  }
+
+  return previous;
+};
+
+// Predecessors on the shortest paths from an origin, from the RoadGrid's route table
+const getShortestPaths = (roadGrid, originId) => {
+  const { graph, shortestPaths } = getRouteTable(roadGrid);
+  if (!shortestPaths.has(originId)) {
+    shortestPaths.set(originId, findShortestPaths(graph, originId));
+  }
+  return shortestPaths.get(originId);
+};
+
+// Turn a node sequence into straight legs and the turns between them
+const buildRoute = (roadGrid, nodeIds) => {
+  const legs = [];
+
+  for (let i = 0; i < nodeIds.length - 1; i++) {
+    const from = roadGrid.getNode(nodeIds[i]);
+    const to = roadGrid.getNode(nodeIds[i + 1]);
+    const direction = getTravelDirection(from, to);
+    const lastLeg = legs[legs.length - 1];
+
+    // Consecutive segments in the same direction lie on the same road
+    if (lastLeg && lastLeg.direction === direction) {
+      lastLeg.to = to.id;
+    } else {
+      legs.push({ direction, roadIndex: roadGrid.findRoadIndexAt(from, direction), from: from.id, to: to.id });
+    }
+  }
+
+  const turns = legs.slice(1).map((leg, i) => ({
+    intersectionId: legs[i].to,
+    turnDirection: TURN_TARGETS.right[legs[i].direction] === leg.direction ? 'right' : 'left',
+    turnTo: leg.direction
+  }));
+
+  return {
+    origin: nodeIds[0],
+    destination: nodeIds[nodeIds.length - 1],
+    legs,
+    turns
+  };
+};
+
+// Walk the predecessor map back from the destination
+const collectPath = (previous, originId, destinationId) => {
+  const nodeIds = [destinationId];
+  while (nodeIds[0] !== originId) {
+    nodeIds.unshift(previous.get(nodeIds[0]));
+  }
+  return nodeIds;
+};
+
+// Shortest route between two boundary nodes, or null if the destination cannot be reached
+export const planRoute = (roadGrid, originId, destinationId) => {
+  if (originId === destinationId) return null;
+
+  const previous = getShortestPaths(roadGrid, originId);
+  if (!previous.has(destinationId)) return null;
+
+  return buildRoute(roadGrid, collectPath(previous, originId, destinationId));
+};
+
+// Shortest routes for every origin-destination pair of boundary nodes that are connected
+const findAllRoutes = (roadGrid) => {
+  const routes = [];
+
+  roadGrid.boundaryNodes.forEach(origin => {
+    const previous = getShortestPaths(roadGrid, origin.id);
+
+    roadGrid.boundaryNodes.forEach(destination => {
+      if (destination.id === origin.id || !previous.has(destination.id)) return;
+      routes.push(buildRoute(roadGrid, collectPath(previous, origin.id, destination.id)));
+    });
+  });
+
+  return routes;
+};
+
+export const getAllRoutes = (roadGrid) => {
+  const table = getRouteTable(roadGrid);
+  if (!table.allRoutes) table.allRoutes = findAllRoutes(roadGrid);
+  return table.allRoutes;
+};
+
+// Routes that enter the network straight towards an intersection, make the given turn there
+// and leave the network on the crossing road - one for every approach of every intersection
+// where that turn is possible
+const findTurnRoutes = (roadGrid, turnDirection) => {
+  const routes = [];
+
+  roadGrid.intersections.forEach(intersection => {
+    ['NORTH', 'EAST', 'SOUTH', 'WEST'].forEach(direction => {
+      const turnTo = TURN_TARGETS[turnDirection][direction];
+      const approachRoad = roadGrid.getRoads(direction)[roadGrid.findRoadIndexAt(intersection, direction)];
+      const exitRoad = roadGrid.getRoads(turnTo)[roadGrid.findRoadIndexAt(intersection, turnTo)];
+      if (!approachRoad || !exitRoad) return;
+      if (roadGrid.getLaneCount(approachRoad, direction) === 0 || roadGrid.getLaneCount(exitRoad, turnTo) === 0) return;
+
+      // The approach has to start at the network boundary and the exit road has to end there,
+      // beyond the intersection in the new direction
+      const origin = roadGrid.getEntryNode(approachRoad, direction);
+      const destination = roadGrid.getExitNode(exitRoad, turnTo);
+      if (!roadGrid.isBoundaryNode(origin) || !roadGrid.isBoundaryNode(destination)) return;
+
+      routes.push({
+        origin,
+        destination,
+        legs: [
+          { direction, roadIndex: approachRoad.index, from: origin, to: intersection.id },
+          { direction: turnTo, roadIndex: exitRoad.index, from: intersection.id, to: destination }
+        ],
+        turns: [{ intersectionId: intersection.id, turnDirection, turnTo }]
+      });
+    });
+  });
+
+  return routes;
+};
+
+export const getTurnRoutes = (roadGrid, turnDirection) => {
+  const table = getRouteTable(roadGrid);
+  if (!table.turnRoutes[turnDirection]) table.turnRoutes[turnDirection] = findTurnRoutes(roadGrid, turnDirection);
+  return table.turnRoutes[turnDirection];
+};
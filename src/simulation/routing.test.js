@@ -0,0 +1,73 @@
+import RoadGrid from './RoadGrid';
+import { createSimulation, tick } from './engine';
+import { TIMING } from './constants';
+import { getAllRoutes, getTurnRoutes, planRoute } from './routing';
+import { NETWORKS } from './networks';
+import { addCarOnRoute, findVehicle } from './testHelpers';
+
+describe('planRoute', () => {
+  const roadGrid = new RoadGrid(NETWORKS.grid);
+
+  test('a route across the grid goes straight along one road', () => {
+    const route = planRoute(roadGrid, 'W1', 'E1');
+    expect(route.legs).toEqual([{ direction: 'EAST', roadIndex: 0, from: 'W1', to: 'E1' }]);
+    expect(route.turns).toEqual([]);
+  });
+
+  test.each([
+    ['N1', 'E1', ['SOUTH', 'EAST'], 'left'],
+    ['N1', 'W1', ['SOUTH', 'WEST'], 'right'],
+    ['S2', 'W2', ['NORTH', 'WEST'], 'left']
+  ])('the shortest route from %s to %s turns once', (origin, destination, directions, turnDirection) => {
+    const route = planRoute(roadGrid, origin, destination);
+    expect(route.legs.map(leg => leg.direction)).toEqual(directions);
+    expect(route.legs[0].to).toBe(route.legs[1].from);
+    expect(route.turns).toEqual([{ intersectionId: route.legs[0].to, turnDirection, turnTo: directions[1] }]);
+  });
+
+  test('there is no route from a node to itself', () => {
+    expect(planRoute(roadGrid, 'N1', 'N1')).toBeNull();
+  });
+
+  test('every boundary node reaches every other one', () => {
+    const count = roadGrid.boundaryNodes.length;
+    expect(getAllRoutes(roadGrid)).toHaveLength(count * (count - 1));
+  });
+
+  test('turn routes make the turn they were asked for', () => {
+    ['left', 'right'].forEach(turnDirection => {
+      const routes = getTurnRoutes(roadGrid, turnDirection);
+      expect(routes.length).toBeGreaterThan(0);
+      routes.forEach(route => expect(route.turns.map(turn => turn.turnDirection)).toEqual([turnDirection]));
+    });
+  });
+});
+
+describe('route table', () => {
+  test('routes are worked out once per road network', () => {
+    const roadGrid = new RoadGrid(NETWORKS.grid);
+    expect(getAllRoutes(roadGrid).length).toBeGreaterThan(0);
+    expect(getAllRoutes(roadGrid)).toBe(getAllRoutes(roadGrid));
+    expect(getTurnRoutes(roadGrid, 'left')).toBe(getTurnRoutes(roadGrid, 'left'));
+    expect(getAllRoutes(new RoadGrid(NETWORKS.grid))).not.toBe(getAllRoutes(roadGrid));
+  });
+});
+
+describe('driving a route', () => {
+  test('a car turns where its route turns and leaves at its destination', () => {
+    const state = createSimulation({ logging: false, network: NETWORKS.grid });
+    const { state: start, vehicle } = addCarOnRoute(state, candidate => candidate.route.origin === 'N1' && candidate.route.destination === 'E1');
+
+    let next = start;
+    const directions = [];
+    for (let time = 0; time < 120000 && findVehicle(next, vehicle.id); time += TIMING.TICK) {
+      const current = findVehicle(next, vehicle.id);
+      if (directions[directions.length - 1] !== current.direction) directions.push(current.direction);
+      next = tick(next);
+    }
+
+    expect(findVehicle(next, vehicle.id)).toBeUndefined();
+    expect(directions).toEqual(['SOUTH', 'EAST']);
+    expect(next.statistics.generalTrips).toBe(1);
+  });
+});
@@ -0,0 +1,228 @@
+import { CAR_FOLLOWING, SAFETY } from './constants';
+import { doMovementsCross } from './conflicts';
+import { getFootprint, getFootprintGap, getIntersectionBox, isAhead, isInIntersection, isOnRoadThrough } from './geometry';
+import { getMovement } from './signalPlans';
+import { queryRadius } from './spatialIndex';
+
+// Surrogate safety measures
+// Conflicts that did not end in a collision are measured every tick, once vehicles have moved:
+// - time-to-collision (TTC) of every following pair: the gap to the leader over the speed the
+//   follower closes in on it with (see updateVehicles)
+// - post-encroachment time (PET) of crossing pairs at each intersection: the box is divided into
+//   PET_CELL_SIZE cells, and when a vehicle enters a cell last occupied by a vehicle on a
+//   crossing movement, the time since that vehicle left it - 0 if it is still there
+// A pair below its threshold opens an encounter, which lasts until the pair has stayed above it
+// for ENCOUNTER_TIMEOUT. The encounter's event keeps the lowest value measured and the scene - the
+// vehicles and intersections - at that moment, so the view can jump back to it.
+// Every encounter is counted once for its intersection: PET encounters where they happen, TTC
+// encounters at the intersection the follower approaches or crosses - none between intersections.
+
+const THRESHOLD_KINDS = ['ttc', 'pet'];
+
+// Throws for thresholds that are not positive numbers of seconds
+const validateThresholds = (thresholds) => {
+  if (!THRESHOLD_KINDS.every(kind => thresholds[kind] > 0)) {
+    throw new Error('Safety thresholds must be positive numbers of seconds');
+  }
+};
+
+// Surrogate safety state of a new simulation - `thresholds` overrides { ttc, pet } (s)
+export const createSafety = (thresholds = {}) => {
+  const settings = { ttc: SAFETY.TTC_THRESHOLD, pet: SAFETY.PET_THRESHOLD, ...thresholds };
+  validateThresholds(settings);
+
+  return {
+    thresholds: settings,
+    nextEventId: 1,
+    occupancy: {},  // Last vehicle in each cell of each box: { [intersectionId]: { [cell]: { vehicleId, direction, movement, exitTime } } }
+    encounters: {}, // Encounters going on, by `${kind}-${id}-${id}`: { event, lastTime }
+    critical: [],   // The CRITICAL_EVENTS lowest events, lowest first:
+                    // { id, kind, value, time, intersectionId, x, y, vehicles: [{ id, type, direction, movement, speed }], scene }
+    counts: {}      // Encounters per intersection: { [intersectionId]: { TTC, PET } }
+  };
+};
+
+// Change the TTC and PET thresholds ({ ttc, pet } in s) - encounters already recorded are kept.
+// Throws for thresholds that are not positive.
+export const setSafetyThresholds = (state, thresholds) => {
+  const settings = { ...state.safety.thresholds, ...thresholds };
+  validateThresholds(settings);
+  return { ...state, safety: { ...state.safety, thresholds: settings } };
+};
+
+const describeVehicle = (vehicle, intersectionId) => ({
+  id: vehicle.id,
+  type: vehicle.type,
+  direction: vehicle.direction,
+  movement: intersectionId === null ? 'through' : getMovement(vehicle, intersectionId),
+  speed: vehicle.speed
+});
+
+// Intersection a vehicle is inside of or approaching on its road, or null between intersections
+const findApproachedIntersection = (state, vehicle) => {
+  let closest = null;
+  let closestDistance = Infinity;
+  queryRadius(state.spatialIndex.intersections, vehicle, CAR_FOLLOWING.STOP_LINE_LOOKAHEAD).forEach(intersection => {
+    if (!isInIntersection(vehicle, intersection) && !(isOnRoadThrough(vehicle, intersection) && isAhead(vehicle, intersection))) return;
+    const distance = Math.hypot(intersection.x - vehicle.x, intersection.y - vehicle.y);
+    if (distance < closestDistance) {
+      closest = intersection;
+      closestDistance = distance;
+    }
+  });
+  return closest;
+};
+
+// TTC of every following pair closing in below the threshold - vehicles measure it against the
+// leader they followed during the tick
+const measureTimeToCollision = (state, vehiclesById) => {
+  const measurements = [];
+  state.vehicles.forEach(vehicle => {
+    const ttc = vehicle.timeToCollision;
+    const leader = vehiclesById.get(vehicle.leaderId);
+    if (ttc === null || ttc >= state.safety.thresholds.ttc || !leader) return;
+
+    const intersection = findApproachedIntersection(state, vehicle);
+    const intersectionId = intersection ? intersection.id : null;
+    measurements.push({
+      key: `TTC-${vehicle.id}-${leader.id}`,
+      kind: 'TTC',
+      value: ttc,
+      intersectionId,
+      x: (vehicle.x + leader.x) / 2,
+      y: (vehicle.y + leader.y) / 2,
+      vehicles: [describeVehicle(vehicle, intersectionId), describeVehicle(leader, intersectionId)]
+    });
+  });
+  return measurements;
+};
+
+// Cells of a box a footprint covers: ['column,row']
+const getCoveredCells = (footprint, box) => {
+  const cells = [];
+  const size = SAFETY.PET_CELL_SIZE;
+  const minColumn = Math.floor((Math.max(footprint.minX, box.minX) - box.minX) / size);
+  const maxColumn = Math.ceil((Math.min(footprint.maxX, box.maxX) - box.minX) / size) - 1;
+  const minRow = Math.floor((Math.max(footprint.minY, box.minY) - box.minY) / size);
+  const maxRow = Math.ceil((Math.min(footprint.maxY, box.maxY) - box.minY) / size) - 1;
+  for (let column = minColumn; column <= maxColumn; column++) {
+    for (let row = minRow; row <= maxRow; row++) {
+      cells.push(`${column},${row}`);
+    }
+  }
+  return cells;
+};
+
+// PET of crossing pairs below the threshold at one intersection, and the cells' new occupancy
+const measureEncroachment = (state, intersection, vehicleIndex, vehiclesById) => {
+  const { time } = state;
+  const threshold = state.safety.thresholds.pet;
+  const box = getIntersectionBox(intersection);
+  const previous = state.safety.occupancy[intersection.id] || {};
+  const occupancy = {};
+  const covered = new Set();
+  const measurements = [];
+
+  queryRadius(vehicleIndex, intersection, Math.hypot(intersection.width, intersection.height) / 2).forEach(vehicle => {
+    const footprint = getFootprint(vehicle);
+    if (getFootprintGap(footprint, box) >= 0) return;
+
+    const movement = { direction: vehicle.direction, movement: getMovement(vehicle, intersection.id) };
+    getCoveredCells(footprint, box).forEach(cell => {
+      covered.add(cell);
+      const last = occupancy[cell] || previous[cell];
+      if (last && last.vehicleId !== vehicle.id && doMovementsCross(movement, last)) {
+        const pet = last.exitTime === null ? 0 : (time - last.exitTime) / 1000;
+        const other = vehiclesById.get(last.vehicleId);
+        if (pet < threshold && other) {
+          const pair = vehicle.id < other.id ? [vehicle, other] : [other, vehicle];
+          measurements.push({
+            key: `PET-${pair[0].id}-${pair[1].id}`,
+            kind: 'PET',
+            value: pet,
+            intersectionId: intersection.id,
+            x: (vehicle.x + other.x) / 2,
+            y: (vehicle.y + other.y) / 2,
+            vehicles: pair.map(pairVehicle => describeVehicle(pairVehicle, intersection.id))
+          });
+        }
+      }
+      if (!last || last.vehicleId !== vehicle.id || last.exitTime !== null) {
+        occupancy[cell] = { vehicleId: vehicle.id, ...movement, exitTime: null };
+      } else {
+        occupancy[cell] = last;
+      }
+    });
+  });
+
+  // Cells left during this tick are vacated now; ones vacated longer than the threshold ago
+  // cannot produce a conflict any more
+  Object.entries(previous).forEach(([cell, last]) => {
+    if (covered.has(cell)) return;
+    const exitTime = last.exitTime === null ? time : last.exitTime;
+    if (time - exitTime < threshold * 1000) {
+      occupancy[cell] = last.exitTime === null ? { ...last, exitTime } : last;
+    }
+  });
+
+  return { occupancy, measurements };
+};
+
+const compareEvents = (a, b) => a.value - b.value || a.time - b.time;
+
+// Measure TTC and PET after vehicles have moved and record the encounters below the thresholds
+export const measureSafety = (state) => {
+  const { time, safety } = state;
+  const vehiclesById = new Map(state.vehicles.map(vehicle => [vehicle.id, vehicle]));
+
+  const occupancy = {};
+  const measurements = measureTimeToCollision(state, vehiclesById);
+  state.intersections.forEach(intersection => {
+    const result = measureEncroachment(state, intersection, state.spatialIndex.vehicles, vehiclesById);
+    if (Object.keys(result.occupancy).length > 0) {
+      occupancy[intersection.id] = result.occupancy;
+    }
+    measurements.push(...result.measurements);
+  });
+
+  // Encounters end once their pair has stayed above the threshold for ENCOUNTER_TIMEOUT
+  const encounters = Object.fromEntries(Object.entries(safety.encounters)
+    .filter(([, encounter]) => time - encounter.lastTime < SAFETY.ENCOUNTER_TIMEOUT));
+  let { nextEventId } = safety;
+  const counts = { ...safety.counts };
+  const statistics = { ...state.statistics };
+  const changed = new Map();
+  const scene = { vehicles: state.vehicles, intersections: state.intersections };
+
+  measurements.forEach(({ key, ...measurement }) => {
+    const open = encounters[key];
+    if (open && open.event.value <= measurement.value) {
+      encounters[key] = { ...open, lastTime: time };
+      return;
+    }
+
+    if (!open && measurement.intersectionId !== null) {
+      const intersectionCounts = counts[measurement.intersectionId] || { TTC: 0, PET: 0 };
+      counts[measurement.intersectionId] = { ...intersectionCounts, [measurement.kind]: intersectionCounts[measurement.kind] + 1 };
+    }
+    if (!open) {
+      const statistic = measurement.kind === 'TTC' ? 'ttcConflicts' : 'petConflicts';
+      statistics[statistic] += 1;
+    }
+    const event = { id: open ? open.event.id : nextEventId++, ...measurement, time, scene };
+    encounters[key] = { event, lastTime: time };
+    changed.set(event.id, event);
+  });
+
+  const critical = changed.size === 0
+    ? safety.critical
+    : [...safety.critical.filter(event => !changed.has(event.id)), ...changed.values()]
+      .sort(compareEvents)
+      .slice(0, SAFETY.CRITICAL_EVENTS);
+
+  return {
+    ...state,
+    safety: { ...safety, nextEventId, occupancy, encounters, critical, counts },
+    statistics
+  };
+};
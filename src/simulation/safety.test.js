@@ -0,0 +1,99 @@
+import { createSimulation, setSafetyThresholds, tick } from './engine';
+import { getIntersectionBox } from './geometry';
+import { measureSafety } from './safety';
+import { NETWORKS } from './networks';
+import { createSpatialIndex } from './spatialIndex';
+import { addCarOnRoute, findVehicle, updateVehicle } from './testHelpers';
+
+// Grid: intersection 1 at (490, 290), where the road from W1 crosses the one from N1
+const createGrid = () => createSimulation({ logging: false, network: NETWORKS.grid });
+const addThroughCar = (state, origin) => addCarOnRoute(state, vehicle => vehicle.route.origin === origin && vehicle.route.turns.length === 0);
+
+describe('time-to-collision', () => {
+  // A car at 40 px/s closing in on one at 10 px/s 30 px ahead, the pair `distance` px before intersection 1
+  const setUp = (distance) => {
+    let state = createGrid();
+    const leader = addThroughCar(state, 'W1');
+    state = updateVehicle(leader.state, leader.vehicle.id, { x: 490 - distance, speed: 10 });
+    const follower = addThroughCar(state, 'W1');
+    state = updateVehicle(follower.state, follower.vehicle.id, { x: 490 - distance - 60, y: leader.vehicle.y, speed: 40 });
+    return { state, followerId: follower.vehicle.id, leaderId: leader.vehicle.id };
+  };
+
+  test('is the gap over the closing speed, and one encounter keeps its lowest value', () => {
+    let { state, followerId, leaderId } = setUp(400);
+    state = tick(state);
+    expect(findVehicle(state, followerId).timeToCollision).toBe(1);
+
+    const [event] = state.safety.critical;
+    expect(event).toMatchObject({ kind: 'TTC', value: 1, intersectionId: null });
+    expect(event.vehicles.map(vehicle => vehicle.id)).toEqual([followerId, leaderId]);
+    expect(state.statistics.ttcConflicts).toBe(1);
+    // Between intersections it is counted for none
+    expect(state.safety.counts).toEqual({});
+
+    for (let time = 0; time < 500; time += 50) state = tick(state);
+    expect(state.statistics.ttcConflicts).toBe(1);
+    expect(state.safety.critical).toHaveLength(1);
+    expect(state.safety.critical[0].value).toBeLessThanOrEqual(1);
+  });
+
+  test('is counted for the intersection the follower approaches', () => {
+    const { state } = setUp(100);
+    expect(tick(state).safety.counts).toEqual({ 1: { TTC: 1, PET: 0 } });
+  });
+
+  test('is not a conflict above the threshold', () => {
+    const { state } = setUp(400);
+    expect(tick(setSafetyThresholds(state, { ttc: 0.5 })).statistics.ttcConflicts).toBe(0);
+  });
+});
+
+describe('post-encroachment time', () => {
+  // An eastbound car crosses intersection 1 and leaves the box at 1050 ms; a car from `origin`
+  // reaches the spot it crossed `after` ms later. Positions are set directly, without ticks.
+  const encroach = (after, origin = 'N1') => {
+    let state = createGrid();
+    const box = getIntersectionBox(state.intersections.find(intersection => intersection.id === 1));
+    const eastbound = addThroughCar(state, 'W1');
+    // Off its entry, so the other car can spawn
+    state = updateVehicle(eastbound.state, eastbound.vehicle.id, { x: 300 });
+    const other = addThroughCar(state, origin);
+    state = other.state;
+    // The spot where the southbound lane crosses the eastbound one
+    const spot = { x: origin === 'N1' ? other.vehicle.x : 490, y: eastbound.vehicle.y };
+
+    const measure = (time, changes) => {
+      const moved = Object.entries(changes).reduce((current, [id, change]) => updateVehicle(current, Number(id), change), state);
+      const indexed = { ...moved, time, spatialIndex: { ...moved.spatialIndex, vehicles: createSpatialIndex(moved.vehicles) } };
+      return measureSafety(indexed);
+    };
+    const outside = origin === 'N1' ? { y: box.minY - 100 } : { x: box.minX - 100 };
+    state = measure(1000, { [eastbound.vehicle.id]: { x: spot.x }, [other.vehicle.id]: outside });
+    state = measure(1050, { [eastbound.vehicle.id]: { x: box.maxX + 40 } });
+    return measure(1050 + after, { [other.vehicle.id]: spot });
+  };
+
+  test('is the time since a crossing vehicle left the spot', () => {
+    const state = encroach(600);
+    expect(state.safety.critical).toHaveLength(1);
+    expect(state.safety.critical[0]).toMatchObject({ kind: 'PET', value: 0.6, intersectionId: 1 });
+    expect(state.statistics.petConflicts).toBe(1);
+    expect(state.safety.counts).toEqual({ 1: { TTC: 0, PET: 1 } });
+  });
+
+  test('is not a conflict above the threshold', () => {
+    expect(encroach(1050).statistics.petConflicts).toBe(0);
+  });
+
+  test('is not measured between vehicles on the same movement', () => {
+    expect(encroach(600, 'W1').statistics.petConflicts).toBe(0);
+  });
+});
+
+describe('thresholds', () => {
+  test('must be positive numbers of seconds', () => {
+    expect(() => createSimulation({ logging: false, safety: { ttc: 0 } })).toThrow('Safety thresholds');
+    expect(() => setSafetyThresholds(createGrid(), { pet: -1 })).toThrow('Safety thresholds');
+  });
+});
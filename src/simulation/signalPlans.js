@@ -0,0 +1,171 @@
+import { SIGNAL_PHASES, TIMING } from './constants';
+
+// Signal plans
+// A plan is an ordered list of phases an intersection cycles through. Each phase serves some
+// approaches (named by travel direction, like the signal heads) for its split (ms of green):
+// - through:         through and right-turn heads green, left turns held
+// - permissive-left: through and right green, left turns go after yielding to opposing traffic
+// - protected-left:  left-turn arrows green, everything else red
+// - pedestrian:      every vehicle head red while pedestrians cross
+// Every phase is followed by its amber and all-red clearance intervals.
+
+export const APPROACHES = ['north', 'south', 'east', 'west'];
+export const MOVEMENTS = ['left', 'through', 'right'];
+
+const AXES = {
+  'north-south': ['north', 'south'],
+  'east-west': ['east', 'west']
+};
+
+// Indication of each movement head for the approaches a phase serves
+const SERVED_MOVEMENTS = {
+  through: { left: SIGNAL_PHASES.RED, through: SIGNAL_PHASES.GREEN, right: SIGNAL_PHASES.GREEN },
+  'permissive-left': { left: SIGNAL_PHASES.PERMISSIVE, through: SIGNAL_PHASES.GREEN, right: SIGNAL_PHASES.GREEN },
+  'protected-left': { left: SIGNAL_PHASES.GREEN, through: SIGNAL_PHASES.RED, right: SIGNAL_PHASES.RED },
+  pedestrian: { left: SIGNAL_PHASES.RED, through: SIGNAL_PHASES.RED, right: SIGNAL_PHASES.RED }
+};
+
+const phase = (id, type, axis, split) => ({ id, type, approaches: axis ? AXES[axis] : [], split });
+
+// Plans that ship with the simulation, keyed by the name used in network definitions and the ControlPanel
+// The eight-phase plans run NEMA dual-ring control lead-lead: each step pairs the compatible
+// phases of both rings (1+5 and 2+6 on the north-south street, 3+7 and 4+8 on the east-west street)
+export const SIGNAL_PLANS = {
+  'two-phase': {
+    name: 'Two-phase (permissive lefts)',
+    phases: [
+      phase('north-south', 'permissive-left', 'north-south', TIMING.PHASE_DURATION),
+      phase('east-west', 'permissive-left', 'east-west', TIMING.PHASE_DURATION)
+    ]
+  },
+  'eight-phase': {
+    name: 'Eight-phase dual ring (protected lefts)',
+    phases: [
+      phase('north-south-left', 'protected-left', 'north-south', 8000),
+      phase('north-south', 'through', 'north-south', 22000),
+      phase('east-west-left', 'protected-left', 'east-west', 8000),
+      phase('east-west', 'through', 'east-west', 22000)
+    ]
+  },
+  'eight-phase-permissive': {
+    name: 'Eight-phase dual ring (protected/permissive lefts)',
+    phases: [
+      phase('north-south-left', 'protected-left', 'north-south', 6000),
+      phase('north-south', 'permissive-left', 'north-south', 24000),
+      phase('east-west-left', 'protected-left', 'east-west', 6000),
+      phase('east-west', 'permissive-left', 'east-west', 24000)
+    ]
+  },
+  'pedestrian-scramble': {
+    name: 'Two-phase with pedestrian scramble',
+    phases: [
+      phase('north-south', 'permissive-left', 'north-south', 25000),
+      phase('east-west', 'permissive-left', 'east-west', 25000),
+      phase('pedestrian', 'pedestrian', null, 10000)
+    ]
+  }
+};
+
+export const DEFAULT_SIGNAL_PLAN = 'two-phase';
+
+// Phases of the named plan with the given per-phase split overrides ({ [phaseId]: ms })
+// Throws for unknown plans or splits of phases the plan does not have
+export const buildSignalPlan = (planName, splits = {}) => {
+  const plan = SIGNAL_PLANS[planName];
+  if (!plan) {
+    throw new Error(`Unknown signal plan "${planName}"`);
+  }
+
+  Object.entries(splits).forEach(([phaseId, split]) => {
+    if (!plan.phases.some(p => p.id === phaseId)) {
+      throw new Error(`Signal plan "${planName}" has no phase "${phaseId}"`);
+    }
+    if (!(split > 0)) {
+      throw new Error(`Split of phase "${phaseId}" must be a positive number of ms`);
+    }
+  });
+
+  return plan.phases.map(p => (splits[p.id] ? { ...p, split: splits[p.id] } : p));
+};
+
+// Whether a head lets vehicles enter the intersection - on PERMISSIVE only once they have a gap
+// in oncoming traffic (see isOncomingGapTooShort in conflicts.js)
+export const isGoSignal = (signal) => signal === SIGNAL_PHASES.GREEN || signal === SIGNAL_PHASES.PERMISSIVE;
+
+// Every movement head of every approach while a phase is green
+export const getPhaseSignals = (planPhase) => {
+  const signals = {};
+  APPROACHES.forEach(approach => {
+    signals[approach] = planPhase.approaches.includes(approach)
+      ? { ...SERVED_MOVEMENTS[planPhase.type] }
+      : { left: SIGNAL_PHASES.RED, through: SIGNAL_PHASES.RED, right: SIGNAL_PHASES.RED };
+  });
+  return signals;
+};
+
+// Whether a phase gives a movement ('left', 'through' or 'right') of an approach right of way
+export const servesMovement = (planPhase, approach, movement) =>
+  planPhase.approaches.includes(approach) && isGoSignal(SERVED_MOVEMENTS[planPhase.type][movement]);
+
+// Movement a vehicle makes at an intersection - the turn its route plans there, otherwise through
+export const getMovement = (vehicle, intersectionId) =>
+  vehicle.plannedTurnIntersectionId === intersectionId && (vehicle.turnDirection === 'left' || vehicle.turnDirection === 'right')
+    ? vehicle.turnDirection
+    : 'through';
+
+// Heads while the given heads clear ('amber' or 'all-red') for the next phase
+// Only movements that lose their indication at the next phase clear through amber and all-red -
+// an amber already showing turns red with the rest - movements that continue into the next phase keep it
+export const getClearanceSignals = (currentSignals, nextPlanPhase, interval) => {
+  const nextSignals = getPhaseSignals(nextPlanPhase);
+  const signals = {};
+  APPROACHES.forEach(approach => {
+    signals[approach] = { ...currentSignals[approach] };
+    MOVEMENTS.forEach(movement => {
+      const signal = signals[approach][movement];
+      if ((isGoSignal(signal) || signal === SIGNAL_PHASES.YELLOW) && signal !== nextSignals[approach][movement]) {
+        signals[approach][movement] = interval === 'amber' ? SIGNAL_PHASES.YELLOW : SIGNAL_PHASES.RED;
+      }
+    });
+  });
+  return signals;
+};
+
+// Signal heads during one interval of a phase that is followed by the phase at nextPhaseIndex
+export const getIntervalSignals = (plan, phaseIndex, interval, nextPhaseIndex = (phaseIndex + 1) % plan.length) => {
+  const signals = getPhaseSignals(plan[phaseIndex]);
+  return interval === 'green' ? signals : getClearanceSignals(signals, plan[nextPhaseIndex], interval);
+};
+
+// Heads while an emergency vehicle preempts an intersection: every movement of its approach is
+// green, whichever it makes, so the queue ahead of it discharges in front of it - everything else
+// is red, so its turn is protected and the street it turns into is clear
+export const getPreemptionSignals = (approach) => {
+  const signals = getPhaseSignals(phase('preemption', 'through', null, 0));
+  signals[approach] = { left: SIGNAL_PHASES.GREEN, through: SIGNAL_PHASES.GREEN, right: SIGNAL_PHASES.GREEN };
+  return signals;
+};
+
+// Heads while the given heads clear ('amber' or 'all-red') for preemption of an approach
+// Movements that preemption turns red clear through amber and all-red - an amber already running
+// carries on - while the approach's own movements keep their indication until they turn green
+export const getPreemptionClearanceSignals = (currentSignals, preemptedApproach, interval) => {
+  const preemptionSignals = getPreemptionSignals(preemptedApproach);
+  const signals = {};
+  APPROACHES.forEach(approach => {
+    signals[approach] = { ...currentSignals[approach] };
+    MOVEMENTS.forEach(movement => {
+      if (signals[approach][movement] !== SIGNAL_PHASES.RED && preemptionSignals[approach][movement] === SIGNAL_PHASES.RED) {
+        signals[approach][movement] = interval === 'amber' ? SIGNAL_PHASES.YELLOW : SIGNAL_PHASES.RED;
+      }
+    });
+  });
+  return signals;
+};
+
+// First phase of the plan that serves a movement of an approach, or -1
+export const findMovementPhaseIndex = (plan, approach, movement) =>
+  plan.findIndex(p => servesMovement(p, approach, movement));
+
+// Phase of the plan that serves an approach's through movement
+export const findThroughPhaseIndex = (plan, approach) => findMovementPhaseIndex(plan, approach, 'through');
@@ -0,0 +1,846 @@
+import {
+  ACTUATED_CONTROL,
+  ADAPTIVE_CONTROL,
+  EMERGENCY_PRIORITY_RANKING,
+  INTERSECTION_INBOX,
+  PREEMPTION_EXITS,
+  PREEMPTION_RECOVERY,
+  SIGNAL_PHASES,
+  TIMING,
+  TRANSIT_PRIORITY,
+  VEHICLE_CONSTANTS
+} from './constants';
+import { decideByPressure, decideByWebster, estimateDemand } from './adaptive';
+import { getDriverModel } from './carFollowing';
+import { createLinkTransmission, transmit } from './channel';
+import { captureMessages } from './codec';
+import { getNaturalCycleLength, getScheduleLag, getScheduledGreens, getScheduledInterval } from './coordination';
+import { detectVehicles } from './detectors';
+import { isAhead } from './geometry';
+import { isOpenRequest, updateRequests } from './inbox';
+import { readSignalStatus } from './j2735';
+import {
+  APPROACHES,
+  DEFAULT_SIGNAL_PLAN,
+  MOVEMENTS,
+  buildSignalPlan,
+  findMovementPhaseIndex,
+  findThroughPhaseIndex,
+  getClearanceSignals,
+  getIntervalSignals,
+  getMovement,
+  getPreemptionClearanceSignals,
+  getPreemptionSignals,
+  isGoSignal,
+  servesMovement
+} from './signalPlans';
+import { log } from './log';
+
+// Every phase runs through the same intervals: its green (the phase's split), an amber for the
+// movements losing right of way, and an all-red clearance before the next phase turns green
+const getIntervalDuration = (intersection) => {
+  switch (intersection.interval) {
+    case 'amber': return intersection.amberDuration;
+    case 'all-red': return intersection.allRedDuration;
+    default: return intersection.plan[intersection.phaseIndex].split;
+  }
+};
+
+const isSignalized = (intersection) => intersection.control === 'signal';
+
+// Signal head a vehicle travelling in `direction` obeys for a movement ('left', 'through' or 'right')
+// Returns undefined at uncontrolled intersections
+export const getMovementSignal = (intersection, direction, movement) => {
+  const heads = intersection.signals[direction.toLowerCase()];
+  return heads ? heads[movement] : undefined;
+};
+
+// Throws for exit strategies other than PREEMPTION_EXITS
+const assertPreemptionExit = (preemptionExit) => {
+  if (!PREEMPTION_EXITS.includes(preemptionExit)) {
+    throw new Error(`Unknown preemption exit "${preemptionExit}"`);
+  }
+};
+
+// Build an intersection in its initial state
+// Uncontrolled intersections have no signals, so approaching vehicles never stop for them
+// `signalPlan` overrides the plan named in the network definition
+const createIntersection = ({
+  id, x, y, width, height, control, initialPhase, plan: networkPlan, splits,
+  controller = 'fixed', detection = 'loops', adaptivePolicy = 'max-pressure',
+  amberDuration = TIMING.AMBER_DURATION, allRedDuration = TIMING.ALL_RED_DURATION,
+  preemptionExit = 'interrupted'
+}, signalPlan) => {
+  const planName = signalPlan || networkPlan || DEFAULT_SIGNAL_PLAN;
+  const plan = control === 'signal' ? buildSignalPlan(planName, splits) : [];
+  const phaseIndex = Math.max(0, plan.findIndex(p => p.id === initialPhase));
+  assertPreemptionExit(preemptionExit);
+
+  return {
+    id,
+    x,
+    y,
+    width,
+    height,
+    control,
+    planName,
+    plan,
+    phaseIndex,
+    currentPhase: plan.length > 0 ? plan[phaseIndex].id : null,
+    nextPhaseIndex: null, // Phase that follows the current clearance intervals
+    interval: 'green',  // 'green', 'amber' or 'all-red' within the current phase
+    phaseTime: 0,       // Time spent in the current interval (ms)
+    // Why the last green ended: 'split', 'gap-out', 'max-out', 'max-pressure', 'offset', 'early green',
+    // 'preemption', 'dwell' or 'transition'
+    terminationReason: null,
+    controller,         // 'fixed' (splits in plan order), 'actuated', 'adaptive' or 'coordinated'
+    detection,          // What actuated detectors see: 'loops' or 'v2i'
+    calls: plan.map(() => false), // Locked detector calls per phase (actuated control)
+    gapTime: 0,         // Time since the green phase was last extended (actuated control)
+    adaptivePolicy,     // 'max-pressure' or 'webster' (adaptive control)
+    demand: { queues: null, arrivals: [], lastReports: {} }, // Estimated from V2I reports (adaptive control)
+    nextDecisionTime: ACTUATED_CONTROL.MIN_GREEN, // Green time of the next max-pressure decision
+    adaptiveSplits: null,   // Splits of the current Webster cycle
+    adaptiveDecision: null, // Last adaptive decision and its rationale
+    cycleLength: null,  // Shared cycle (ms) - null runs the plan's own cycle (coordinated control)
+    offset: 0,          // Master-clock time at which the coordinated phase turns green, within the cycle (ms)
+    // Phase the cycle starts with - fixed-time control starts its cycle with the initial phase at time 0
+    coordinatedPhaseIndex: phaseIndex,
+    vehicleReports: [], // Vehicles that last reported their position over V2I
+    transitRequests: [], // Latest priority requests of approaching buses
+    transitPriority: null, // Active grant: { vehicleId, kind: 'extension' or 'early-green', phaseIndex, until }
+    lastTransitPriorityTime: null, // When priority was last granted - starts the lockout
+    amberDuration,
+    allRedDuration,
+    // Movement heads per approach: { north: { left, through, right }, ... }
+    signals: plan.length > 0 ? getIntervalSignals(plan, phaseIndex, 'green') : {},
+    emergencyOverride: false,
+    emergencyMode: false,
+    activeEmergencyVehicle: null, // Emergency vehicle the intersection is preempted for
+    emergencyApproach: null,      // Its approach
+    emergencyMovement: null,      // The movement it makes here: 'left', 'through' or 'right'
+    preemptedPhaseIndex: null,    // Phase preemption interrupted
+    preemptionExit,               // How the signal returns to normal operation - see releasePreemption
+    recovery: null,               // Return to normal operation in progress: { strategy, stage, exitPhaseIndex, ... }
+    priorityRequests: [], // Emergency priority requests and their status (see inbox.js): { vehicleId, vehicleType, status, eta, ... }
+    receivedMessages: [], // Inbox of V2I messages, newest first: { id, type, senderId, senderType, receivedAt, ... }
+    receivedCount: 0,     // Messages received so far - numbers the inbox entries
+    conflictFlash: null   // Latest collision or near-collision in the box while it flashes (see conflicts.js): { type, time }
+  };
+};
+
+// Initialize intersections from the road network, each running its signal plan
+// Throws if a plan or split in the network is invalid
+export const createIntersections = (roadGrid, signalPlan = null) =>
+  roadGrid.intersections.map(intersection => createIntersection(intersection, signalPlan));
+
+// Move on to the next phase once the all-red clearance is over
+const startPhase = (state, intersection, phaseIndex) => {
+  const { plan } = intersection;
+  log(state, `Intersection ${intersection.id}: Switched to ${plan[phaseIndex].id.toUpperCase()} phase`);
+
+  return {
+    ...intersection,
+    phaseIndex,
+    currentPhase: plan[phaseIndex].id,
+    nextPhaseIndex: null,
+    interval: 'green',
+    phaseTime: 0,
+    gapTime: 0,
+    nextDecisionTime: ACTUATED_CONTROL.MIN_GREEN,
+    // Serving a phase answers its call
+    calls: intersection.calls.map((call, i) => (i === phaseIndex ? false : call)),
+    signals: getIntervalSignals(plan, phaseIndex, 'green')
+  };
+};
+
+// End the green of the current phase; `reason` records why for the overlay
+const endGreen = (state, intersection, nextPhaseIndex, reason) => {
+  log(state, `Intersection ${intersection.id}: ${intersection.currentPhase.toUpperCase()} phase turning AMBER (${reason})`);
+
+  return {
+    ...intersection,
+    interval: 'amber',
+    phaseTime: 0,
+    nextPhaseIndex,
+    terminationReason: reason,
+    signals: getIntervalSignals(intersection.plan, intersection.phaseIndex, 'amber', nextPhaseIndex)
+  };
+};
+
+// Amber and all-red run for fixed durations whatever the controller
+const updateClearance = (state, intersection) => {
+  if (intersection.phaseTime < getIntervalDuration(intersection)) return intersection;
+
+  if (intersection.interval === 'amber') {
+    return {
+      ...intersection,
+      interval: 'all-red',
+      phaseTime: 0,
+      signals: getIntervalSignals(intersection.plan, intersection.phaseIndex, 'all-red', intersection.nextPhaseIndex)
+    };
+  }
+
+  return startPhase(state, intersection, intersection.nextPhaseIndex);
+};
+
+// Fixed-time control: every phase runs for its split, in plan order
+const updateFixedTime = (state, intersection) => {
+  if (intersection.phaseTime < getIntervalDuration(intersection)) return intersection;
+  return endGreen(state, intersection, (intersection.phaseIndex + 1) % intersection.plan.length, 'split');
+};
+
+// First phase after the current one, in plan order, with a call waiting - or -1
+const findNextCalledPhase = (intersection, calls) => {
+  const { plan, phaseIndex } = intersection;
+  for (let offset = 1; offset < plan.length; offset++) {
+    const index = (phaseIndex + offset) % plan.length;
+    if (calls[index]) return index;
+  }
+  return -1;
+};
+
+// Vehicle-actuated control
+// Detector actuations place calls on the phases that serve them; calls stay locked until their
+// phase turns green. Each actuation on the green phase extends it, and once its minimum green is
+// over it gaps out after PASSAGE_TIME without one or maxes out at its split - but only if another
+// phase has a call, otherwise it rests in green. Phases without calls are skipped; pedestrian
+// phases are on recall, as pedestrians are not detected.
+const updateActuated = (state, intersection) => {
+  const { plan, phaseIndex } = intersection;
+  const actuations = detectVehicles(state, intersection);
+  const green = intersection.interval === 'green';
+
+  const calls = intersection.calls.map((call, i) => {
+    if (green && i === phaseIndex) return false;
+    return call || plan[i].type === 'pedestrian' ||
+      actuations.some(a => servesMovement(plan[i], a.approach, a.movement));
+  });
+
+  if (!green) {
+    return updateClearance(state, { ...intersection, calls });
+  }
+
+  const extended = actuations.some(a => servesMovement(plan[phaseIndex], a.approach, a.movement));
+  const gapTime = extended ? 0 : intersection.gapTime + TIMING.TICK;
+  const next = { ...intersection, calls, gapTime };
+
+  const nextPhaseIndex = findNextCalledPhase(next, calls);
+  if (nextPhaseIndex < 0 || next.phaseTime < ACTUATED_CONTROL.MIN_GREEN) return next;
+
+  if (gapTime >= ACTUATED_CONTROL.PASSAGE_TIME) {
+    return endGreen(state, next, nextPhaseIndex, 'gap-out');
+  }
+  if (next.phaseTime >= plan[phaseIndex].split) {
+    return endGreen(state, next, nextPhaseIndex, 'max-out');
+  }
+  return next;
+};
+
+// Adaptive control - the policies live in adaptive.js
+// Webster runs the plan in order with the splits it optimised at the start of the cycle;
+// max-pressure re-decides every DECISION_INTERVAL after the minimum green
+const updateAdaptive = (state, intersection) => {
+  const next = { ...intersection, demand: estimateDemand(state.time, intersection) };
+  if (next.interval !== 'green') return updateClearance(state, next);
+
+  const { plan, phaseIndex } = next;
+
+  if (next.adaptivePolicy === 'webster') {
+    const split = next.adaptiveSplits ? next.adaptiveSplits[phaseIndex] : plan[phaseIndex].split;
+    if (next.phaseTime < split) return next;
+
+    const nextPhaseIndex = (phaseIndex + 1) % plan.length;
+    const ended = endGreen(state, next, nextPhaseIndex, 'split');
+    if (nextPhaseIndex !== 0) return ended;
+
+    // A new cycle starts with the next phase: optimise it from the current demand
+    const decision = decideByWebster(state, ended);
+    log(state, `Intersection ${intersection.id}: Webster ${decision.summary}`);
+    return { ...ended, adaptiveSplits: decision.splits, adaptiveDecision: decision };
+  }
+
+  if (next.phaseTime < next.nextDecisionTime) return next;
+
+  const decision = decideByPressure(state, next);
+  const decided = { ...next, adaptiveDecision: decision };
+
+  if (decision.phaseIndex !== phaseIndex) {
+    log(state, `Intersection ${intersection.id}: max-pressure ${decision.summary}`);
+    return endGreen(state, decided, decision.phaseIndex, 'max-pressure');
+  }
+  if (next.phaseTime < ADAPTIVE_CONTROL.MAX_GREEN) {
+    return { ...decided, nextDecisionTime: next.phaseTime + ADAPTIVE_CONTROL.DECISION_INTERVAL };
+  }
+
+  // Even the busiest phase gives way at its maximum green - to the next busiest vehicle phase
+  let nextPhaseIndex = (phaseIndex + 1) % plan.length;
+  decision.pressures.forEach((pressure, index) => {
+    if (index !== phaseIndex && pressure > decision.pressures[nextPhaseIndex]) nextPhaseIndex = index;
+  });
+  const maxedOut = {
+    ...decision,
+    phaseIndex: nextPhaseIndex,
+    summary: `${decision.summary} - max green reached → switch to ${plan[nextPhaseIndex].id.toUpperCase()}`
+  };
+  return endGreen(state, { ...next, adaptiveDecision: maxedOut }, nextPhaseIndex, 'max-out');
+};
+
+// Coordinated control - the cycle schedule lives in coordination.js
+// A green ends when the master clock reaches the end of its scheduled green, so the intersection
+// keeps its offset within the shared cycle. Out of step - after preemption or when it joins - it
+// holds its green or clears to the scheduled phase, never before the minimum green, until it is
+// back in step.
+const updateCoordinated = (state, intersection) => {
+  if (intersection.interval !== 'green') return updateClearance(state, intersection);
+
+  const { plan, phaseIndex } = intersection;
+  const scheduled = getScheduledInterval(intersection, state.time);
+  const nextPhaseIndex = scheduled.interval === 'green' ? scheduled.phaseIndex : (scheduled.phaseIndex + 1) % plan.length;
+  if (nextPhaseIndex === phaseIndex || intersection.phaseTime < ACTUATED_CONTROL.MIN_GREEN) return intersection;
+
+  return endGreen(state, intersection, nextPhaseIndex, scheduled.phaseIndex === phaseIndex ? 'split' : 'offset');
+};
+
+// Green left for the current phase before its controller would end it (ms)
+const getRemainingGreen = (state, intersection) => {
+  if (intersection.controller !== 'coordinated') {
+    return intersection.plan[intersection.phaseIndex].split - intersection.phaseTime;
+  }
+  const scheduled = getScheduledInterval(intersection, state.time);
+  return scheduled.phaseIndex === intersection.phaseIndex && scheduled.interval === 'green' ? scheduled.remaining : 0;
+};
+
+// Priority a bus request is granted, or null. A bus served by the current green that would arrive
+// after it ends gets a green extension of up to MAX_EXTENSION; a bus whose phase is next that
+// would arrive before it turns green gets an early green, cutting the current green by up to
+// MAX_EARLY_GREEN but never below the minimum green.
+const grantTransitPriority = (state, intersection, request) => {
+  const { plan, phaseIndex, phaseTime } = intersection;
+  const approach = request.direction.toLowerCase();
+  const arrival = request.eta * 1000;
+  const remaining = getRemainingGreen(state, intersection);
+
+  if (servesMovement(plan[phaseIndex], approach, request.movement)) {
+    if (arrival <= remaining || arrival > remaining + TRANSIT_PRIORITY.MAX_EXTENSION) return null;
+    return { vehicleId: request.vehicleId, kind: 'extension', phaseIndex, until: state.time + remaining + TRANSIT_PRIORITY.MAX_EXTENSION };
+  }
+
+  const nextPhaseIndex = (phaseIndex + 1) % plan.length;
+  if (!servesMovement(plan[nextPhaseIndex], approach, request.movement)) return null;
+  if (arrival >= remaining + intersection.amberDuration + intersection.allRedDuration) return null;
+
+  const cut = Math.min(TRANSIT_PRIORITY.MAX_EARLY_GREEN, remaining, phaseTime + remaining - ACTUATED_CONTROL.MIN_GREEN);
+  if (cut <= 0) return null;
+  return { vehicleId: request.vehicleId, kind: 'early-green', phaseIndex: nextPhaseIndex, until: state.time + remaining - cut };
+};
+
+// Act on the grant: an early green ends the conflicting green once it has been cut short enough
+const applyTransitPriority = (state, intersection) => {
+  const grant = intersection.transitPriority;
+  if (!grant || grant.kind !== 'early-green' || intersection.interval !== 'green') return intersection;
+  if (intersection.phaseIndex === grant.phaseIndex) return { ...intersection, transitPriority: null };
+  if (state.time < grant.until) return intersection;
+
+  return endGreen(state, { ...intersection, transitPriority: null }, grant.phaseIndex, 'early green');
+};
+
+// Transit signal priority for fixed-time and coordinated control
+// A grant lasts until its bus stops requesting (it has passed the intersection), an extension
+// runs out or an early green has ended the conflicting green. Only the nearest bus is
+// considered, and no new grant follows within LOCKOUT of the last one.
+const updateTransitPriority = (state, intersection) => {
+  let grant = intersection.transitPriority;
+  if (grant && !intersection.transitRequests.some(request => request.vehicleId === grant.vehicleId)) {
+    grant = null;
+  }
+
+  const lockedOut = intersection.lastTransitPriorityTime !== null &&
+    state.time - intersection.lastTransitPriorityTime < TRANSIT_PRIORITY.LOCKOUT;
+  if (!grant && !lockedOut && intersection.interval === 'green' && intersection.transitRequests.length > 0) {
+    const nearest = intersection.transitRequests.reduce((a, b) => (b.eta < a.eta ? b : a));
+    grant = grantTransitPriority(state, intersection, nearest);
+    if (grant) {
+      log(state, `🚌 Intersection ${intersection.id}: Transit priority for bus ${grant.vehicleId} - ${grant.kind} for ${intersection.plan[grant.phaseIndex].id.toUpperCase()}`);
+      const granted = { ...intersection, transitPriority: grant, lastTransitPriorityTime: state.time };
+      return applyTransitPriority(state, granted);
+    }
+  }
+
+  return applyTransitPriority(state, { ...intersection, transitPriority: grant });
+};
+
+// Whether a green extension granted to a bus holds the current green
+const isExtendedForTransit = (state, intersection) => {
+  const grant = intersection.transitPriority;
+  return Boolean(grant) && grant.kind === 'extension' && intersection.interval === 'green' &&
+    intersection.phaseIndex === grant.phaseIndex && state.time < grant.until;
+};
+
+// Intersection without preemption
+const clearPreemption = (intersection) => ({
+  ...intersection,
+  emergencyOverride: false,
+  emergencyTurnDirection: null,
+  emergencyApproach: null,
+  emergencyMovement: null,
+  activeEmergencyVehicle: null
+});
+
+// Return to normal operation after preemption
+// Once the emergency vehicle has cleared, the preemption signals clear through amber and all-red
+// into the exit phase, then by the intersection's exit strategy:
+// - interrupted: the phase preemption interrupted gets a fresh green and its controller takes over
+// - dwell: the emergency vehicle's phase holds its green for DWELL_TIME, then the plan continues
+// - short-way / long-way: from the interrupted phase, greens are shortened (by up to
+//   SHORT_WAY_LIMIT of each) or lengthened (by up to LONG_WAY_LIMIT) until the intersection is
+//   back on its cycle schedule - short-way takes whichever way gets there sooner, long-way always
+//   lengthens. Only fixed-time and coordinated control have a schedule; other controllers exit
+//   to the interrupted phase.
+const releasePreemption = (state, intersection) => {
+  const { plan, preemptionExit } = intersection;
+  const scheduled = intersection.controller === 'fixed' || intersection.controller === 'coordinated';
+  const strategy = (preemptionExit === 'short-way' || preemptionExit === 'long-way') && !scheduled
+    ? 'interrupted'
+    : preemptionExit;
+  const exitPhaseIndex = strategy === 'dwell' ? intersection.phaseIndex : intersection.preemptedPhaseIndex;
+
+  log(state, `🚦 Intersection ${intersection.id}: Emergency vehicle cleared - recovering (${strategy}) to ${plan[exitPhaseIndex].id.toUpperCase()} phase`);
+
+  return {
+    ...clearPreemption(intersection),
+    preemptedPhaseIndex: null,
+    nextPhaseIndex: exitPhaseIndex,
+    interval: 'amber',
+    phaseTime: 0,
+    terminationReason: 'preemption',
+    recovery: { strategy, stage: 'clearance', exitPhaseIndex, fromSignals: intersection.signals },
+    signals: getClearanceSignals(intersection.signals, plan[exitPhaseIndex], 'amber')
+  };
+};
+
+// Time (ms) a transition takes out of the cycle to get back in step - negative when it adds time
+const getTransitionCorrection = (state, intersection, strategy) => {
+  const lag = getScheduleLag(intersection, intersection.phaseIndex, state.time);
+  if (lag < TIMING.TICK) return 0;
+
+  const cycleLength = intersection.cycleLength || getNaturalCycleLength(intersection);
+  const shortenCycles = lag / (cycleLength * PREEMPTION_RECOVERY.SHORT_WAY_LIMIT);
+  const lengthenCycles = (cycleLength - lag) / (cycleLength * PREEMPTION_RECOVERY.LONG_WAY_LIMIT);
+  return strategy === 'short-way' && shortenCycles <= lengthenCycles ? lag : lag - cycleLength;
+};
+
+// Green of the current phase during a transition: its scheduled green changed by as much of the
+// correction left as the limits allow, in whole ticks
+const planTransitionGreen = (intersection) => {
+  const { recovery, phaseIndex } = intersection;
+  const green = getScheduledGreens(intersection)[phaseIndex];
+  const change = recovery.correction > 0
+    ? Math.min(recovery.correction, green * PREEMPTION_RECOVERY.SHORT_WAY_LIMIT, Math.max(0, green - ACTUATED_CONTROL.MIN_GREEN))
+    : Math.max(recovery.correction, -green * PREEMPTION_RECOVERY.LONG_WAY_LIMIT);
+  const ticks = Math.sign(change) * Math.floor(Math.abs(change) / TIMING.TICK) * TIMING.TICK;
+
+  return {
+    ...intersection,
+    recovery: { ...recovery, greenTime: green - ticks, correction: recovery.correction - ticks }
+  };
+};
+
+// The exit phase turns green once the preemption signals have cleared
+const startRecoveryGreen = (state, intersection) => {
+  const { recovery } = intersection;
+  const started = startPhase(state, intersection, recovery.exitPhaseIndex);
+
+  if (recovery.strategy === 'dwell') {
+    return { ...started, recovery: { ...recovery, stage: 'dwell', fromSignals: null } };
+  }
+
+  const correction = recovery.strategy === 'interrupted' ? 0 : getTransitionCorrection(state, started, recovery.strategy);
+  if (correction === 0) {
+    return { ...started, recovery: null };
+  }
+
+  log(state, `Intersection ${intersection.id}: ${recovery.strategy} transition - ${correction > 0 ? 'shortening' : 'lengthening'} the cycle by ${(Math.abs(correction) / 1000).toFixed(1)}s`);
+  return planTransitionGreen({ ...started, recovery: { ...recovery, stage: 'transition', fromSignals: null, correction } });
+};
+
+// Advance the recovery by one tick - see releasePreemption
+const updateRecovery = (state, intersection) => {
+  const { recovery, plan, phaseIndex } = intersection;
+
+  if (recovery.stage === 'clearance') {
+    if (intersection.phaseTime < getIntervalDuration(intersection)) return intersection;
+    if (intersection.interval === 'amber') {
+      return {
+        ...intersection,
+        interval: 'all-red',
+        phaseTime: 0,
+        signals: getClearanceSignals(recovery.fromSignals, plan[recovery.exitPhaseIndex], 'all-red')
+      };
+    }
+    return startRecoveryGreen(state, intersection);
+  }
+
+  if (intersection.interval !== 'green') {
+    const next = updateClearance(state, intersection);
+    return next.interval === 'green' ? planTransitionGreen(next) : next;
+  }
+
+  const nextPhaseIndex = (phaseIndex + 1) % plan.length;
+  if (recovery.stage === 'dwell') {
+    if (intersection.phaseTime < PREEMPTION_RECOVERY.DWELL_TIME) return intersection;
+    return endGreen(state, { ...intersection, recovery: null }, nextPhaseIndex, 'dwell');
+  }
+
+  if (intersection.phaseTime < recovery.greenTime) return intersection;
+  const ended = endGreen(state, intersection, nextPhaseIndex, 'transition');
+  if (Math.abs(recovery.correction) >= TIMING.TICK) return ended;
+
+  log(state, `Intersection ${intersection.id}: Back in step with the cycle schedule`);
+  return { ...ended, recovery: null };
+};
+
+// Update traffic signals - advance each intersection's controller by one tick
+// Every phase is followed by its amber and all-red clearance intervals
+export const updateSignals = (state) => {
+  let grants = 0;
+
+  const intersections = state.intersections.map(intersection => {
+    if (!isSignalized(intersection)) return intersection;
+    // A preempted intersection holds its green until the emergency vehicle has cleared
+    if (intersection.emergencyOverride) {
+      return intersection.interval === 'green'
+        ? intersection
+        : updatePreemptionClearance(state, { ...intersection, phaseTime: intersection.phaseTime + TIMING.TICK });
+    }
+
+    let next = { ...intersection, phaseTime: intersection.phaseTime + TIMING.TICK };
+    if (next.recovery) return updateRecovery(state, next);
+
+    if (next.controller === 'fixed' || next.controller === 'coordinated') {
+      next = updateTransitPriority(state, next);
+      if (next.lastTransitPriorityTime === state.time) grants++;
+      if (isExtendedForTransit(state, next)) return next;
+    }
+
+    if (next.controller === 'actuated') {
+      return updateActuated(state, next);
+    }
+    if (next.controller === 'adaptive') {
+      return updateAdaptive(state, next);
+    }
+    if (next.controller === 'coordinated') {
+      return updateCoordinated(state, next);
+    }
+    return next.interval === 'green' ? updateFixedTime(state, next) : updateClearance(state, next);
+  });
+
+  return {
+    ...state,
+    intersections,
+    statistics: { ...state.statistics, transitPriorityGrants: state.statistics.transitPriorityGrants + grants }
+  };
+};
+
+// Switch an intersection's controller: { controller, detection, adaptivePolicy }
+// - controller: 'fixed', 'actuated', 'adaptive' or 'coordinated' (on the intersection's cycle length and offset)
+// - detection: what actuated detectors see, 'loops' (vehicle positions) or 'v2i' (vehicle reports)
+// - adaptivePolicy: 'max-pressure' or 'webster'
+export const setSignalController = (state, intersectionId, { controller, detection = 'loops', adaptivePolicy = 'max-pressure' }) => ({
+  ...state,
+  intersections: state.intersections.map(intersection => (
+    intersection.id === intersectionId && isSignalized(intersection)
+      ? {
+        ...intersection,
+        controller,
+        detection,
+        adaptivePolicy,
+        gapTime: 0,
+        calls: intersection.plan.map(() => false),
+        transitPriority: null,
+        nextDecisionTime: ACTUATED_CONTROL.MIN_GREEN,
+        adaptiveSplits: null,
+        adaptiveDecision: null,
+        // A transition follows the schedule of the controller it started under
+        recovery: intersection.recovery && intersection.recovery.stage === 'transition' ? null : intersection.recovery
+      }
+      : intersection
+  ))
+});
+
+// Choose how an intersection returns to normal operation after preemption: 'interrupted',
+// 'short-way', 'long-way' or 'dwell' (see releasePreemption). Throws for other strategies.
+export const setPreemptionExit = (state, intersectionId, preemptionExit) => {
+  assertPreemptionExit(preemptionExit);
+  return {
+    ...state,
+    intersections: state.intersections.map(intersection => (
+      intersection.id === intersectionId ? { ...intersection, preemptionExit } : intersection
+    ))
+  };
+};
+
+const getDistance = (vehicle, intersection) => Math.sqrt(
+  Math.pow(vehicle.x - intersection.x, 2) +
+  Math.pow(vehicle.y - intersection.y, 2)
+);
+
+// Open priority requests an intersection decides on: those of emergency vehicles heading for it
+// within DETECTION_DISTANCE - { vehicle, status, approach, movement, distance, eta, rank }
+// A vehicle first detected closer than PREEMPTION_MIN_DISTANCE is too close for preemption to help,
+// but a vehicle already answered stays in the decision until it has passed
+const getPreemptionRequests = (intersection, emergencyVehicles) => intersection.priorityRequests
+  .filter(isOpenRequest)
+  .map(request => ({ request, ev: emergencyVehicles.find(ev => ev.id === request.vehicleId) }))
+  .filter(({ ev }) => ev && isAhead(ev, intersection))
+  .map(({ request, ev }) => ({ request, ev, distance: getDistance(ev, intersection) }))
+  .filter(({ request, distance }) => distance < VEHICLE_CONSTANTS.DETECTION_DISTANCE &&
+    (distance > VEHICLE_CONSTANTS.PREEMPTION_MIN_DISTANCE || request.status !== 'requested'))
+  .map(({ request, ev, distance }) => ({
+    vehicle: ev,
+    status: request.status,
+    approach: ev.direction.toLowerCase(),
+    movement: getMovement(ev, intersection.id),
+    distance,
+    eta: distance / (ev.speed > 0 ? ev.speed : getDriverModel(ev.type).desiredSpeed),
+    rank: EMERGENCY_PRIORITY_RANKING[ev.type]
+  }));
+
+// Arbitration between emergency vehicles requesting the same intersection
+// The vehicle being served keeps the intersection until it is EMERGENCY_CLEAR_DISTANCE away;
+// otherwise the best-ranked request wins (firetruck, ambulance, police), the earliest arrival
+// breaking ties. Requests whose movement the winner's preemption signals also serve go with it,
+// every other request is rejected and is granted once the winner has cleared.
+// Returns the winner ({ vehicle, status, approach, movement }, or null) and the decision on each
+// request ('granted' or 'rejected', by vehicle id).
+const arbitratePreemption = (intersection, requests, emergencyVehicles) => {
+  const decisions = new Map();
+  const served = intersection.emergencyOverride &&
+    emergencyVehicles.find(ev => ev.id === intersection.activeEmergencyVehicle);
+  const ranked = [...requests].sort((a, b) => a.rank - b.rank || a.eta - b.eta);
+
+  let winner = ranked[0] || null;
+  if (served && getDistance(served, intersection) <= VEHICLE_CONSTANTS.EMERGENCY_CLEAR_DISTANCE) {
+    winner = { vehicle: served, status: 'active', approach: intersection.emergencyApproach, movement: intersection.emergencyMovement };
+  }
+  if (!winner) return { winner: null, decisions };
+
+  const signals = getPreemptionSignals(winner.approach);
+  ranked.forEach(request => {
+    const goes = request.vehicle.id === winner.vehicle.id || isGoSignal(signals[request.approach][request.movement]);
+    decisions.set(request.vehicle.id, goes ? 'granted' : 'rejected');
+  });
+
+  return { winner, decisions };
+};
+
+// Phase an intersection was serving, or about to serve, when preemption started
+const getInterruptedPhaseIndex = (intersection) => {
+  if (intersection.emergencyOverride) return intersection.preemptedPhaseIndex;
+  if (intersection.recovery && intersection.recovery.stage === 'clearance') return intersection.recovery.exitPhaseIndex;
+  return intersection.interval === 'green' ? intersection.phaseIndex : intersection.nextPhaseIndex;
+};
+
+// Phase shown while an intersection is preempted: the one of the plan serving the emergency
+// vehicle's movement, otherwise its approach's through movement
+const findPreemptionPhaseIndex = (intersection) => {
+  const { plan, emergencyApproach, emergencyMovement } = intersection;
+  const movementIndex = findMovementPhaseIndex(plan, emergencyApproach, emergencyMovement);
+  const throughIndex = findThroughPhaseIndex(plan, emergencyApproach);
+  return [movementIndex, throughIndex, intersection.phaseIndex].find(index => index >= 0);
+};
+
+// The preempted approach turns green once everything else has cleared
+const startPreemptionGreen = (intersection) => {
+  const phaseIndex = findPreemptionPhaseIndex(intersection);
+
+  return {
+    ...intersection,
+    phaseIndex,
+    currentPhase: intersection.plan[phaseIndex].id,
+    nextPhaseIndex: null,
+    interval: 'green',
+    phaseTime: 0,
+    signals: getPreemptionSignals(intersection.emergencyApproach)
+  };
+};
+
+// Advance the clearance into a preemption by one tick - see preempt
+const updatePreemptionClearance = (state, intersection) => {
+  if (intersection.phaseTime < getIntervalDuration(intersection)) return intersection;
+
+  if (intersection.interval === 'amber') {
+    return {
+      ...intersection,
+      interval: 'all-red',
+      phaseTime: 0,
+      signals: getPreemptionClearanceSignals(intersection.signals, intersection.emergencyApproach, 'all-red')
+    };
+  }
+
+  log(state, `🚦 Intersection ${intersection.id}: Cleared - ${intersection.emergencyApproach.toUpperCase()} approach GREEN for emergency vehicle ${intersection.activeEmergencyVehicle}`);
+  return startPreemptionGreen(intersection);
+};
+
+// Preempt an intersection's signals for the approach the winner comes from
+// Heads that preemption turns red clear through amber and all-red before the approach turns
+// green: a head showing green or permissive starts a fresh amber, otherwise clearance already
+// under way runs to its end. Only an intersection whose heads already match goes straight to green.
+const preempt = (state, intersection, winner) => {
+  const ev = winner.vehicle;
+  const { approach, movement } = winner;
+
+  log(state, `
+═══════════════════════════════════════════════════
+EMERGENCY PRIORITY ACTIVATED
+═══════════════════════════════════════════════════
+Intersection: ${intersection.id}
+Emergency Vehicle: ${ev.id} (${ev.type})
+Direction: ${ev.direction}
+Turn: ${ev.turnDirection}
+Approach: ${approach.toUpperCase()} ${movement.toUpperCase()} GREEN
+═══════════════════════════════════════════════════
+    `);
+
+  // Preemption always supersedes transit priority
+  if (intersection.transitPriority) {
+    log(state, `🚌 Intersection ${intersection.id}: Transit priority for bus ${intersection.transitPriority.vehicleId} superseded by emergency preemption`);
+  }
+
+  // A new preemption also cancels a recovery still in progress
+  const preempted = {
+    ...intersection,
+    emergencyOverride: true,
+    activeEmergencyVehicle: ev.id,
+    emergencyApproach: approach,
+    emergencyMovement: movement,
+    preemptedPhaseIndex: getInterruptedPhaseIndex(intersection),
+    recovery: null,
+    transitPriority: null,
+    nextPhaseIndex: null,
+    emergencyTurnDirection: ev.turnDirection
+  };
+
+  const preemptionSignals = getPreemptionSignals(approach);
+  const losesRightOfWay = APPROACHES.some(side => MOVEMENTS.some(head =>
+    isGoSignal(intersection.signals[side][head]) && preemptionSignals[side][head] === SIGNAL_PHASES.RED));
+  if (losesRightOfWay) {
+    return {
+      ...preempted,
+      interval: 'amber',
+      phaseTime: 0,
+      terminationReason: 'preemption',
+      signals: getPreemptionClearanceSignals(intersection.signals, approach, 'amber')
+    };
+  }
+  if (intersection.interval !== 'green') {
+    return { ...preempted, signals: getPreemptionClearanceSignals(intersection.signals, approach, intersection.interval) };
+  }
+  return startPreemptionGreen(preempted);
+};
+
+// Status each open request moves to this tick (by vehicle id): completed once its vehicle has
+// passed the intersection - unless it is still being served - or left the network, active while
+// the intersection is preempted for it, otherwise the arbitration decision
+const decideRequestStatuses = (intersection, decisions, emergencyVehicles) => {
+  const statuses = new Map();
+  intersection.priorityRequests.filter(isOpenRequest).forEach(request => {
+    const ev = emergencyVehicles.find(vehicle => vehicle.id === request.vehicleId);
+    const served = intersection.emergencyOverride && intersection.activeEmergencyVehicle === request.vehicleId;
+
+    if (!ev || (!served && !isAhead(ev, intersection))) {
+      statuses.set(request.vehicleId, 'completed');
+    } else if (served) {
+      statuses.set(request.vehicleId, 'active');
+    } else if (decisions.has(request.vehicleId)) {
+      statuses.set(request.vehicleId, decisions.get(request.vehicleId));
+    }
+  });
+  return statuses;
+};
+
+// Emergency vehicle priority system
+// Each signalized intersection arbitrates between the emergency vehicles whose priority requests
+// it has received (see inbox.js), preempts its signals for the approach of the winner once it
+// has granted its request, and answers every change of a request's status with an SSM - repeated
+// for every open request with each V2I broadcast - over the radio channel (see channel.js and
+// receiveSignalStatus). Emergency vehicles told that their request is rejected stop at the stop
+// line until they hear it is granted - a rejection counts as a conflict. Once no emergency
+// vehicle needs the intersection it recovers by its exit strategy.
+// Without `respond` only preemption and arbitration are brought up to date - request statuses
+// and their SSMs are left to the next tick, whose broadcast may already have gone out at this time.
+export const applyEmergencyPriority = (state, respond = true) => {
+  const emergencyVehicles = state.vehicles.filter(v => v.isEmergency);
+  const preemptionLogged = emergencyVehicles.length > 0 ? { ...state.preemptionLogged } : {};
+  const repeat = state.time % TIMING.V2I_BROADCAST_INTERVAL === 0;
+  const statusMessages = [];
+  const transmissions = [];
+  let changes = [];
+
+  const intersections = state.intersections.map(intersection => {
+    if (!isSignalized(intersection)) return intersection;
+
+    const requests = getPreemptionRequests(intersection, emergencyVehicles);
+
+    // Log preemption once per vehicle per intersection
+    requests.forEach(({ vehicle: ev, distance }) => {
+      const logKey = `${ev.id}-${intersection.id}`;
+      if (distance > VEHICLE_CONSTANTS.PREEMPTION_DISTANCE && !preemptionLogged[logKey]) {
+        log(state, `🚦 Emergency vehicle ${ev.type} detected ${distance.toFixed(0)}px from intersection ${intersection.id} - Starting signal preemption`);
+        preemptionLogged[logKey] = true;
+      }
+    });
+
+    const { winner, decisions } = arbitratePreemption(intersection, requests, emergencyVehicles);
+
+    let next = intersection;
+    if (!winner) {
+      next = intersection.emergencyOverride ? releasePreemption(state, intersection) : clearPreemption(intersection);
+    } else if (winner.status === 'granted') {
+      next = preempt(state, intersection, winner);
+    }
+    // Otherwise the winner is already served, or its request is granted first - a preemption in
+    // progress holds until then
+    if (!respond) return next;
+
+    const updated = updateRequests(state, next, decideRequestStatuses(next, decisions, emergencyVehicles), repeat);
+    changes = [...changes, ...updated.changed];
+    if (updated.message) {
+      statusMessages.push(updated.message);
+      // Sent to every vehicle it answers that is still on the network
+      readSignalStatus(updated.message).forEach(({ vehicleId }) => {
+        const vehicle = state.vehicles.find(v => v.id === vehicleId);
+        if (vehicle) transmissions.push(createLinkTransmission('I2V', updated.message, vehicle, next));
+      });
+    }
+    return updated.intersection;
+  });
+
+  const emergencyActive = emergencyVehicles.length > 0 && state.emergencyActive;
+  if (!respond) return { ...state, intersections, emergencyActive, preemptionLogged };
+
+  const { channel, outcomes } = transmit(state.channel, state.time, state.spatialIndex.vehicles, transmissions);
+
+  return {
+    ...state,
+    intersections,
+    channel,
+    emergencyActive,
+    preemptionLogged,
+    i2vMessages: [
+      ...state.i2vMessages.filter(message => state.time - message.time < INTERSECTION_INBOX.RESPONSE_DISPLAY_TIME),
+      ...transmissions.map((transmission, index) => ({
+        message: transmission.frame,
+        vehicleId: transmission.vehicleId,
+        outcome: outcomes[index],
+        time: state.time
+      }))
+    ],
+    capturedMessages: captureMessages(state.capturedMessages, state.time, statusMessages),
+    statistics: {
+      ...state.statistics,
+      emergencyConflicts: state.statistics.emergencyConflicts + changes.filter(request => request.status === 'rejected').length,
+      i2vResponses: state.statistics.i2vResponses + changes.length
+    }
+  };
+};
@@ -0,0 +1,173 @@
+import { addVehicle, createSimulation, removeVehicle, setSignalController, tick } from './engine';
+import { ACTUATED_CONTROL, SIGNAL_PHASES, TIMING } from './constants';
+import { NETWORKS } from './networks';
+import { addCarOnRoute, addVehicleOnRoute, updateVehicle } from './testHelpers';
+
+describe('preemption', () => {
+  // T-junction: intersection 1 starts its east-west green while a westbound emergency vehicle
+  // waits 180 px east of it, so the eastbound heads have to clear before it is preempted
+  const setUp = () => {
+    const state = createSimulation({ logging: false, network: NETWORKS.tJunction });
+    return addVehicleOnRoute(state, 'emergency', vehicle => vehicle.direction === 'WEST');
+  };
+
+  // The intersection's heads from the tick preemption starts until its approach turns green
+  const runPreemption = ({ state, vehicle }) => {
+    const changes = [];
+    let next = state;
+    for (let time = 0; time < 30000; time += TIMING.TICK) {
+      next = tick(updateVehicle(next, vehicle.id, { x: next.intersections[0].x + 180, speed: 0 }));
+      const intersection = next.intersections[0];
+      if (!intersection.emergencyOverride) continue;
+
+      const last = changes[changes.length - 1];
+      if (!last || last.interval !== intersection.interval) {
+        changes.push({ interval: intersection.interval, time: next.time, signals: intersection.signals });
+      }
+      if (intersection.interval === 'green') break;
+    }
+    return changes;
+  };
+
+  test('the conflicting green clears through amber and all-red before the preempted approach gets its green', () => {
+    const scenario = setUp();
+    const [intersection] = scenario.state.intersections;
+    expect(intersection.signals.east.through).toBe(SIGNAL_PHASES.GREEN);
+    expect(intersection.signals.west.left).toBe(SIGNAL_PHASES.PERMISSIVE);
+
+    const changes = runPreemption(scenario);
+    expect(changes.map(change => change.interval)).toEqual(['amber', 'all-red', 'green']);
+
+    const [amber, allRed, green] = changes;
+    expect(amber.signals.east.through).toBe(SIGNAL_PHASES.YELLOW);
+    expect(amber.signals.east.left).toBe(SIGNAL_PHASES.YELLOW);
+    // The preempted approach keeps its indication while the others clear
+    expect(amber.signals.west.through).toBe(SIGNAL_PHASES.GREEN);
+    expect(amber.signals.west.left).toBe(SIGNAL_PHASES.PERMISSIVE);
+    expect(allRed.time - amber.time).toBe(TIMING.AMBER_DURATION);
+    expect(allRed.signals.east.through).toBe(SIGNAL_PHASES.RED);
+    expect(allRed.signals.east.left).toBe(SIGNAL_PHASES.RED);
+    expect(green.time - allRed.time).toBe(TIMING.ALL_RED_DURATION);
+    expect(green.signals.west.left).toBe(SIGNAL_PHASES.GREEN);
+    expect(green.signals.east.through).toBe(SIGNAL_PHASES.RED);
+  });
+});
+
+describe('arbitration', () => {
+  // Grid: two emergency vehicles wait on conflicting approaches to intersection 1, one coming west
+  // from E1 and one south from N1, each `distance` px from its centre
+  const arbitrate = (west, south) => {
+    let state = createSimulation({ logging: false, network: NETWORKS.grid });
+    const intersection = state.intersections.find(candidate => candidate.id === 1);
+    const held = [[west, 'E1', 'x', 1], [south, 'N1', 'y', -1]].map(([{ type, distance }, origin, axis, sign]) => {
+      const added = addVehicleOnRoute(state, type, vehicle => vehicle.route.origin === origin);
+      const changes = { [axis]: intersection[axis] + sign * distance, speed: 0 };
+      // Moved off its entry at once, so the next vehicle can spawn there
+      state = updateVehicle(added.state, added.vehicle.id, changes);
+      return { id: added.vehicle.id, changes };
+    });
+
+    for (let time = 0; time < 2000; time += TIMING.TICK) {
+      state = tick(held.reduce((current, { id, changes }) => updateVehicle(current, id, changes), state));
+    }
+    const arbitrated = state.intersections.find(candidate => candidate.id === 1);
+    const status = ({ id }) => arbitrated.priorityRequests.find(request => request.vehicleId === id).status;
+    return { state, intersection: arbitrated, statuses: held.map(status) };
+  };
+
+  test('the better-ranked vehicle wins even if it arrives later', () => {
+    const { state, intersection, statuses } = arbitrate({ type: 'police', distance: 100 }, { type: 'firetruck', distance: 180 });
+    expect(intersection.emergencyApproach).toBe('south');
+    expect(statuses).toEqual(['rejected', 'active']);
+    expect(state.statistics.emergencyConflicts).toBe(1);
+  });
+
+  test('between vehicles of the same rank the earlier arrival wins', () => {
+    const { intersection, statuses } = arbitrate({ type: 'emergency', distance: 180 }, { type: 'emergency', distance: 100 });
+    expect(intersection.emergencyApproach).toBe('south');
+    expect(statuses).toEqual(['rejected', 'active']);
+
+    const reversed = arbitrate({ type: 'emergency', distance: 100 }, { type: 'emergency', distance: 180 });
+    expect(reversed.intersection.emergencyApproach).toBe('west');
+    expect(reversed.statuses).toEqual(['active', 'rejected']);
+  });
+});
+
+describe('emergency priority outside a tick', () => {
+  test('adding or removing a vehicle at a broadcast time sends no second SSM', () => {
+    const { state, vehicle } = addVehicleOnRoute(
+      createSimulation({ logging: false, network: NETWORKS.tJunction }), 'emergency', candidate => candidate.direction === 'WEST'
+    );
+    let next = state;
+    for (let time = 0; time < 3000; time += TIMING.TICK) {
+      next = tick(updateVehicle(next, vehicle.id, { x: next.intersections[0].x + 180, speed: 0 }));
+    }
+    expect(next.time % TIMING.V2I_BROADCAST_INTERVAL).toBe(0);
+    expect(next.intersections[0].priorityRequests).toHaveLength(1);
+
+    const sent = next.channel.stats.I2V.sent;
+    expect(sent).toBeGreaterThan(0);
+    const added = addVehicle(next, 'car');
+    expect(added.vehicles).toHaveLength(2);
+    expect(added.channel.stats.I2V.sent).toBe(sent);
+    expect(removeVehicle(added, added.vehicles[1].id).channel.stats.I2V.sent).toBe(sent);
+  });
+});
+
+describe('actuated control', () => {
+  // T-junction under actuated control, with cars that do not turn left held on the detectors of
+  // the approaches `waiting` names: { [direction]: distance of the car's centre upstream of the stop line }
+  const setUp = (signalPlan, waiting) => {
+    let state = setSignalController(
+      createSimulation({ logging: false, network: NETWORKS.tJunction, signalPlan }), 1, { controller: 'actuated' }
+    );
+    const held = Object.entries(waiting).map(([direction, upstream]) => {
+      const added = addCarOnRoute(state, vehicle => vehicle.direction === direction && vehicle.turnDirection !== 'left');
+      state = added.state;
+      return { id: added.vehicle.id, direction, upstream };
+    });
+    return { state, held };
+  };
+
+  // Greens the intersection shows within `duration` ms: [{ phase, time, reason }], where reason
+  // is why the green before it ended
+  const runGreens = ({ state, held }, duration) => {
+    const line = (direction) => state.roadGrid.getIntersectionEntryPosition(state.intersections[0], direction);
+    const sign = { NORTH: 1, SOUTH: -1, EAST: -1, WEST: 1 };
+    const greens = [{ phase: state.intersections[0].currentPhase, time: 0, reason: null }];
+    let next = state;
+    for (let time = 0; time < duration; time += TIMING.TICK) {
+      const previous = next.intersections[0];
+      next = tick(held.reduce((current, { id, direction, upstream }) => {
+        const position = line(direction) + sign[direction] * upstream;
+        return updateVehicle(current, id, direction === 'EAST' || direction === 'WEST' ? { x: position, speed: 0 } : { y: position, speed: 0 });
+      }, next));
+      const intersection = next.intersections[0];
+      if (intersection.interval === 'green' && previous.interval !== 'green') {
+        greens.push({ phase: intersection.currentPhase, time: next.time, reason: intersection.terminationReason });
+      }
+    }
+    return greens;
+  };
+
+  test('without calls an intersection rests in green', () => {
+    const greens = runGreens(setUp('two-phase', {}), 60000);
+    expect(greens).toEqual([{ phase: 'east-west', time: 0, reason: null }]);
+  });
+
+  test('an empty green gaps out after its minimum green and phases without calls are skipped', () => {
+    // Only the northbound right turn calls - the north-south protected lefts do not
+    const greens = runGreens(setUp('eight-phase', { NORTH: 10 }), 15000);
+    expect(greens.map(green => green.phase)).toEqual(['east-west', 'north-south']);
+    expect(greens[1].reason).toBe('gap-out');
+    expect(greens[1].time).toBe(ACTUATED_CONTROL.MIN_GREEN + TIMING.AMBER_DURATION + TIMING.ALL_RED_DURATION);
+  });
+
+  test('a green that keeps being actuated maxes out at its split', () => {
+    const state = setUp('two-phase', { NORTH: 10, EAST: ACTUATED_CONTROL.ADVANCE_DETECTOR_DISTANCE });
+    const greens = runGreens(state, 40000);
+    expect(greens[1].phase).toBe('north-south');
+    expect(greens[1].reason).toBe('max-out');
+    expect(greens[1].time).toBe(TIMING.PHASE_DURATION + TIMING.AMBER_DURATION + TIMING.ALL_RED_DURATION);
+  });
+});
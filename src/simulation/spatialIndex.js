@@ -0,0 +1,54 @@
+import { SPATIAL_INDEX } from './constants';
+
+// Uniform grid over the positions of vehicles or intersections
+// Items are bucketed by the cell containing their (x, y), so a radius query only has to look at
+// the few cells the circle overlaps instead of every item in the simulation.
+// The index holds the item objects it was built from - rebuild it whenever positions change.
+
+const cellKey = (column, row) => `${column},${row}`;
+
+export const createSpatialIndex = (items, cellSize = SPATIAL_INDEX.CELL_SIZE) => {
+  const cells = new Map();
+
+  items.forEach(item => {
+    const key = cellKey(Math.floor(item.x / cellSize), Math.floor(item.y / cellSize));
+    const cell = cells.get(key);
+    if (cell) {
+      cell.push(item);
+    } else {
+      cells.set(key, [item]);
+    }
+  });
+
+  return { cellSize, cells };
+};
+
+// Items whose position lies within `radius` of a point, including an item at the point itself
+export const queryRadius = (index, point, radius) => {
+  const { cellSize, cells } = index;
+  const results = [];
+  const radiusSquared = radius * radius;
+
+  const minColumn = Math.floor((point.x - radius) / cellSize);
+  const maxColumn = Math.floor((point.x + radius) / cellSize);
+  const minRow = Math.floor((point.y - radius) / cellSize);
+  const maxRow = Math.floor((point.y + radius) / cellSize);
+
+  for (let column = minColumn; column <= maxColumn; column++) {
+    for (let row = minRow; row <= maxRow; row++) {
+      const cell = cells.get(cellKey(column, row));
+      if (!cell) continue;
+
+      // Squared distances - this runs for every item near every vehicle each tick
+      for (const item of cell) {
+        const dx = item.x - point.x;
+        const dy = item.y - point.y;
+        if (dx * dx + dy * dy <= radiusSquared) {
+          results.push(item);
+        }
+      }
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,24 @@
+import { createSpatialIndex, queryRadius } from './spatialIndex';
+import { createRandom, nextRandom } from './random';
+
+describe('queryRadius', () => {
+  // Items scattered over an area a few cells wide, on both sides of the origin
+  const random = createRandom(11);
+  const items = Array.from({ length: 400 }, (_, id) => ({ id, x: nextRandom(random) * 900 - 300, y: nextRandom(random) * 700 - 200 }));
+  const index = createSpatialIndex(items);
+
+  test.each([
+    [{ x: 0, y: 0 }, 150],
+    [{ x: 250, y: 120 }, 60],
+    [{ x: -290, y: -190 }, 300],
+    [{ x: 100, y: 100 }, 0]
+  ])('finds the same items around %j within %d px as a scan of every item', (point, radius) => {
+    const expected = items.filter(item => Math.hypot(item.x - point.x, item.y - point.y) <= radius).map(item => item.id);
+    expect(queryRadius(index, point, radius).map(item => item.id).sort((a, b) => a - b)).toEqual(expected);
+  });
+
+  test('includes an item at the point itself and at exactly the radius', () => {
+    const onEdge = createSpatialIndex([{ id: 'centre', x: 50, y: 50 }, { id: 'edge', x: 150, y: 50 }, { id: 'out', x: 151, y: 50 }]);
+    expect(queryRadius(onEdge, { x: 50, y: 50 }, 100).map(item => item.id).sort()).toEqual(['centre', 'edge']);
+  });
+});
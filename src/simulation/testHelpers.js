@@ -0,0 +1,30 @@
+import { addVehicle } from './engine';
+import { getFootprint, getFootprintGap, getIntersectionBox } from './geometry';
+
+// Scenarios for the simulation tests: vehicles are spawned as usual and then moved where the
+// test needs them
+
+// Add vehicles of a type until one takes a route `matches` accepts, leaving out the others
+export const addVehicleOnRoute = (state, type, matches) => {
+  let next = state;
+  for (let attempt = 0; attempt < 500; attempt++) {
+    const added = addVehicle(next, type);
+    if (added.vehicles.length === next.vehicles.length) throw new Error('The entry is blocked');
+    const vehicle = added.vehicles[added.vehicles.length - 1];
+    if (matches(vehicle)) return { state: added, vehicle };
+    next = { ...added, vehicles: next.vehicles };
+  }
+  throw new Error(`No ${type} took a matching route`);
+};
+
+export const addCarOnRoute = (state, matches) => addVehicleOnRoute(state, 'car', matches);
+
+export const updateVehicle = (state, id, changes) => ({
+  ...state,
+  vehicles: state.vehicles.map(vehicle => (vehicle.id === id ? { ...vehicle, ...changes } : vehicle))
+});
+
+export const findVehicle = (state, id) => state.vehicles.find(vehicle => vehicle.id === id);
+
+// Whether any part of a vehicle is inside an intersection box
+export const isInBox = (vehicle, intersection) => getFootprintGap(getFootprint(vehicle), getIntersectionBox(intersection)) < 0;
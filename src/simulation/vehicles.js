@@ -0,0 +1,969 @@
+import { CAR_FOLLOWING, EMERGENCY_YIELD, LANE_CHANGE, SIGNAL_PHASES, TIMING, VEHICLE_CONSTANTS } from './constants';
+import { getDriverModel, idmAcceleration, integrateMotion } from './carFollowing';
+import {
+  createTurnPath,
+  findIntersectionsInPath,
+  getFootprint,
+  getFootprintGap,
+  getIntersectionBox,
+  isAhead,
+  isInIntersection,
+  isOnRoadThrough,
+  TURN_TARGETS
+} from './geometry';
+import { getCurbSide, isVerticalDirection } from './RoadGrid';
+import { getAllRoutes, getTurnRoutes, planRoute } from './routing';
+import { getMovementSignal } from './signals';
+import { isBoxOccupied, isOncomingGapTooShort } from './conflicts';
+import { getMovement } from './signalPlans';
+import { log } from './log';
+import { recordTrips } from './metrics';
+import { nextRandom, pickRandom } from './random';
+import { queryRadius } from './spatialIndex';
+
+// Turn directions an emergency vehicle can be spawned with
+export const TURN_DIRECTIONS = ['straight', 'left', 'right'];
+
+// Pass as the turn direction to let the simulation pick one of TURN_DIRECTIONS
+export const RANDOM_TURN = 'random';
+
+export const isEmergencyType = (type) => type === 'emergency' || type === 'firetruck' || type === 'police';
+
+// Boxed console output used for emergency vehicle debug logging
+const padText = (text, label = '') => {
+  const boxWidth = 44;
+  const fullText = label ? `${label}: ${text}` : text;
+  return fullText.padEnd(boxWidth - 4);
+};
+
+// Where a routed vehicle heads on a leg of its route: the edge of the intersection it turns at,
+// or the end of the road where it leaves the network
+const getLegTarget = (state, route, legIndex, lane) => {
+  const { roadGrid, intersections } = state;
+  const leg = route.legs[legIndex];
+  const turn = route.turns[legIndex];
+
+  if (turn) {
+    const intersection = intersections.find(i => i.id === turn.intersectionId);
+    return roadGrid.getLanePoint(leg.roadIndex, lane, leg.direction, roadGrid.getIntersectionEntryPosition(intersection, leg.direction));
+  }
+
+  const road = roadGrid.getRoads(leg.direction)[leg.roadIndex];
+  return roadGrid.getLanePoint(leg.roadIndex, lane, leg.direction, roadGrid.getExitPosition(road, leg.direction));
+};
+
+// Turn a vehicle makes at the end of its current leg, or null when the leg leaves the network
+const getRouteTurn = (vehicle) => vehicle.route.turns[vehicle.routeLeg] || null;
+
+// Lane a vehicle needs on a leg: left turns are made from the inner lane and right turns from
+// the curb lane (lane 1); on a leg that leaves the network it keeps the preferred lane
+const getLaneForTurn = (roadGrid, leg, turn, preferredLane) => {
+  const road = roadGrid.getRoads(leg.direction)[leg.roadIndex];
+  const laneCount = Math.max(roadGrid.getLaneCount(road, leg.direction), 1);
+
+  if (!turn) return Math.min(preferredLane, laneCount);
+  return turn.turnDirection === 'left' ? laneCount : 1;
+};
+
+// Helper function to calculate lane center for strict lane discipline using RoadGrid
+// A vehicle pulled over keeps its lateral offset towards the curb
+const calculateLanePosition = (roadGrid, vehicle) => {
+  // Return the exact X or Y coordinate where the vehicle should be centered in its lane
+  // Using the RoadGrid system for precise positioning
+  const offset = getCurbSide(vehicle.direction) * vehicle.lateralOffset;
+
+  // For vehicles moving straight (not in an intersection turning)
+  if (!vehicle.path || vehicle.pathIndex >= vehicle.path.length) {
+    // Vehicle is moving straight - enforce strict lane position using RoadGrid
+    const roadIndex = vehicle.currentRoadIndex !== undefined ? vehicle.currentRoadIndex : 0;
+    if (vehicle.direction === 'NORTH' || vehicle.direction === 'SOUTH') {
+      // For vertical movement, lock X position to lane using RoadGrid
+      const laneX = roadGrid.getVerticalRoadLaneX(roadIndex, vehicle.lane, vehicle.direction) + offset;
+      return { lockAxis: 'x', position: laneX };
+    } else {
+      // For horizontal movement, lock Y position to lane using RoadGrid
+      const laneY = roadGrid.getHorizontalRoadLaneY(roadIndex, vehicle.lane, vehicle.direction) + offset;
+      return { lockAxis: 'y', position: laneY };
+    }
+  }
+
+  // Vehicle is following a path (likely turning)
+  return null; // Allow free movement during turns
+};
+
+// Move a vehicle the given distance towards its target while enforcing lane discipline
+const advanceInLane = (roadGrid, vehicle, distance, angle) => {
+  let newX = vehicle.x + Math.cos(angle) * distance;
+  let newY = vehicle.y + Math.sin(angle) * distance;
+
+  // CRITICAL FIX #4: Enforce strict lane discipline
+  // Vehicles must stay centered in their lane unless turning at intersection
+  const lanePosition = calculateLanePosition(roadGrid, vehicle);
+  if (lanePosition) {
+    if (lanePosition.lockAxis === 'x') {
+      // Lock X position for vertical roads (North/South movement)
+      newX = lanePosition.position;
+    } else if (lanePosition.lockAxis === 'y') {
+      // Lock Y position for horizontal roads (East/West movement)
+      newY = lanePosition.position;
+    }
+  }
+
+  return { x: newX, y: newY };
+};
+
+// Closest of the candidate vehicles a turning vehicle would run into along the rest of its turn
+// path, with the distance it covers before its footprint touches theirs. Only vehicles in its
+// approach or exit direction count - crossing ones are kept apart at the box (see conflicts.js) -
+// and of those it already touches only the ones ahead of it.
+const findLeaderOnPath = (candidates, vehicle) => {
+  const current = getFootprint(vehicle);
+  const others = candidates
+    .filter(other => other.id !== vehicle.id && (other.direction === vehicle.direction || other.direction === vehicle.turnTo))
+    .map(other => ({ other, footprint: getFootprint(other) }))
+    .filter(({ other, footprint }) => getFootprintGap(current, footprint) >= 0 || isAhead(vehicle, other));
+
+  let travelled = 0;
+  let previous = vehicle;
+  for (let index = vehicle.pathIndex; index < vehicle.path.length && travelled < CAR_FOLLOWING.LEADER_LOOKAHEAD; index++) {
+    const point = vehicle.path[index];
+    const direction = index === vehicle.path.length - 1 ? vehicle.turnTo : vehicle.direction;
+    const footprint = getFootprint({ ...vehicle, direction }, point.x, point.y);
+    const hit = others.find(candidate => getFootprintGap(footprint, candidate.footprint) < 0);
+    if (hit) return { vehicle: hit.other, gap: travelled, speed: hit.other.speed };
+    travelled += Math.hypot(point.x - previous.x, point.y - previous.y);
+    previous = point;
+  }
+  return null;
+};
+
+// Whether a vehicle sits on the shoulder, or is moving onto it, to let an emergency vehicle pass
+// One that is fully on it stays there until it starts back into its lane, so the vehicles that
+// came alongside meanwhile can drive on and make room for it
+const isOnShoulder = (vehicle) => vehicle.lane === 1 && vehicle.lateralOffset > 0 &&
+  (vehicle.lateralOffset >= EMERGENCY_YIELD.PULL_OVER_OFFSET || vehicle.status === 'pulling over' || vehicle.status === 'yielding');
+
+// Sideways distance from a vehicle to the span another one in its direction takes up: its
+// position, and while it moves sideways into a lane everything up to that lane's centre - a
+// vehicle moving onto the shoulder only takes up where it is
+const getLateralDistance = (vehicle, other) => {
+  const own = isVerticalDirection(vehicle.direction) ? vehicle.x : vehicle.y;
+  const position = isVerticalDirection(vehicle.direction) ? other.x : other.y;
+  if (!other.lateralOffset || isOnShoulder(other)) return Math.abs(position - own);
+
+  const laneCenter = position - getCurbSide(other.direction) * other.lateralOffset;
+  return Math.max(0, Math.min(position, laneCenter) - own, own - Math.max(position, laneCenter));
+};
+
+// Closest of the candidate vehicles ahead in the same lane and direction, with the bumper-to-bumper gap to it
+// Vehicles count as in the same lane while their footprints overlap side by side, or while one
+// moving sideways is on its way into it - so followers brake for vehicles cutting in or returning
+// from the shoulder. A turning vehicle also follows whatever lies ahead on its turn path.
+export const findLeader = (candidates, vehicle, model) => {
+  let leader = null;
+  let minDistance = Infinity;
+
+  candidates.forEach(otherVehicle => {
+    // Only vehicles in the same direction, ahead and in the same lane - cheapest checks first,
+    // as every vehicle runs them against all of its neighbours
+    if (otherVehicle.id === vehicle.id || otherVehicle.direction !== vehicle.direction ||
+      !isAhead(vehicle, otherVehicle) || getLateralDistance(vehicle, otherVehicle) >= VEHICLE_CONSTANTS.VEHICLE_WIDTH) return;
+
+    const distToOther = Math.sqrt(
+      (otherVehicle.x - vehicle.x) * (otherVehicle.x - vehicle.x) +
+      (otherVehicle.y - vehicle.y) * (otherVehicle.y - vehicle.y)
+    );
+    if (distToOther < CAR_FOLLOWING.LEADER_LOOKAHEAD && distToOther < minDistance) {
+      minDistance = distToOther;
+      leader = otherVehicle;
+    }
+  });
+
+  const pathLeader = vehicle.path ? findLeaderOnPath(candidates, vehicle) : null;
+  if (!leader) return pathLeader;
+
+  const leaderLength = getDriverModel(leader.type).length;
+  const laneLeader = { vehicle: leader, gap: minDistance - (model.length + leaderLength) / 2, speed: leader.speed };
+  return pathLeader && pathLeader.gap < laneLeader.gap ? pathLeader : laneLeader;
+};
+
+// Time-to-collision with the leader (s), or null while the vehicle does not close in on one
+const getTimeToCollision = (vehicle, leader) => (leader && vehicle.speed > leader.speed
+  ? Math.max(leader.gap, 0) / (vehicle.speed - leader.speed)
+  : null);
+
+// Closest of the candidate vehicles behind in the same lane and direction, with the
+// bumper-to-bumper gap from it - the vehicle that follows this one
+const findFollower = (candidates, vehicle, model) => {
+  let follower = null;
+  let minDistance = Infinity;
+
+  candidates.forEach(otherVehicle => {
+    if (otherVehicle.id === vehicle.id || otherVehicle.direction !== vehicle.direction || !isAhead(otherVehicle, vehicle)) return;
+
+    const distToOther = Math.hypot(otherVehicle.x - vehicle.x, otherVehicle.y - vehicle.y);
+    const inSameLane = isVerticalDirection(vehicle.direction)
+      ? Math.abs(otherVehicle.x - vehicle.x) < VEHICLE_CONSTANTS.VEHICLE_WIDTH
+      : Math.abs(otherVehicle.y - vehicle.y) < VEHICLE_CONSTANTS.VEHICLE_WIDTH;
+    if (inSameLane && distToOther < CAR_FOLLOWING.LEADER_LOOKAHEAD && distToOther < minDistance) {
+      minDistance = distToOther;
+      follower = otherVehicle;
+    }
+  });
+
+  if (!follower) return null;
+
+  const followerLength = getDriverModel(follower.type).length;
+  return { vehicle: follower, gap: minDistance - (model.length + followerLength) / 2 };
+};
+
+// Create a new vehicle with optional turn direction for emergency vehicles
+// All random choices are drawn from `random`, which is advanced in place
+export const createVehicle = (state, random, type = 'car', turnDirection = null) => {
+  const { roadGrid } = state;
+  const isEmergency = isEmergencyType(type);
+
+  // Emergency vehicles spawned with a random turn draw it from the simulation's generator
+  if (turnDirection === RANDOM_TURN) {
+    turnDirection = isEmergency ? pickRandom(random, TURN_DIRECTIONS) : null;
+  }
+
+  let route = null;
+  let preferredLane = 1;
+
+  if (isEmergency && TURN_TARGETS[turnDirection]) {
+    // Emergency vehicles with a turn take it at any intersection where it is possible
+    const turnRoutes = getTurnRoutes(roadGrid, turnDirection);
+    if (turnRoutes.length > 0) {
+      route = pickRandom(random, turnRoutes);
+    } else {
+      log(state, `🚑 No intersection in network "${roadGrid.name}" allows a ${turnDirection} turn - ${type} goes straight`);
+      turnDirection = 'straight';
+    }
+  }
+
+  if (!route && isEmergency) {
+    // Emergency vehicles without a turn cross the network straight, in any lane
+    const straightRoutes = roadGrid.getStraightRoutes();
+    if (straightRoutes.length > 0) {
+      const straightRoute = pickRandom(random, straightRoutes);
+      route = planRoute(roadGrid, straightRoute.origin, straightRoute.destination);
+      preferredLane = straightRoute.lane;
+    }
+  } else if (!isEmergency) {
+    // Regular vehicles travel between a random origin and destination
+    // They prefer lane 1 (right lane), faster vehicles use lane 2
+    const routes = getAllRoutes(roadGrid);
+    preferredLane = nextRandom(random) < 0.7 ? 1 : 2; // 70% in right lane
+    if (routes.length > 0) {
+      route = pickRandom(random, routes);
+    }
+  }
+
+  if (!route) {
+    log(state, `No boundary-to-boundary route in network "${roadGrid.name}" - cannot spawn ${type}`);
+    return null;
+  }
+
+  const firstLeg = route.legs[0];
+  const firstRoad = roadGrid.getRoads(firstLeg.direction)[firstLeg.roadIndex];
+  const firstTurn = route.turns[0] || null;
+  const lane = getLaneForTurn(roadGrid, firstLeg, firstTurn, preferredLane);
+  const start = roadGrid.getLanePoint(firstLeg.roadIndex, lane, firstLeg.direction, roadGrid.getEntryPosition(firstRoad, firstLeg.direction));
+  const target = getLegTarget(state, route, 0, lane);
+
+  // The entry must be clear: no vehicle may be closer than the new vehicle's minimum gap to the
+  // spot it would appear at
+  const model = getDriverModel(type);
+  const footprint = getFootprint({ type, direction: firstLeg.direction }, start.x, start.y);
+  if (state.vehicles.some(other => getFootprintGap(footprint, getFootprint(other)) < model.minGap)) {
+    log(state, `Entry at ${route.origin} is blocked - cannot spawn ${type}`);
+    return null;
+  }
+
+  // Vehicles enter the network at their desired speed (px/s), or no faster than a vehicle
+  // that has only just entered ahead of them
+  const leader = findLeader(state.vehicles, { x: start.x, y: start.y, direction: firstLeg.direction, id: state.nextVehicleId }, model);
+  const speed = leader ? Math.min(model.desiredSpeed, leader.speed) : model.desiredSpeed;
+
+  const newVehicle = {
+    id: state.nextVehicleId,
+    type: type,
+    x: start.x,
+    y: start.y,
+    targetX: target.x,
+    targetY: target.y,
+    direction: firstLeg.direction,
+    speed,
+    acceleration: 0,
+    startUpDelay: null, // Remaining reaction time (ms) before pulling away from a stop
+    amberDecision: null, // { intersectionId, stop } once the vehicle has met an amber signal
+    spawnTime: state.time, // Time the vehicle entered the network (ms)
+    delay: 0,            // Time lost against driving at the desired speed all the way (ms)
+    stops: 0,            // Times the vehicle came to a stop
+    stoppedTime: 0,      // Time it spent stopped (ms)
+    priorityResponse: null, // Emergency vehicles: the latest I2V response to their priority request - { intersectionId, status, time, ... }
+    yieldTo: null,       // Latest emergency vehicle warning heard over V2V - { vehicleId, time }
+    yieldLane: null,     // Lane the vehicle left to clear an emergency vehicle's way, to return to afterwards
+    lateralOffset: 0,    // Distance from the lane center towards the curb while pulling over or changing lanes (px)
+    laneChangeTime: null, // Time of the vehicle's latest discretionary lane change (ms)
+    leaderId: null,      // Vehicle it followed during the last tick
+    reservedIntersectionId: null, // Intersection whose box it is about to enter and has reserved (see findStopLine)
+    timeToCollision: null, // Gap to that leader over the speed it closed in with (s) - null while it did not
+    stopped: false,
+    status: 'moving',
+    isEmergency,
+    // The route decides every turn of the trip; these fields describe the next one
+    turnDirection: firstTurn ? firstTurn.turnDirection : turnDirection,
+    turnTo: firstTurn ? firstTurn.turnTo : null,
+    plannedTurnIntersectionId: firstTurn ? firstTurn.intersectionId : null,
+    path: null,
+    pathIndex: null,
+    lane,
+    // Boundary nodes where the vehicle enters and leaves the network
+    origin: route.origin,
+    destination: route.destination,
+    // Planned route and the leg currently driven
+    route,
+    routeLeg: 0,
+    // Store initial lane positions for strict lane discipline
+    startLaneX: start.x,
+    startLaneY: start.y,
+    // Track current road index for RoadGrid positioning
+    currentRoadIndex: firstLeg.roadIndex,
+    onVerticalRoad: isVerticalDirection(firstLeg.direction)
+  };
+
+  if (isEmergency && firstTurn) {
+    log(state, `🚑 Route Planning: Will turn ${firstTurn.turnDirection.toUpperCase()} at intersection ${firstTurn.intersectionId}`);
+  }
+
+  // Debug logging for emergency vehicles
+  if (isEmergency) {
+    log(state, `╔════════════════════════════════════════════╗`);
+    log(state, `║ EMERGENCY VEHICLE SPAWNED                  ║`);
+    log(state, `╠════════════════════════════════════════════╣`);
+    log(state, `║ ${padText(String(newVehicle.id), 'ID')} ║`);
+    log(state, `║ ${padText(type, 'Type')} ║`);
+    log(state, `║ ${padText((turnDirection || 'straight').toUpperCase(), 'Turn Direction')} ║`);
+    log(state, `║ ${padText(`(${start.x}, ${start.y})`, 'Spawn Position')} ║`);
+    log(state, `║ ${padText(newVehicle.direction, 'Spawn Direction')} ║`);
+    log(state, `║ ${padText(`${route.origin} → ${route.destination}`, 'Route')} ║`);
+    if (newVehicle.plannedTurnIntersectionId) {
+      log(state, `║ ${padText(`Intersection ${newVehicle.plannedTurnIntersectionId}`, 'Planned Turn At')} ║`);
+    }
+    log(state, `╚════════════════════════════════════════════╝`);
+  }
+
+  return newVehicle;
+};
+
+// Begin the turn the vehicle's route requires at the intersection it has reached
+// The curve is built from the RoadGrid geometry of this intersection: it runs from the vehicle's
+// lane at the entry edge of the box to the lane it needs on the new road at the exit edge
+const startTurn = (state, vehicle) => {
+  const { intersections, roadGrid } = state;
+  const intersection = intersections.find(i => i.id === vehicle.plannedTurnIntersectionId);
+  const nextLeg = vehicle.route.legs[vehicle.routeLeg + 1];
+
+  // Left turns always end in the inner lane, so they stay on their side of the box centre and
+  // pass an opposing left turn (see moveToTurnLane). Right turns end in the curb lane, unless
+  // the following turn already needs the other one.
+  const exitLane = vehicle.turnDirection === 'left'
+    ? getLaneForTurn(roadGrid, nextLeg, null, Infinity)
+    : getLaneForTurn(roadGrid, nextLeg, vehicle.route.turns[vehicle.routeLeg + 1] || null, 1);
+  const turnEnd = roadGrid.getLanePoint(
+    nextLeg.roadIndex,
+    exitLane,
+    nextLeg.direction,
+    roadGrid.getIntersectionExitPosition(intersection, nextLeg.direction)
+  );
+  const path = createTurnPath({ x: vehicle.x, y: vehicle.y }, turnEnd, vehicle.turnDirection, vehicle.direction);
+
+  // The turn starts wherever the vehicle is, so an offset from its lane ends with the turn
+  return {
+    ...vehicle,
+    lane: exitLane,
+    lateralOffset: 0,
+    yieldLane: null,
+    path,
+    pathIndex: 1,
+    targetX: path[1].x,
+    targetY: path[1].y,
+    status: `turning ${vehicle.turnDirection}`
+  };
+};
+
+// Advance a vehicle to the next waypoint of its path, executing the turn when it completes
+const advanceAlongPath = (state, vehicle) => {
+  const { roadGrid } = state;
+
+  // Reached current waypoint, move to next - skipping waypoints that are already within reach
+  let nextIndex = vehicle.pathIndex + 1;
+  while (nextIndex < vehicle.path.length - 1 &&
+    Math.hypot(vehicle.path[nextIndex].x - vehicle.x, vehicle.path[nextIndex].y - vehicle.y) < VEHICLE_CONSTANTS.WAYPOINT_REACH_DISTANCE) {
+    nextIndex++;
+  }
+  if (nextIndex < vehicle.path.length) {
+    const nextWaypoint = vehicle.path[nextIndex];
+    // BUG #1 FIX: Update direction based on turn - this is where the turn executes
+    let newDirection = vehicle.direction;
+
+    // CRITICAL FIX #6: Check if we're at the last waypoint of the turn
+    // The direction changes when we complete the turn arc
+    const isLastWaypoint = (nextIndex === vehicle.path.length - 1);
+    // Turn paths are only ever built at the planned turn intersection
+    if (vehicle.turnTo && isLastWaypoint) {
+      // This is the turn completion point - update to new direction
+      newDirection = vehicle.turnTo;
+      if (vehicle.isEmergency) {
+        log(state, `╔════════════════════════════════════════════╗`);
+        log(state, `║ TURN COMPLETED AT INTERSECTION             ║`);
+        log(state, `╠════════════════════════════════════════════╣`);
+        log(state, `║ ${padText(String(vehicle.id), 'Vehicle ID')} ║`);
+        log(state, `║ ${padText(vehicle.type, 'Type')} ║`);
+        log(state, `║ ${padText(String(vehicle.plannedTurnIntersectionId), 'Intersection')} ║`);
+        log(state, `║ ${padText((vehicle.turnDirection || 'straight').toUpperCase(), 'Stated Turn')} ║`);
+        log(state, `║ ${padText(`${vehicle.direction} → ${newDirection}`, 'Direction')} ║`);
+        log(state, `╚════════════════════════════════════════════╝`);
+      }
+    }
+    return {
+      ...vehicle,
+      targetX: nextWaypoint.x,
+      targetY: nextWaypoint.y,
+      direction: newDirection,
+      pathIndex: nextIndex,
+      // Update lane positions when direction changes
+      startLaneX: newDirection === 'NORTH' || newDirection === 'SOUTH' ? nextWaypoint.x : vehicle.startLaneX,
+      startLaneY: newDirection === 'EAST' || newDirection === 'WEST' ? nextWaypoint.y : vehicle.startLaneY,
+      status: vehicle.turnDirection ? `turning ${vehicle.turnDirection}` : 'moving'
+    };
+  }
+
+  // Reached final waypoint - transition from path-following to straight-line movement
+  // CRITICAL: Determine the new road index and lock to proper lane
+  // Calculate new road index based on new direction and the intersection the turn was made at
+  const newRoadIndex = roadGrid.findRoadIndexAfterTurn(vehicle.plannedTurnIntersectionId, vehicle.direction);
+  const newOnVerticalRoad = isVerticalDirection(vehicle.direction);
+
+  // Lock vehicle to proper lane on new road using RoadGrid
+  let correctedX = vehicle.x;
+  let correctedY = vehicle.y;
+
+  if (newOnVerticalRoad) {
+    correctedX = roadGrid.getVerticalRoadLaneX(newRoadIndex, vehicle.lane, vehicle.direction);
+  } else {
+    correctedY = roadGrid.getHorizontalRoadLaneY(newRoadIndex, vehicle.lane, vehicle.direction);
+  }
+
+  if (vehicle.isEmergency) {
+    log(state, `
+╔════════════════════════════════════════════╗
+║ TURN COMPLETE                              ║
+╠════════════════════════════════════════════╣
+║ Vehicle: ${String(vehicle.id).padEnd(37)} ║
+║ New Direction: ${vehicle.direction.padEnd(30)} ║
+║ New Road Index: ${newRoadIndex.toString().padEnd(29)} ║
+║ Position Before: (${Math.round(vehicle.x)}, ${Math.round(vehicle.y)})${('').padEnd(21 - Math.round(vehicle.x).toString().length - Math.round(vehicle.y).toString().length)} ║
+║ Position After:  (${Math.round(correctedX)}, ${Math.round(correctedY)})${('').padEnd(21 - Math.round(correctedX).toString().length - Math.round(correctedY).toString().length)} ║
+║ ✓ Locked to lane on new road              ║
+╚════════════════════════════════════════════╝
+    `);
+  }
+
+  // Continue with the next leg of the route and pick up its turn
+  const routeLeg = vehicle.routeLeg + 1;
+  const nextTurn = vehicle.route.turns[routeLeg];
+  const target = getLegTarget(state, vehicle.route, routeLeg, vehicle.lane);
+
+  // Clear the path and set up for straight-line movement
+  return {
+    ...vehicle,
+    x: correctedX,
+    y: correctedY,
+    path: null,
+    pathIndex: null,
+    targetX: target.x,
+    targetY: target.y,
+    routeLeg,
+    // Emergency vehicles report going straight once their last turn is behind them
+    turnDirection: nextTurn ? nextTurn.turnDirection : (vehicle.isEmergency ? 'straight' : null),
+    turnTo: nextTurn ? nextTurn.turnTo : null,
+    plannedTurnIntersectionId: nextTurn ? nextTurn.intersectionId : null,
+    currentRoadIndex: newRoadIndex,
+    onVerticalRoad: newOnVerticalRoad,
+    // Lock to the RoadGrid lane position based on new direction
+    startLaneX: newOnVerticalRoad ? correctedX : vehicle.startLaneX,
+    startLaneY: !newOnVerticalRoad ? correctedY : vehicle.startLaneY,
+    status: 'moving'
+  };
+};
+
+// Dilemma zone: on amber a vehicle stops if it can do so without braking harder than its
+// comfortable deceleration allows, otherwise it proceeds and clears the intersection during all-red
+const decideOnAmber = (vehicle, model, intersection, gap) => {
+  const requiredDeceleration = (vehicle.speed * vehicle.speed) / (2 * Math.max(gap, 0.1));
+  return {
+    intersectionId: intersection.id,
+    stop: requiredDeceleration <= model.comfortableDeceleration * CAR_FOLLOWING.AMBER_STOP_DECELERATION
+  };
+};
+
+// Bumper-to-stop-line gap to the nearest intersection ahead on the vehicle's road whose stop line
+// it must not cross, the vehicle's decision for an amber signal ahead of it, and the intersection
+// whose box it reserves.
+// Vehicles whose front is already past a stop line carry on. The others hold at the stop line of
+// every intersection `holdsAt` names, unless it is preempted for their approach. Every vehicle
+// yields to one on a crossing movement that already occupies the box (`boxes.getOccupants`) or
+// has reserved it (`boxes.reservations`, by intersection id) - emergency vehicles with priority
+// (`ignoreSignals`) only stop for that. A left turn on a permissive signal also waits for a gap in
+// oncoming traffic, and a vehicle off the centre of its lane - pulled over or changing lanes -
+// until it is back, one on the shoulder already where the no-change zone before the line begins.
+// A vehicle that may enter reserves the box once it could no longer stop comfortably before the line.
+const findStopLine = (state, vehicle, model, holdsAt, ignoreSignals, boxes) => {
+  const { roadGrid, spatialIndex } = state;
+  const vertical = isVerticalDirection(vehicle.direction);
+  const commitGap = vehicle.speed * vehicle.speed / (2 * model.comfortableDeceleration) + vehicle.speed * TIMING.TICK / 1000;
+  const onShoulder = vehicle.lane === 1 && vehicle.lateralOffset > 0;
+  const shoulderStop = LANE_CHANGE.NO_CHANGE_DISTANCE - model.length / 2;
+  let stopLine = null;
+  let amberDecision = null;
+  let reservation = null;
+
+  queryRadius(spatialIndex.intersections, vehicle, CAR_FOLLOWING.STOP_LINE_LOOKAHEAD).forEach(intersection => {
+    // Only intersections on the road the vehicle is driving along
+    if (!isOnRoadThrough(vehicle, intersection) || !isAhead(vehicle, intersection)) return;
+
+    const linePosition = roadGrid.getIntersectionEntryPosition(intersection, vehicle.direction);
+    const line = vertical ? { x: vehicle.x, y: linePosition } : { x: linePosition, y: vehicle.y };
+    const gap = Math.abs(linePosition - (vertical ? vehicle.y : vehicle.x)) - model.length / 2;
+    if (!isAhead(vehicle, line) || gap < 0) return;
+
+    // A decision taken on amber holds until the vehicle has passed - a vehicle that chose to
+    // proceed keeps going when the signal turns red
+    // Vehicles obey the head of the movement they make here
+    const boxOccupied = isBoxOccupied(boxes.getOccupants(intersection), vehicle, intersection, boxes.reservations.get(intersection.id));
+    const reserve = () => {
+      if (gap < commitGap && (!reservation || gap < reservation.gap)) reservation = { intersectionId: intersection.id, gap };
+    };
+    if (ignoreSignals) {
+      if (boxOccupied && (!stopLine || gap < stopLine.gap)) {
+        stopLine = { gap, speed: 0 };
+      } else if (!boxOccupied) {
+        reserve();
+      }
+      return;
+    }
+
+    const signal = getMovementSignal(intersection, vehicle.direction, getMovement(vehicle, intersection.id));
+    const previousDecision = vehicle.amberDecision && vehicle.amberDecision.intersectionId === intersection.id
+      ? vehicle.amberDecision
+      : null;
+    let decision = null;
+    if (signal === SIGNAL_PHASES.YELLOW) {
+      decision = previousDecision || decideOnAmber(vehicle, model, intersection, gap);
+    } else if (signal === SIGNAL_PHASES.RED && previousDecision && !previousDecision.stop) {
+      decision = previousDecision;
+    }
+    if (decision) {
+      amberDecision = decision;
+    }
+
+    // BUG #3 FIX: Vehicles not yet inside hold at the stop line while an emergency vehicle is coming -
+    // except on the approach an intersection is preempted for, where the queue ahead of it discharges
+    // Otherwise stop if the signal is red, or amber and the vehicle can still stop
+    const onPreemptedApproach = intersection.emergencyOverride && intersection.emergencyApproach === vehicle.direction.toLowerCase();
+    const yieldsToOncoming = signal === SIGNAL_PHASES.PERMISSIVE && isOncomingGapTooShort(
+      queryRadius(spatialIndex.vehicles, intersection, Math.hypot(intersection.width, intersection.height) / 2 + CAR_FOLLOWING.STOP_LINE_LOOKAHEAD),
+      vehicle,
+      intersection
+    );
+    const mustStop = boxOccupied || yieldsToOncoming || vehicle.lateralOffset !== 0 || (holdsAt(intersection) && !onPreemptedApproach) || (decision
+      ? decision.stop
+      : signal === SIGNAL_PHASES.RED);
+
+    // A vehicle on the shoulder stops short of where vehicles turning right sweep across it, and
+    // only goes on once it is back in its lane
+    const stopGap = onShoulder && gap > shoulderStop ? gap - shoulderStop : gap;
+    if (mustStop && (!stopLine || stopGap < stopLine.gap)) {
+      stopLine = { gap: stopGap, speed: 0 };
+    } else if (!mustStop) {
+      reserve();
+    }
+  });
+
+  return { stopLine, amberDecision, reservedIntersectionId: reservation ? reservation.intersectionId : null };
+};
+
+// Emergency vehicle a vehicle yields to: the one whose warning it heard within WARNING_TIMEOUT,
+// while that is still behind it on its road - or null. Vehicles inside an intersection clear it first.
+const findEmergencyToYieldTo = (state, vehicle, vehiclesById) => {
+  const { yieldTo } = vehicle;
+  if (!yieldTo || vehicle.path || state.time - yieldTo.time >= EMERGENCY_YIELD.WARNING_TIMEOUT) return null;
+
+  const emergencyVehicle = vehiclesById.get(yieldTo.vehicleId);
+  if (!emergencyVehicle || emergencyVehicle.direction !== vehicle.direction ||
+    emergencyVehicle.currentRoadIndex !== vehicle.currentRoadIndex || !isAhead(emergencyVehicle, vehicle)) return null;
+  if (queryRadius(state.spatialIndex.intersections, vehicle, CAR_FOLLOWING.STOP_LINE_LOOKAHEAD)
+    .some(intersection => isInIntersection(vehicle, intersection))) return null;
+  return emergencyVehicle;
+};
+
+// Whether a vehicle's footprint can move sideways to (x, y): it may come alongside a neighbour
+// with CLEARANCE to spare, but not into its way closer than CLEARANCE plus the distance both need
+// to brake to a stop. A follower wholly behind it that already keeps its distance to it as to a
+// vehicle on its way into its lane (see findLeader) does not hold it up.
+const isMoveClear = (vehicle, x, y, neighbours) => {
+  const vertical = isVerticalDirection(vehicle.direction);
+  const before = getFootprint(vehicle);
+  const after = getFootprint(vehicle, x, y);
+  return neighbours.every(other => {
+    if (other.id === vehicle.id) return true;
+    const footprint = getFootprint(other);
+    if (other.direction === vehicle.direction && isAhead(other, vehicle) && !isOnShoulder(vehicle) &&
+      getLateralDistance(other, vehicle) < VEHICLE_CONSTANTS.VEHICLE_WIDTH && getFootprintGap(after, footprint) >= 0) return true;
+    const sideGap = (box) => (vertical
+      ? Math.max(box.minX - footprint.maxX, footprint.minX - box.maxX)
+      : Math.max(box.minY - footprint.maxY, footprint.minY - box.maxY));
+    if (sideGap(after) >= LANE_CHANGE.CLEARANCE || sideGap(after) >= sideGap(before)) return true;
+
+    const required = LANE_CHANGE.CLEARANCE +
+      (vehicle.speed * vehicle.speed + other.speed * other.speed) / (2 * CAR_FOLLOWING.MAX_DECELERATION);
+    return getFootprintGap(after, footprint) >= required;
+  });
+};
+
+// Position of a vehicle moved sideways by `shift` px towards the curb
+const shiftSideways = (vehicle, shift) => {
+  const curbShift = getCurbSide(vehicle.direction) * shift;
+  return isVerticalDirection(vehicle.direction)
+    ? { x: vehicle.x + curbShift, y: vehicle.y }
+    : { x: vehicle.x, y: vehicle.y + curbShift };
+};
+
+// Move a vehicle into another lane of its road if the lane is clear alongside it. The vehicle
+// stays where it is - its lateral offset now measures from the new lane's center, and
+// moveSideways takes it over - while its target moves to the new lane
+const changeLane = (roadGrid, vehicle, lane, neighbours) => {
+  const road = roadGrid.getRoads(vehicle.direction)[vehicle.currentRoadIndex];
+  const laneShift = roadGrid.getLaneOffset(road, lane, vehicle.direction) - roadGrid.getLaneOffset(road, vehicle.lane, vehicle.direction);
+  const position = shiftSideways(vehicle, laneShift - vehicle.lateralOffset);
+  if (!isMoveClear(vehicle, position.x, position.y, neighbours)) return vehicle;
+
+  const target = shiftSideways({ ...vehicle, x: vehicle.targetX, y: vehicle.targetY }, laneShift);
+  return { ...vehicle, lane, lateralOffset: vehicle.lateralOffset - laneShift, targetX: target.x, targetY: target.y };
+};
+
+// Lateral offset after moving sideways towards `targetOffset` for one tick of `dt` seconds,
+// unless that is not clear
+const moveSideways = (vehicle, targetOffset, neighbours, dt) => {
+  const current = vehicle.lateralOffset;
+  if (current === targetOffset) return current;
+
+  const step = LANE_CHANGE.LATERAL_SPEED * dt;
+  const next = current < targetOffset ? Math.min(targetOffset, current + step) : Math.max(targetOffset, current - step);
+  const target = shiftSideways(vehicle, next - current);
+  return isMoveClear(vehicle, target.x, target.y, neighbours) ? next : current;
+};
+
+// Whether a vehicle is inside an intersection or within NO_CHANGE_DISTANCE of the stop line of
+// the next one on its road, where it keeps its lane
+const isInNoChangeZone = (state, vehicle) => {
+  const { roadGrid, spatialIndex } = state;
+  const position = isVerticalDirection(vehicle.direction) ? vehicle.y : vehicle.x;
+  return queryRadius(spatialIndex.intersections, vehicle, CAR_FOLLOWING.STOP_LINE_LOOKAHEAD).some(intersection => (
+    isInIntersection(vehicle, intersection) || (isOnRoadThrough(vehicle, intersection) && isAhead(vehicle, intersection) &&
+      Math.abs(roadGrid.getIntersectionEntryPosition(intersection, vehicle.direction) - position) < LANE_CHANGE.NO_CHANGE_DISTANCE)
+  ));
+};
+
+// Pull over for an emergency vehicle behind: a vehicle in its lane moves out of it - into the
+// next lane towards the curb, or onto the shoulder from the curb lane - and returns to its own
+// lane once the emergency vehicle has passed. Close to an intersection it stays off the shoulder,
+// where vehicles turning right would sweep into it. Returns the vehicle with its lane, lateral
+// offset and yieldLane (the lane it left, or null) after this tick.
+const pullOver = (state, vehicle, emergencyVehicle, neighbours, dt) => {
+  let next = vehicle;
+  if (!vehicle.path) {
+    if (emergencyVehicle && vehicle.lane === emergencyVehicle.lane && vehicle.lane > 1) {
+      next = changeLane(state.roadGrid, vehicle, vehicle.lane - 1, neighbours);
+      if (next !== vehicle) next = { ...next, yieldLane: vehicle.yieldLane || vehicle.lane };
+    } else if (!emergencyVehicle && vehicle.yieldLane && vehicle.yieldLane !== vehicle.lane) {
+      next = changeLane(state.roadGrid, vehicle, vehicle.yieldLane, neighbours);
+      if (next !== vehicle) next = { ...next, yieldLane: null };
+    }
+  }
+
+  const onShoulder = Boolean(emergencyVehicle) && next.lane === 1 && emergencyVehicle.lane === 1 && !isInNoChangeZone(state, next);
+  return {
+    ...next,
+    lateralOffset: moveSideways(next, onShoulder ? EMERGENCY_YIELD.PULL_OVER_OFFSET : 0, neighbours, dt)
+  };
+};
+
+// Mandatory lane change: a vehicle heading for a turn in another lane than the turn needs - a
+// left turn ends in the inner lane whatever comes next - moves towards that lane one lane at a
+// time once it is out of the box. Returns the vehicle, in its new lane if it changed.
+const moveToTurnLane = (state, vehicle, turn, neighbours) => {
+  const { roadGrid, spatialIndex } = state;
+  const lane = getLaneForTurn(roadGrid, vehicle.route.legs[vehicle.routeLeg], turn, vehicle.lane);
+  if (lane === vehicle.lane) return vehicle;
+  if (queryRadius(spatialIndex.intersections, vehicle, CAR_FOLLOWING.STOP_LINE_LOOKAHEAD).some(intersection => isInIntersection(vehicle, intersection))) {
+    return vehicle;
+  }
+
+  const changed = changeLane(roadGrid, vehicle, lane > vehicle.lane ? vehicle.lane + 1 : vehicle.lane - 1, neighbours);
+  return changed === vehicle ? vehicle : { ...changed, laneChangeTime: state.time };
+};
+
+// Acceleration of a follower behind `leader` ({ gap, speed } or null)
+const followerAcceleration = (follower, leader) => idmAcceleration(getDriverModel(follower.type), follower.speed, leader);
+
+// Discretionary lane change (MOBIL): move into the neighbouring lane whose incentive beats
+// THRESHOLD the most, if the move is safe. The incentive is the vehicle's own gain in acceleration,
+// plus POLITENESS times the gain of its follower in both lanes, less KEEP_RIGHT_BIAS for leaving
+// the curb side or plus it for returning there. Emergency vehicles keep the lane they were given,
+// vehicles heading for a turn only move to the lane it needs, and nobody changes lanes while
+// already moving sideways or in a no-change zone. Returns the vehicle, in its new lane if it changed.
+const changeLaneAtWill = (state, vehicle, model, leader, neighbours) => {
+  const { roadGrid } = state;
+  if (vehicle.isEmergency || vehicle.path || vehicle.yieldLane || vehicle.lateralOffset !== 0) return vehicle;
+  const turn = getRouteTurn(vehicle);
+  if (turn) return moveToTurnLane(state, vehicle, turn, neighbours);
+  if (vehicle.laneChangeTime !== null && state.time - vehicle.laneChangeTime < LANE_CHANGE.MIN_INTERVAL) return vehicle;
+
+  const road = roadGrid.getRoads(vehicle.direction)[vehicle.currentRoadIndex];
+  const laneCount = roadGrid.getLaneCount(road, vehicle.direction);
+  if (laneCount < 2 || isInNoChangeZone(state, vehicle)) return vehicle;
+
+  // Only vehicles in its direction lead or follow it in either lane
+  const others = neighbours.filter(other => other.id !== vehicle.id && other.direction === vehicle.direction);
+  const ownAcceleration = idmAcceleration(model, vehicle.speed, leader);
+  // The follower in the vehicle's own lane closes up to the vehicle's leader once it has left
+  const oldFollower = findFollower(others, vehicle, model);
+  const oldFollowerGain = oldFollower
+    ? followerAcceleration(oldFollower.vehicle, findLeader(others, oldFollower.vehicle, getDriverModel(oldFollower.vehicle.type))) -
+      followerAcceleration(oldFollower.vehicle, { gap: oldFollower.gap, speed: vehicle.speed })
+    : 0;
+
+  let best = { lane: vehicle.lane, incentive: LANE_CHANGE.THRESHOLD };
+  [vehicle.lane - 1, vehicle.lane + 1].filter(lane => lane >= 1 && lane <= laneCount).forEach(lane => {
+    const laneShift = roadGrid.getLaneOffset(road, lane, vehicle.direction) - roadGrid.getLaneOffset(road, vehicle.lane, vehicle.direction);
+    const inLane = { ...vehicle, ...shiftSideways(vehicle, laneShift) };
+    const newLeader = findLeader(others, inLane, model);
+    const newFollower = findFollower(others, inLane, model);
+
+    // Safety: both gaps stay open and the new follower does not have to brake hard
+    let newFollowerGain = 0;
+    if (newFollower) {
+      const braking = followerAcceleration(newFollower.vehicle, { gap: newFollower.gap, speed: vehicle.speed });
+      if (newFollower.gap <= 0 || braking < -LANE_CHANGE.SAFE_DECELERATION) return;
+      newFollowerGain = braking -
+        followerAcceleration(newFollower.vehicle, findLeader(others, newFollower.vehicle, getDriverModel(newFollower.vehicle.type)));
+    }
+    if (newLeader && newLeader.gap <= 0) return;
+
+    const bias = lane > vehicle.lane ? -LANE_CHANGE.KEEP_RIGHT_BIAS : LANE_CHANGE.KEEP_RIGHT_BIAS;
+    const incentive = idmAcceleration(model, vehicle.speed, newLeader) - ownAcceleration +
+      LANE_CHANGE.POLITENESS * (newFollowerGain + oldFollowerGain) + bias;
+    if (incentive > best.incentive) {
+      best = { lane, incentive };
+    }
+  });
+
+  if (best.lane === vehicle.lane) return vehicle;
+  const changed = changeLane(roadGrid, vehicle, best.lane, neighbours);
+  return changed === vehicle ? vehicle : { ...changed, laneChangeTime: state.time };
+};
+
+// Whether an emergency vehicle's footprint, moved along its lane, would run into the vehicle
+const isInCorridor = (vehicle, emergencyVehicle) => (isVerticalDirection(vehicle.direction)
+  ? Math.abs(vehicle.x - emergencyVehicle.x)
+  : Math.abs(vehicle.y - emergencyVehicle.y)) < VEHICLE_CONSTANTS.VEHICLE_WIDTH;
+
+// Add the delay of vehicles that reached their destination to the statistics
+// Buses are reported separately from general traffic (cars and trucks); emergency vehicles in neither
+const recordTripDelays = (statistics, arrived) => {
+  if (arrived.length === 0) return statistics;
+
+  const next = { ...statistics };
+  arrived.forEach(vehicle => {
+    if (vehicle.type === 'bus') {
+      next.busTrips++;
+      next.busDelay += vehicle.delay;
+    } else if (!vehicle.isEmergency) {
+      next.generalTrips++;
+      next.generalDelay += vehicle.delay;
+    }
+  });
+  return next;
+};
+
+// Update vehicle positions
+// Every vehicle follows the Intelligent Driver Model: its acceleration is the most restrictive of
+// free-road driving, following its leader and stopping at a red stop line
+export const updateVehicles = (state) => {
+  const { vehicles, roadGrid, spatialIndex } = state;
+  const dt = TIMING.TICK / 1000;
+
+  const vehiclesById = new Map(vehicles.map(vehicle => [vehicle.id, vehicle]));
+
+  // BUG #3 FIX: Approaches of emergency vehicles to the next intersection on their road within
+  // DETECTION_DISTANCE, by intersection id - vehicles coming from the other approaches hold there.
+  // One that has passed an intersection is no longer approaching it
+  const emergencyApproaches = new Map();
+  vehicles.forEach(v => {
+    if (!v.isEmergency || v.path) return;
+    const next = findIntersectionsInPath(spatialIndex.intersections, v, VEHICLE_CONSTANTS.DETECTION_DISTANCE)
+      .find(({ intersection }) => isOnRoadThrough(v, intersection));
+    if (!next) return;
+    if (!emergencyApproaches.has(next.intersection.id)) emergencyApproaches.set(next.intersection.id, new Set());
+    emergencyApproaches.get(next.intersection.id).add(v.direction);
+  });
+  const isEmergencyCrossing = (vehicle, intersection) => emergencyApproaches.has(intersection.id) &&
+    !emergencyApproaches.get(intersection.id).has(vehicle.direction);
+
+  const arrived = [];
+
+  // Vehicles holding a reservation of each intersection box, by intersection id: those from the
+  // last tick, joined by the ones reserving it during this tick as they move - so of two crossing
+  // vehicles reaching their stop lines in the same tick, the second one waits for the first
+  const reservations = new Map();
+  const addReservation = (vehicle) => {
+    if (vehicle.reservedIntersectionId === null) return;
+    if (!reservations.has(vehicle.reservedIntersectionId)) reservations.set(vehicle.reservedIntersectionId, []);
+    reservations.get(vehicle.reservedIntersectionId).push(vehicle);
+  };
+  vehicles.forEach(addReservation);
+
+  // Vehicles inside each intersection box at the start of the tick - looked up once, as every
+  // vehicle approaching the intersection checks them
+  const occupants = new Map();
+  const getOccupants = (intersection) => {
+    if (!occupants.has(intersection.id)) {
+      const box = getIntersectionBox(intersection);
+      occupants.set(intersection.id, queryRadius(spatialIndex.vehicles, intersection, Math.hypot(intersection.width, intersection.height) / 2)
+        .filter(vehicle => getFootprintGap(getFootprint(vehicle), box) < 0));
+    }
+    return occupants.get(intersection.id);
+  };
+
+  const updated = vehicles.map(vehicle => {
+    // Check if vehicle reached destination
+    // Targets lie on lane centers, so a vehicle pulled over measures from its lane
+    const lanePoint = shiftSideways(vehicle, -vehicle.lateralOffset);
+    const dx = vehicle.targetX - lanePoint.x;
+    const dy = vehicle.targetY - lanePoint.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    // Only the end of the last leg is a destination - turn approaches and turn paths are waypoints
+    const headingForWaypoint = Boolean(vehicle.path) || Boolean(getRouteTurn(vehicle));
+    if (!headingForWaypoint && distance < VEHICLE_CONSTANTS.DESTINATION_REACH_DISTANCE) {
+      arrived.push(vehicle);
+      return null; // Mark for removal
+    }
+
+    const model = getDriverModel(vehicle.type);
+    const neighbours = queryRadius(spatialIndex.vehicles, vehicle, CAR_FOLLOWING.LEADER_LOOKAHEAD);
+
+    // BUG #4 FIX: Emergency vehicles have absolute priority - they do not stop at stop lines,
+    // unless the intersection ahead told them to hold for a conflicting emergency vehicle or
+    // a vehicle crossing their way still occupies its box.
+    // Like every vehicle they follow the vehicle ahead of them in their lane until it has pulled over.
+    const holding = vehicle.isEmergency && Boolean(vehicle.priorityResponse) && vehicle.priorityResponse.status === 'rejected';
+    // PULL OVER AND YIELD: Vehicles ahead of an emergency vehicle on its road keep to their signals
+    // instead of holding at the stop line for it, so a queue in front of it can discharge
+    const emergencyVehicle = findEmergencyToYieldTo(state, vehicle, vehiclesById);
+    const leader = findLeader(neighbours, vehicle, model);
+    // An emergency vehicle told to hold only holds for the intersection that told it
+    const holdsAt = holding
+      ? (intersection) => intersection.id === vehicle.priorityResponse.intersectionId
+      : (intersection) => !emergencyVehicle && isEmergencyCrossing(vehicle, intersection);
+    const { stopLine, amberDecision, reservedIntersectionId } = findStopLine(state, vehicle, model,
+      holdsAt, vehicle.isEmergency && !holding, { reservations, getOccupants });
+
+    const leaderAcceleration = idmAcceleration(model, vehicle.speed, leader);
+    const stopLineAcceleration = stopLine ? idmAcceleration(model, vehicle.speed, stopLine) : Infinity;
+    let acceleration = Math.min(leaderAcceleration, stopLineAcceleration);
+
+    // LANE CHANGING: Vehicles pick their lane at will unless they are yielding to an emergency vehicle
+    const chosen = emergencyVehicle ? vehicle : changeLaneAtWill(state, vehicle, model, leader, neighbours);
+    const moved = pullOver(state, chosen, emergencyVehicle, neighbours, dt);
+    // A vehicle still in the emergency vehicle's way stops while it moves out of it, and one
+    // that has nowhere to go drives on ahead of it; one that has cleared its way slows to YIELD_SPEED
+    if (emergencyVehicle && !isInCorridor(moved, emergencyVehicle)) {
+      acceleration = Math.min(acceleration,
+        Math.max(-model.comfortableDeceleration, idmAcceleration({ ...model, desiredSpeed: EMERGENCY_YIELD.YIELD_SPEED }, vehicle.speed)));
+    } else if (emergencyVehicle && (moved.lane !== vehicle.lane || moved.lateralOffset !== vehicle.lateralOffset)) {
+      acceleration = Math.min(acceleration, -model.comfortableDeceleration);
+    }
+
+    // Start-up lost time: a stopped vehicle needs a moment to react before it pulls away
+    let startUpDelay = null;
+    if (vehicle.stopped && acceleration > 0) {
+      startUpDelay = (vehicle.startUpDelay === null ? CAR_FOLLOWING.START_UP_REACTION_TIME : vehicle.startUpDelay) - TIMING.TICK;
+      if (startUpDelay > 0) {
+        acceleration = 0;
+      } else {
+        startUpDelay = null;
+      }
+    }
+
+    const motion = integrateMotion(vehicle.speed, acceleration, dt);
+    const stopped = motion.speed < CAR_FOLLOWING.STOPPED_SPEED;
+    const kinematics = {
+      speed: motion.speed,
+      acceleration: motion.acceleration,
+      startUpDelay,
+      amberDecision,
+      stopped,
+      stops: stopped && !vehicle.stopped ? vehicle.stops + 1 : vehicle.stops,
+      stoppedTime: stopped ? vehicle.stoppedTime + TIMING.TICK : vehicle.stoppedTime,
+      delay: vehicle.delay + TIMING.TICK * Math.max(0, 1 - motion.speed / model.desiredSpeed),
+      leaderId: leader ? leader.vehicle.id : null,
+      timeToCollision: getTimeToCollision(vehicle, leader),
+      reservedIntersectionId
+    };
+    if (reservedIntersectionId !== null) addReservation({ ...vehicle, ...kinematics });
+
+    // BUG #1 FIX: Check if vehicle has reached waypoint and needs to update target
+    if (headingForWaypoint && distance < VEHICLE_CONSTANTS.WAYPOINT_REACH_DISTANCE) {
+      const next = { ...vehicle, ...kinematics };
+      return vehicle.path ? advanceAlongPath(state, next) : startTurn(state, next);
+    }
+
+    // Status reports whatever limits the vehicle most
+    let status;
+    if (emergencyVehicle) {
+      status = stopped ? 'yielding' : 'pulling over';
+    } else if (holding) {
+      status = stopped ? 'holding for priority' : 'slowing for priority';
+    } else if (stopLineAcceleration < leaderAcceleration) {
+      status = stopped ? 'stopped' : 'braking';
+    } else if (leader && leaderAcceleration < idmAcceleration(model, vehicle.speed)) {
+      status = stopped ? 'stopped (queue)' : 'following';
+    } else if (amberDecision && !amberDecision.stop) {
+      status = 'proceeding on amber';
+    } else {
+      // Vehicles only have a path while they are inside the turn
+      status = vehicle.path ? `turning ${vehicle.turnDirection}` : (moved.lateralOffset !== 0 ? 'changing lanes' : 'moving');
+    }
+
+    const position = advanceInLane(roadGrid, moved, motion.distance, Math.atan2(dy, dx));
+
+    return {
+      ...moved,
+      ...position,
+      ...kinematics,
+      status
+    };
+  });
+
+  return {
+    ...state,
+    vehicles: updated.filter(v => v !== null),
+    statistics: recordTripDelays(state.statistics, arrived),
+    metrics: recordTrips(state.metrics, arrived, state.time)
+  };
+};
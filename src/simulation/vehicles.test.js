@@ -0,0 +1,202 @@
+import { addVehicle, createSimulation, tick } from './engine';
+import { CAR_FOLLOWING, LANE_CHANGE, SIGNAL_PHASES, TIMING } from './constants';
+import { getIntersectionBox } from './geometry';
+import { getDriverModel } from './carFollowing';
+import { NETWORKS } from './networks';
+import { getCurbSide } from './RoadGrid';
+import { addCarOnRoute, addVehicleOnRoute, findVehicle, isInBox, updateVehicle } from './testHelpers';
+
+describe('permissive left turns', () => {
+  // T-junction: the main road runs east-west through intersection 1, whose two-phase plan starts
+  // with permissive lefts east-west. A westbound car waits at the stop line to turn left into the
+  // stem, and an eastbound car may come through from the other side.
+  const setUp = (withOncoming) => {
+    let state = createSimulation({ logging: false, network: NETWORKS.tJunction });
+    const intersection = state.intersections[0];
+    const box = getIntersectionBox(intersection);
+
+    const turning = addCarOnRoute(state, vehicle => vehicle.direction === 'WEST' && vehicle.turnDirection === 'left');
+    state = updateVehicle(turning.state, turning.vehicle.id, { x: box.maxX + getDriverModel('car').length / 2 + 2, speed: 0 });
+    if (!withOncoming) return { state, intersection, turningId: turning.vehicle.id };
+
+    const oncoming = addCarOnRoute(state, vehicle => vehicle.direction === 'EAST' && vehicle.route.turns.length === 0);
+    state = updateVehicle(oncoming.state, oncoming.vehicle.id, { x: box.minX - getDriverModel('car').length / 2 - 100 });
+    return { state, intersection, turningId: turning.vehicle.id, oncomingId: oncoming.vehicle.id };
+  };
+
+  // Time the turning car first enters the box, and the oncoming car last leaves it
+  const run = ({ state, intersection, turningId, oncomingId }) => {
+    let turnEntry = null;
+    let oncomingExit = null;
+    for (let time = 0; time < 10000; time += TIMING.TICK) {
+      state = tick(state);
+      const turning = findVehicle(state, turningId);
+      if (turnEntry === null && turning && isInBox(turning, intersection)) turnEntry = state.time;
+      const oncoming = oncomingId && findVehicle(state, oncomingId);
+      if (oncoming && isInBox(oncoming, intersection)) oncomingExit = state.time + TIMING.TICK;
+    }
+    return { turnEntry, oncomingExit };
+  };
+
+  test('the signal shows a permissive left turn', () => {
+    const { intersection } = setUp(false);
+    expect(intersection.signals.west.left).toBe(SIGNAL_PHASES.PERMISSIVE);
+    expect(intersection.signals.east.through).toBe(SIGNAL_PHASES.GREEN);
+  });
+
+  test('a left turn without oncoming traffic goes once it has pulled away', () => {
+    const { turnEntry } = run(setUp(false));
+    expect(turnEntry).not.toBeNull();
+    expect(turnEntry).toBeLessThan(CAR_FOLLOWING.START_UP_REACTION_TIME + 1000);
+  });
+
+  test('a left turn waits for an oncoming through vehicle to clear the box', () => {
+    const { turnEntry, oncomingExit } = run(setUp(true));
+    expect(oncomingExit).not.toBeNull();
+    expect(turnEntry).not.toBeNull();
+    expect(turnEntry).toBeGreaterThanOrEqual(oncomingExit);
+  });
+});
+
+describe('dilemma zone', () => {
+  // T-junction: the east-west green turns amber at PHASE_DURATION. An eastbound through car at its
+  // desired speed meets the amber `gap` px before the stop line.
+  const meetAmber = (gap) => {
+    let state = createSimulation({ logging: false, network: NETWORKS.tJunction });
+    while (state.time < TIMING.PHASE_DURATION - TIMING.TICK) state = tick(state);
+    const intersection = state.intersections[0];
+    const added = addCarOnRoute(state, vehicle => vehicle.direction === 'EAST' && vehicle.route.turns.length === 0);
+    const model = getDriverModel('car');
+    state = updateVehicle(added.state, added.vehicle.id, { x: getIntersectionBox(intersection).minX - model.length / 2 - gap, speed: model.desiredSpeed });
+    state = tick(state);
+    expect(state.intersections[0].signals.east.through).toBe(SIGNAL_PHASES.YELLOW);
+    return { state, intersection, id: added.vehicle.id };
+  };
+
+  // Time the car first enters the box, within the amber and all-red that follow
+  const enterBox = ({ state, intersection, id }) => {
+    while (state.time < TIMING.PHASE_DURATION + TIMING.AMBER_DURATION + TIMING.ALL_RED_DURATION) {
+      if (isInBox(findVehicle(state, id), intersection)) return state.time;
+      state = tick(state);
+    }
+    return null;
+  };
+
+  test('a car that could only stop by braking hard goes on through', () => {
+    const met = meetAmber(5);
+    expect(findVehicle(met.state, met.id).amberDecision).toEqual({ intersectionId: met.intersection.id, stop: false });
+    expect(findVehicle(met.state, met.id).status).toBe('proceeding on amber');
+    expect(enterBox(met)).not.toBeNull();
+  });
+
+  test('a car that can stop comfortably stops at the line', () => {
+    const met = meetAmber(100);
+    expect(findVehicle(met.state, met.id).amberDecision).toEqual({ intersectionId: met.intersection.id, stop: true });
+    expect(enterBox(met)).toBeNull();
+  });
+});
+
+describe('spacing', () => {
+  test('a vehicle does not spawn on top of one that has only just entered', () => {
+    const state = createSimulation({ logging: false, network: NETWORKS.tJunction });
+    const first = addVehicle(state, 'car');
+    expect(first.vehicles).toHaveLength(1);
+
+    // The same draws pick the same entry and lane
+    const blocked = addVehicle({ ...first, random: state.random }, 'car');
+    expect(blocked.vehicles).toHaveLength(1);
+
+    let moved = first;
+    for (let time = 0; time < 2000; time += TIMING.TICK) {
+      moved = tick(moved);
+    }
+    expect(addVehicle({ ...moved, random: state.random }, 'car').vehicles).toHaveLength(2);
+  });
+
+  test('a follower brakes for a vehicle moving back into its lane', () => {
+    let state = createSimulation({ logging: false, network: NETWORKS.tJunction });
+    const through = (vehicle) => vehicle.direction === 'EAST' && vehicle.route.turns.length === 0;
+    const ahead = addCarOnRoute(state, through);
+    const laneY = state.roadGrid.getHorizontalRoadLaneY(ahead.vehicle.currentRoadIndex, 1, 'EAST');
+
+    // The car ahead has just left the inner lane for the curb lane, 20 px from its centre
+    state = updateVehicle(ahead.state, ahead.vehicle.id, {
+      x: 300, y: laneY - getCurbSide('EAST') * 20, lane: 1, lateralOffset: -20, speed: 10, status: 'changing lanes'
+    });
+    const behind = addCarOnRoute(state, through);
+    state = updateVehicle(behind.state, behind.vehicle.id, { x: 240, y: laneY, lane: 1, speed: 40 });
+    state = tick(state);
+
+    const follower = findVehicle(state, behind.vehicle.id);
+    expect(follower.leaderId).toBe(ahead.vehicle.id);
+    expect(follower.acceleration).toBeLessThan(0);
+  });
+});
+
+describe('discretionary lane changes', () => {
+  // T-junction: a car at its desired speed catches up with a slow bus in the eastbound curb lane
+  // `distance` px before the stop line, with `others` placed in the inner lane. The bus has only
+  // just changed lanes, so it does not make way for the car itself.
+  const setUp = (distance, others = []) => {
+    let state = createSimulation({ logging: false, network: NETWORKS.tJunction });
+    const through = (vehicle) => vehicle.direction === 'EAST' && vehicle.route.turns.length === 0;
+    const line = state.roadGrid.getIntersectionEntryPosition(state.intersections[0], 'EAST');
+    const place = (type, lane, x, speed, laneChangeTime = null) => {
+      const added = type === 'car' ? addCarOnRoute(state, through) : addVehicleOnRoute(state, type, through);
+      const y = state.roadGrid.getHorizontalRoadLaneY(added.vehicle.currentRoadIndex, lane, 'EAST');
+      state = updateVehicle(added.state, added.vehicle.id, { x, y, lane, targetY: y, speed, laneChangeTime });
+      return added.vehicle.id;
+    };
+
+    place('bus', 1, line - distance + 60, 10, state.time);
+    const carId = place('car', 1, line - distance, 40);
+    others.forEach(({ x, speed }) => place('car', 2, line - distance + x, speed));
+    return { state, carId };
+  };
+
+  test('a car stuck behind a slow bus overtakes it in the inner lane', () => {
+    let { state, carId } = setUp(500);
+    state = tick(state);
+    expect(findVehicle(state, carId).lane).toBe(2);
+    expect(findVehicle(state, carId).lateralOffset).not.toBe(0);
+
+    for (let time = 0; time < 1500; time += TIMING.TICK) state = tick(state);
+    const car = findVehicle(state, carId);
+    expect(car.lateralOffset).toBe(0);
+    expect(car.y).toBe(state.roadGrid.getHorizontalRoadLaneY(car.currentRoadIndex, 2, 'EAST'));
+  });
+
+  test('it stays behind the bus if the car coming up the inner lane would have to brake hard', () => {
+    // Clear alongside, but 25 px behind at the same speed
+    const { state, carId } = setUp(500, [{ x: -55, speed: 40 }]);
+    expect(findVehicle(tick(state), carId).lane).toBe(1);
+  });
+
+  test('it keeps its lane close to the stop line', () => {
+    const { state, carId } = setUp(LANE_CHANGE.NO_CHANGE_DISTANCE - 10);
+    expect(findVehicle(tick(state), carId).lane).toBe(1);
+  });
+});
+
+describe('emergency vehicles in traffic', () => {
+  test('on a busy corridor every emergency vehicle and every other vehicle reaches its exit', () => {
+    // Two minutes of traffic with an emergency vehicle every nine seconds, then three more
+    // minutes for the network to empty
+    let state = createSimulation({ logging: false, network: NETWORKS.corridor, seed: 1 });
+    const spawned = { emergency: [], other: [] };
+    for (let time = 0; time < 300000; time += TIMING.TICK) {
+      if (time < 120000 && time % 1500 === 0) {
+        const type = time % 9000 === 0 ? 'emergency' : 'car';
+        const next = addVehicle(state, type);
+        if (next.vehicles.length > state.vehicles.length) spawned[type === 'emergency' ? 'emergency' : 'other'].push(next.nextVehicleId - 1);
+        state = next;
+      }
+      state = tick(state);
+    }
+
+    expect(spawned.emergency.length).toBeGreaterThan(10);
+    const remaining = state.vehicles.map(vehicle => vehicle.id);
+    expect(spawned.emergency.filter(id => remaining.includes(id))).toEqual([]);
+    expect(spawned.other.filter(id => remaining.includes(id))).toEqual([]);
+  }, 60000);
+});